@@ -0,0 +1,56 @@
+// accountMatch.js
+//
+// Telling whether two tradelines are the same account. Bureaus mask account
+// numbers differently ("XXXX1234", "****1234", the full number), so numbers
+// are compared on their trailing digits, and lender names on a shared word
+// ("HDFC BANK LTD" / "HDFC Bank"). What else has to agree — open date,
+// sanction amount — depends on the caller, so matchAccounts() takes the
+// comparison as an argument.
+
+// Last four digits of an account number, null with fewer than three digits
+export function accountKey(accountNumber) {
+  const digits = String(accountNumber || "").replace(/[^0-9]/g, "");
+  return digits.length >= 3 ? digits.slice(-4) : null;
+}
+
+function lenderTokens(lender) {
+  return new Set(
+    String(lender || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9 ]/g, " ")
+      .split(/\s+/)
+      .filter(t => t.length > 2 && !["bank", "ltd", "limited", "the", "finance"].includes(t))
+  );
+}
+
+// A missing lender name matches anything
+export function lendersMatch(a, b) {
+  const ta = lenderTokens(a);
+  const tb = lenderTokens(b);
+  if (!ta.size || !tb.size) return true;
+  for (const t of ta) if (tb.has(t)) return true;
+  return false;
+}
+
+// Same trailing account digits and an overlapping lender name
+export function sameAccountNumber(a, b) {
+  const key = accountKey(a.details?.accountNumber);
+  return !!key && accountKey(b.details?.accountNumber) === key && lendersMatch(a.details?.lender, b.details?.lender);
+}
+
+// =====================================================
+// PUBLIC — pair two lists of accounts
+// =====================================================
+// Each of `loans` gets the first not-yet-used entry of `candidates` that
+// `same(loan, candidate)` accepts. Returns { pairs: [{ loan, match }] } in
+// `loans` order (`match` null when nothing fit) and `unmatched`, the
+// candidates nobody took.
+export function matchAccounts(loans, candidates, same = sameAccountNumber) {
+  const used = new Set();
+  const pairs = loans.map(loan => {
+    const idx = candidates.findIndex((candidate, i) => !used.has(i) && same(loan, candidate));
+    if (idx >= 0) used.add(idx);
+    return { loan, match: idx >= 0 ? candidates[idx] : null };
+  });
+  return { pairs, unmatched: candidates.filter((_, i) => !used.has(i)) };
+}
@@ -0,0 +1,315 @@
+// bankAnalytics.js
+//
+// Behavioural analytics over extracted bank transactions: recurring debits
+// (EMIs), ECS/NACH bounces, salary credits and overdraft usage. Every
+// finding carries the transactions it was derived from as `evidence`.
+
+// Lenders whose names show up in NACH/ECS narrations
+const KNOWN_LENDERS = [
+  { name: "Bajaj Finance", re: /BAJAJ\s*FIN/ },
+  { name: "HDFC Bank", re: /\bHDFC\s*(BANK|LTD)?\b/ },
+  { name: "ICICI Bank", re: /\bICICI\b/ },
+  { name: "Axis Bank", re: /\bAXIS\b/ },
+  { name: "Kotak Mahindra", re: /\bKOTAK\b/ },
+  { name: "SBI", re: /\bSBI\b|STATE\s+BANK/ },
+  { name: "Tata Capital", re: /TATA\s*CAP/ },
+  { name: "IDFC First Bank", re: /\bIDFC\b/ },
+  { name: "L&T Finance", re: /L\s*&?\s*T\s*FIN/ },
+  { name: "Mahindra Finance", re: /MAHINDRA\s*(&\s*MAHINDRA\s*)?FIN/ },
+  { name: "Cholamandalam", re: /CHOLA/ },
+  { name: "Shriram Finance", re: /SHRIRAM/ },
+  { name: "Muthoot Finance", re: /MUTHOOT/ },
+  { name: "Aditya Birla Finance", re: /ADITYA\s*BIRLA|\bABFL\b/ },
+  { name: "Hero FinCorp", re: /HERO\s*FIN/ },
+  { name: "Fullerton / SMFG", re: /FULLERTON|SMFG/ },
+  { name: "Home Credit", re: /HOME\s*CREDIT/ },
+  { name: "Poonawalla Fincorp", re: /POONAWALLA/ },
+  { name: "Piramal Finance", re: /PIRAMAL/ },
+  { name: "PNB Housing", re: /PNB\s*HOUSING/ },
+  { name: "LIC Housing Finance", re: /LIC\s*HOUSING|\bLICHF/ },
+  { name: "Yes Bank", re: /\bYES\s*BANK\b/ },
+  { name: "IndusInd Bank", re: /INDUSIND/ },
+  { name: "Kreditbee", re: /KREDITBEE/ },
+  { name: "Navi", re: /\bNAVI\b/ },
+  { name: "MoneyView", re: /MONEY\s*VIEW|WHIZDM/ }
+];
+
+// Narrations that mark a debit as a loan instalment rather than rent/SIP
+const EMI_HINT_RE = /\b(EMI|LOAN|NACH|ACH\s*D|ECS|MANDATE|SI\s+DEBIT)\b/;
+
+const BOUNCE_RE = /\b(RETURN(ED)?|RTN|BOUNCE[D]?|DISHONOU?R(ED)?|INSUFF(ICIENT)?|UNPAID|REJECT(ED)?)\b/;
+const BOUNCE_CHARGE_RE = /\b(CHG|CHGS|CHARGES?|PENALTY|FEE)\b/;
+const MANDATE_RE = /\b(ECS|NACH|ACH|MANDATE|EMI|CHQ|CHEQUE|SI)\b/;
+
+const SALARY_RE = /\b(SALARY|SAL\b|SALARIES|PAYROLL|WAGES|STIPEND)/;
+const EMPLOYER_RE = /\b(PVT|PRIVATE|LTD|LIMITED|LLP|TECHNOLOGIES|SOLUTIONS|SERVICES|INDUSTRIES|CORP|INC)\b/;
+
+// Amount clusters: within 2% (or ₹10) count as "the same" instalment
+const AMOUNT_TOLERANCE = 0.02;
+// Day-of-month spread allowed inside one recurring cluster
+const DAY_SPREAD = 5;
+// Monthly salary may vary with incentives/deductions
+const SALARY_TOLERANCE = 0.2;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// ---------- Narration → counterparty ----------
+
+const CHANNEL_PREFIX_RE = /^(UPI|NEFT|RTGS|IMPS|ACH\s*[DC]|NACH|ECS|SI|BY\s+TRANSFER|TO\s+TRANSFER|BY|TO|TRF|TRANSFER|INB|MB|POS|BIL|CLG)[-/:\s]+/;
+
+// Strip channel prefixes, reference numbers and noise so the same payee
+// groups together across months: "ACH D- BAJAJ FINANCE LTD-P400PHJ1234567"
+// → "BAJAJ FINANCE LTD".
+export function counterpartyOf(narration) {
+  let s = String(narration || "").toUpperCase();
+  for (let i = 0; i < 3; i++) s = s.replace(CHANNEL_PREFIX_RE, "");
+  s = s
+    .replace(/[-/:|*]+/g, " ")
+    .replace(/\b[A-Z]{4}0[A-Z0-9]{6}\b/g, " ") // IFSC
+    .replace(/\S*\d{4,}\S*/g, " ") // refs, mandate ids, account numbers
+    .replace(/\S+@\S+/g, " ") // UPI handles
+    .replace(/[^A-Z& ]+/g, " ")
+    .replace(/\b(CR|DR|PAYMENT|PAY|TRANSFER|FROM|TO|REF|NO|UPI|NEFT|IMPS)\b/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  return s.split(" ").slice(0, 4).join(" ");
+}
+
+// Matched against the cleaned counterparty, not the raw narration, so bank
+// names inside IFSCs and UPI handles don't pass for lenders
+function guessLender(narration) {
+  const s = counterpartyOf(narration);
+  const hit = KNOWN_LENDERS.find(l => l.re.test(s));
+  return hit ? hit.name : null;
+}
+
+const monthOf = t => t.date.slice(0, 7);
+const dayOf = t => Number(t.date.slice(8, 10));
+
+function evidenceOf(t) {
+  return {
+    date: t.date,
+    narration: t.narration,
+    chequeRef: t.chequeRef,
+    debit: t.debit,
+    credit: t.credit,
+    balance: t.balance
+  };
+}
+
+function sameAmount(a, b, tolerance = AMOUNT_TOLERANCE) {
+  return Math.abs(a - b) <= Math.max(10, Math.max(a, b) * tolerance);
+}
+
+// Smallest arc of days-of-month covering every day, treating the month as
+// a circle so 30th → 2nd counts as 3 days apart
+function daySpread(days) {
+  const sorted = [...new Set(days)].sort((a, b) => a - b);
+  if (sorted.length < 2) return 0;
+  let largestGap = sorted[0] + 31 - sorted[sorted.length - 1];
+  for (let i = 1; i < sorted.length; i++) {
+    largestGap = Math.max(largestGap, sorted[i] - sorted[i - 1]);
+  }
+  return 31 - largestGap;
+}
+
+function median(nums) {
+  const s = [...nums].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// Cluster transactions of one counterparty by amount, keeping clusters that
+// repeat in at least `minMonths` distinct months around the same day.
+function recurringClusters(txns, amountOf, { minMonths = 2, tolerance = AMOUNT_TOLERANCE } = {}) {
+  const clusters = [];
+  for (const t of [...txns].sort((a, b) => amountOf(a) - amountOf(b))) {
+    const c = clusters.find(c => sameAmount(median(c.map(amountOf)), amountOf(t), tolerance));
+    if (c) c.push(t);
+    else clusters.push([t]);
+  }
+
+  return clusters
+    .map(c => c.sort((a, b) => (a.date < b.date ? -1 : 1)))
+    .filter(c => new Set(c.map(monthOf)).size >= minMonths && daySpread(c.map(dayOf)) <= DAY_SPREAD);
+}
+
+function groupBy(items, keyFn) {
+  const map = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!key) continue;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(item);
+  }
+  return map;
+}
+
+// ---------- Findings ----------
+
+function detectRecurringDebits(transactions) {
+  const debits = transactions.filter(t => t.debit > 0 && !BOUNCE_RE.test(String(t.narration).toUpperCase()));
+  const emis = [];
+  const others = [];
+
+  for (const [counterparty, txns] of groupBy(debits, t => counterpartyOf(t.narration))) {
+    for (const cluster of recurringClusters(txns, t => t.debit)) {
+      const narration = cluster[0].narration.toUpperCase();
+      const lender = guessLender(narration);
+      const months = [...new Set(cluster.map(monthOf))];
+      const finding = {
+        counterparty,
+        lender: lender || counterparty,
+        amount: round2(median(cluster.map(t => t.debit))),
+        dayOfMonth: Math.round(median(cluster.map(dayOf))),
+        occurrences: cluster.length,
+        months,
+        channel: (narration.match(/\b(NACH|ACH|ECS|SI|UPI|NEFT|IMPS)\b/) || [])[1] || null,
+        confidence: round2(Math.min(0.95, 0.4 + 0.1 * months.length + (lender ? 0.2 : 0))),
+        evidence: cluster.map(evidenceOf)
+      };
+
+      if (lender || EMI_HINT_RE.test(narration)) emis.push(finding);
+      else others.push(finding);
+    }
+  }
+
+  const byAmount = (a, b) => b.amount - a.amount;
+  return { emis: emis.sort(byAmount), others: others.sort(byAmount) };
+}
+
+// ECS/NACH/cheque returns and the charges banks levy for them
+function detectBounces(transactions) {
+  const returns = [];
+  const charges = [];
+
+  for (const t of transactions) {
+    const n = String(t.narration || "").toUpperCase();
+    if (!BOUNCE_RE.test(n)) continue;
+    if (BOUNCE_CHARGE_RE.test(n) && t.debit > 0) charges.push(t);
+    else if (MANDATE_RE.test(n)) returns.push(t);
+  }
+
+  // One bounce often shows up as a return entry plus a charge; count events
+  // by date so a return and its charge aren't double counted
+  const eventDates = new Set(returns.map(t => t.date));
+  for (const c of charges) {
+    const near = [...eventDates].some(d => Math.abs(new Date(d) - new Date(c.date)) <= 3 * 24 * 60 * 60 * 1000);
+    if (!near) eventDates.add(c.date);
+  }
+
+  return {
+    count: eventDates.size,
+    returns: returns.map(evidenceOf),
+    charges: charges.map(evidenceOf),
+    totalCharges: round2(charges.reduce((s, t) => s + t.debit, 0))
+  };
+}
+
+function detectSalary(transactions, bank) {
+  const credits = transactions.filter(t => t.credit > 0);
+
+  // 1) Narrations that say "salary" outright
+  const labelled = credits.filter(t => SALARY_RE.test(String(t.narration).toUpperCase()));
+
+  // 2) Otherwise: a company crediting a similar amount every month
+  let candidates = labelled;
+  if (new Set(labelled.map(monthOf)).size < 2) {
+    const fromCompanies = credits.filter(t => EMPLOYER_RE.test(String(t.narration).toUpperCase()));
+    let best = [];
+    for (const [, txns] of groupBy(fromCompanies, t => counterpartyOf(t.narration))) {
+      for (const cluster of recurringClusters(txns, t => t.credit, { minMonths: 3, tolerance: SALARY_TOLERANCE })) {
+        if (cluster.length > best.length) best = cluster;
+      }
+    }
+    if (best.length) candidates = best;
+  }
+
+  const months = [...new Set(candidates.map(monthOf))];
+  if (!candidates.length || (candidates !== labelled && months.length < 3)) {
+    return { isSalaried: false, salaryBank: null, employer: null, salaryAmount: null, evidence: [] };
+  }
+
+  const sorted = [...candidates].sort((a, b) => (a.date < b.date ? -1 : 1));
+  const employers = groupBy(sorted, t => counterpartyOf(t.narration).replace(SALARY_RE, "").trim());
+  const employer = [...employers.entries()].sort((a, b) => b[1].length - a[1].length)[0]?.[0] || null;
+
+  return {
+    isSalaried: true,
+    salaryBank: bank || null,
+    employer,
+    employerNarration: sorted[sorted.length - 1].narration,
+    salaryAmount: round2(sorted[sorted.length - 1].credit),
+    averageSalary: round2(sorted.reduce((s, t) => s + t.credit, 0) / sorted.length),
+    creditDay: Math.round(median(sorted.map(dayOf))),
+    months,
+    evidence: sorted.map(evidenceOf)
+  };
+}
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+// Calendar days overdrawn: each spell runs from the first negative balance
+// to the day the balance is back at zero or above (that day not counted,
+// unless the spell opened and closed on it), days without transactions
+// included. A spell still open at the end runs to the last transaction.
+function overdraftDays(withBalance) {
+  let days = 0;
+  let since = null;
+  for (const t of withBalance) {
+    if (t.balance < 0 && since == null) since = t.date;
+    else if (t.balance >= 0 && since != null) {
+      days += Math.max(daysBetween(since, t.date), 1);
+      since = null;
+    }
+  }
+  if (since != null) days += daysBetween(since, withBalance[withBalance.length - 1].date) + 1;
+  return days;
+}
+
+function detectOverdraft(transactions) {
+  const withBalance = transactions.filter(t => t.balance != null);
+  const negative = withBalance.filter(t => t.balance < 0);
+  if (!negative.length) return { used: false, maxOverdraft: 0, daysInOverdraft: 0, evidence: [] };
+
+  // Running balances read oldest first; statements printed newest first are
+  // turned around, keeping same-day rows in their order
+  const chronological = withBalance[0].date > withBalance[withBalance.length - 1].date ? [...withBalance].reverse() : withBalance;
+  const worst = negative.reduce((w, t) => (t.balance < w.balance ? t : w));
+  return {
+    used: true,
+    maxOverdraft: round2(-worst.balance),
+    daysInOverdraft: overdraftDays(chronological),
+    evidence: [evidenceOf(worst)]
+  };
+}
+
+// =====================================================
+// PUBLIC — all findings for a statement
+// =====================================================
+export function analyzeBankTransactions(transactions, { bank = null } = {}) {
+  const txns = (transactions || []).filter(t => t && t.date);
+  const { emis, others } = detectRecurringDebits(txns);
+  const bounces = detectBounces(txns);
+
+  // EMIs debited in the statement's latest month (the old LLM field)
+  const latestMonth = txns.reduce((m, t) => (monthOf(t) > m ? monthOf(t) : m), "");
+  const latestMonthEMIs = [];
+  for (const e of emis) {
+    for (const t of e.evidence) {
+      if (t.date.startsWith(latestMonth)) {
+        latestMonthEMIs.push({ lender: e.lender, amount: t.debit, emiDate: t.date, date: t.date });
+      }
+    }
+  }
+
+  return {
+    emiBounceCount: bounces.count,
+    bounces,
+    latestMonthEMIs,
+    detectedEmis: emis,
+    recurringDebits: others,
+    salaryDetection: detectSalary(txns, bank),
+    odUsage: detectOverdraft(txns)
+  };
+}
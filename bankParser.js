@@ -0,0 +1,511 @@
+// bankParser.js
+//
+// Rule-based transaction extraction for bank statements. A per-bank layout
+// profile says how a transaction row starts and what extra columns it
+// carries; the shared engine turns rows into
+// { date, narration, chequeRef, debit, credit, balance } and the summary
+// helpers compute totals, monthly cashflow and average balance from them.
+
+import { parseIndianAmount } from "./parser.js";
+import { findTables, pickColumn } from "./pdfLayout.js";
+import { MONTHS, pad, monthLabel } from "./common.js";
+
+// Dates as printed in statements: 01/04/24, 01-04-2024, 1 Apr 2024, 01-Apr-24
+const DATE_SRC = "(?:\\d{1,2}[-/.]\\d{1,2}[-/.](?:\\d{4}|\\d{2})|\\d{1,2}[-\\s][A-Za-z]{3}[-\\s,]*(?:\\d{4}|\\d{2}))";
+
+// Statement amounts always carry paise; the optional suffix marks Dr/Cr
+const AMOUNT_RE = /(-?(?:\d{1,3}(?:,\d{2,3})+|\d+)\.\d{2})(\s*\(?(?:Dr|Cr)\)?\.?)?/gi;
+
+// ---------- Layout profiles ----------
+//
+// rowStart: how a transaction line begins (captures the transaction date).
+// creditHints/debitHints: narration prefixes used only when the balance
+// can't tell us the direction (first row with no opening balance).
+
+const BANK_PROFILES = {
+  SBI: {
+    name: "SBI",
+    detect: [/state\s+bank\s+of\s+india/i, /\bSBIN0\d{6}\b/],
+    rowStart: new RegExp(`^(${DATE_SRC})\\s+`),
+    creditHints: [/^BY\b/i, /\bDEP\s+TFR\b/i, /\bCREDIT\s+INTEREST\b/i],
+    debitHints: [/^TO\b/i, /\bWDL\s+TFR\b/i, /\bATM\s+WDL\b/i]
+  },
+  HDFC: {
+    name: "HDFC Bank",
+    detect: [/hdfc\s+bank/i, /\bHDFC0\d{6}\b/],
+    rowStart: new RegExp(`^(${DATE_SRC})\\s*`),
+    creditHints: [/^NEFT\s+CR/i, /^IMPS.*CR\b/i],
+    debitHints: [/^POS\b/i, /^ATW\b/i, /^NWD\b/i]
+  },
+  ICICI: {
+    name: "ICICI Bank",
+    detect: [/icici\s+bank/i, /\bICIC0\d{6}\b/],
+    // Rows carry a serial number before the value and transaction dates
+    rowStart: new RegExp(`^(?:\\d{1,5}\\s+)?(${DATE_SRC})\\s+`),
+    creditHints: [/^BY\b/i, /\bNEFT.*CR\b/i],
+    debitHints: [/^ATM\b/i, /^BIL\//i]
+  },
+  AXIS: {
+    name: "Axis Bank",
+    detect: [/axis\s+bank/i, /\bUTIB0\d{6}\b/],
+    rowStart: new RegExp(`^(${DATE_SRC})\\s+`),
+    creditHints: [/^NEFT\/.*\/CR\b/i, /^BY\b/i],
+    debitHints: [/^ATM-CASH/i, /^POS\//i]
+  },
+  KOTAK: {
+    name: "Kotak Mahindra Bank",
+    detect: [/kotak\s+mahindra/i, /\bKKBK0\d{6}\b/],
+    rowStart: new RegExp(`^(?:\\d{1,5}\\s+)?(${DATE_SRC})\\s+`),
+    creditHints: [/^NEFT\s+CR/i],
+    debitHints: [/^ATM\s+WDL/i, /^PCD\//i]
+  },
+  GENERIC: {
+    name: null,
+    detect: [],
+    rowStart: new RegExp(`^(?:\\d{1,5}\\s+)?(${DATE_SRC})\\s+`),
+    creditHints: [/^BY\b/i, /\bCR\b/],
+    debitHints: [/^TO\b/i, /\bDR\b/]
+  }
+};
+
+export const SUPPORTED_BANKS = Object.keys(BANK_PROFILES).filter(k => k !== "GENERIC");
+
+export function detectBank(text) {
+  const head = String(text || "").slice(0, 5000);
+  for (const key of SUPPORTED_BANKS) {
+    if (BANK_PROFILES[key].detect.some(re => re.test(head))) return key;
+  }
+  return null;
+}
+
+// ---------- Helpers ----------
+
+// Statement date → ISO "YYYY-MM-DD" (null when it isn't a real date)
+export function toIsoDate(str) {
+  if (!str) return null;
+  const s = String(str).trim();
+  const fullYear = y => (y.length === 2 ? "20" + y : y);
+
+  let y, mo, d;
+  let m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})$/);
+  if (m) {
+    [, d, mo, y] = m;
+    y = fullYear(y);
+  } else {
+    m = s.match(/^(\d{1,2})[-\s]([A-Za-z]{3})[-\s,]*(\d{4}|\d{2})$/);
+    if (!m) return null;
+    const idx = MONTHS.indexOf(m[2].toLowerCase());
+    if (idx < 0) return null;
+    d = m[1];
+    mo = idx + 1;
+    y = fullYear(m[3]);
+  }
+
+  // 31-02 or 29-02 outside a leap year rolls into the next month
+  const date = new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d)));
+  if (date.getUTCFullYear() !== Number(y) || date.getUTCMonth() !== Number(mo) - 1 || date.getUTCDate() !== Number(d)) {
+    return null;
+  }
+  return `${y}-${pad(mo)}-${pad(d)}`;
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function readAmount(token, suffix) {
+  const value = parseIndianAmount(token);
+  if (value == null) return null;
+  const marker = (suffix || "").toLowerCase();
+  return { value: Math.abs(value), negative: value < 0, dr: marker.includes("dr"), cr: marker.includes("cr") };
+}
+
+// Lines that repeat on every page and must never be glued onto a narration
+const NOISE_RE = /^(page\s*\d+|page\s+no|statement\s+of\s+account|txn\s+date|tran\s+date|date\s+(narration|particulars|description)|value\s+date|s\s*no\.?|\*+\s*end\s+of\s+statement|closing\s+balance|generated\s+on|this\s+is\s+a\s+computer)/i;
+
+const OPENING_RE = /opening\s+balance|balance\s+(?:b\/f|brought\s+forward|as\s+on)|\bb\/f\b|brought\s+forward/i;
+
+// Reference / cheque number: a trailing token of 6+ digits, optionally
+// prefixed like "UPI-", "CHQ ", "NEFT/".
+const REF_RE = /(?:^|\s)((?:[A-Z]{2,6}[-/:])?\d{6,}|[A-Z]{4}[RN]\d{10,})\s*$/;
+
+// ---------- Row assembly ----------
+
+// Group raw lines into candidate rows: a row starts at a line that opens
+// with a date; following lines are narration continuations.
+function collectRows(lines, profile) {
+  const rows = [];
+  let current = null;
+
+  for (const line of lines) {
+    const m = line.match(profile.rowStart);
+    if (m && toIsoDate(m[1])) {
+      current = { date: toIsoDate(m[1]), text: line.slice(m[0].length), extra: [] };
+      rows.push(current);
+    } else if (current && !NOISE_RE.test(line)) {
+      current.extra.push(line);
+    }
+  }
+
+  return rows;
+}
+
+// Split one row into narration / ref / amounts. Amounts may sit on the row
+// line or (for wrapped narrations) on a continuation line.
+function splitRow(row) {
+  const dateStrip = new RegExp(`(^|\\s)${DATE_SRC}(?=\\s|$)`, "g");
+  const parts = [row.text, ...row.extra];
+
+  // The amounts line is the first one carrying both amount and balance,
+  // else the last line with any amount on it
+  const found = parts.map(p => [...p.matchAll(AMOUNT_RE)]);
+  let amountLine = found.findIndex(f => f.length >= 2);
+  if (amountLine < 0) {
+    for (let i = found.length - 1; i >= 0 && amountLine < 0; i--) {
+      if (found[i].length) amountLine = i;
+    }
+  }
+  if (amountLine < 0) return null;
+  const amounts = found[amountLine];
+
+  const narrationParts = parts.map((p, i) => (i === amountLine ? p.slice(0, amounts[0].index) : p));
+
+  let narration = narrationParts
+    .join(" ")
+    .replace(dateStrip, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  let chequeRef = null;
+  const ref = narration.match(REF_RE);
+  if (ref) {
+    chequeRef = ref[1].trim();
+    narration = narration.slice(0, ref.index).trim();
+  }
+  // "-" placeholders for empty cheque columns
+  narration = narration.replace(/\s+-$/, "").trim();
+
+  return {
+    narration,
+    chequeRef,
+    amounts: amounts.map(a => readAmount(a[1], a[2])).filter(Boolean)
+  };
+}
+
+function signedBalance(amount) {
+  if (!amount) return null;
+  return amount.negative || amount.dr ? -amount.value : amount.value;
+}
+
+function guessDirection(narration, profile) {
+  if (profile.creditHints.some(re => re.test(narration))) return "credit";
+  if (profile.debitHints.some(re => re.test(narration))) return "debit";
+  return null;
+}
+
+// "Opening Balance : 10,000.00" printed outside the transaction rows
+function findOpeningBalance(lines, profile) {
+  for (const line of lines) {
+    if (!OPENING_RE.test(line) || profile.rowStart.test(line)) continue;
+    const found = [...line.matchAll(AMOUNT_RE)];
+    if (!found.length) continue;
+    const last = found[found.length - 1];
+    return signedBalance(readAmount(last[1], last[2]));
+  }
+  return null;
+}
+
+// Which of the debit and credit columns the header prints first, when a
+// header line names both ("Withdrawal Amt. Deposit Amt. Closing Balance")
+function debitCreditOrder(lines) {
+  for (const line of lines) {
+    if (!isTransactionHeader([line])) continue;
+    const debit = line.search(TABLE_HEADER_RE.debit);
+    const credit = line.search(TABLE_HEADER_RE.credit);
+    if (debit >= 0 && credit >= 0) return credit < debit ? "credit-first" : "debit-first";
+  }
+  return null;
+}
+
+// =====================================================
+// PUBLIC — statement text → transactions
+// =====================================================
+export function extractTransactions(rawText, { bank = null } = {}) {
+  const text = String(rawText || "").replace(/\r/g, "").replace(/[^\S\n]+/g, " ");
+  const bankKey = bank || detectBank(text);
+  const profile = BANK_PROFILES[bankKey] || BANK_PROFILES.GENERIC;
+  const lines = text.split("\n").map(l => l.trim()).filter(Boolean);
+
+  let openingBalance = findOpeningBalance(lines, profile);
+  const creditFirst = debitCreditOrder(lines) === "credit-first";
+
+  const transactions = [];
+  let prevBalance = openingBalance;
+
+  // Newest-first statements are flipped so running balances read forwards
+  const rows = collectRows(lines, profile);
+  if (rows.length > 1 && rows[0].date > rows[rows.length - 1].date) rows.reverse();
+
+  for (const row of rows) {
+    const parsed = splitRow(row);
+    if (!parsed || !parsed.amounts.length) continue;
+
+    // Opening-balance rows inside the table seed the running balance only
+    if (OPENING_RE.test(parsed.narration)) {
+      prevBalance = signedBalance(parsed.amounts[parsed.amounts.length - 1]);
+      if (openingBalance == null) openingBalance = prevBalance;
+      continue;
+    }
+
+    const balanceAmt = parsed.amounts.length >= 2 ? parsed.amounts[parsed.amounts.length - 1] : null;
+    const txnAmts = parsed.amounts.slice(0, balanceAmt ? -1 : undefined);
+    const balance = signedBalance(balanceAmt);
+
+    let debit = 0;
+    let credit = 0;
+
+    if (txnAmts.length >= 2) {
+      // Separate Debit and Credit columns both printed (one is 0.00), in
+      // the header's order (debit first when there's no header to go by)
+      const [first, second] = txnAmts.slice(-2).map(a => a.value);
+      [debit, credit] = creditFirst ? [second, first] : [first, second];
+    } else if (txnAmts.length === 1) {
+      const amt = txnAmts[0];
+      let direction = amt.dr ? "debit" : amt.cr ? "credit" : null;
+      if (!direction && balance != null && prevBalance != null) {
+        const delta = round2(balance - prevBalance);
+        if (Math.abs(Math.abs(delta) - amt.value) < 0.01) direction = delta >= 0 ? "credit" : "debit";
+      }
+      if (!direction) direction = guessDirection(parsed.narration, profile) || "debit";
+      if (direction === "credit") credit = amt.value;
+      else debit = amt.value;
+    } else {
+      continue;
+    }
+
+    transactions.push({
+      date: row.date,
+      narration: parsed.narration,
+      chequeRef: parsed.chequeRef,
+      debit: round2(debit),
+      credit: round2(credit),
+      balance: balance != null ? round2(balance) : null
+    });
+
+    if (balance != null) prevBalance = balance;
+  }
+
+  const lastWithBalance = [...transactions].reverse().find(t => t.balance != null);
+
+  return {
+    bank: profile.name,
+    bankKey: profile.name ? bankKey : null,
+    openingBalance,
+    closingBalance: lastWithBalance ? lastWithBalance.balance : openingBalance,
+    transactions
+  };
+}
+
+// ---------- Table (layout) extraction ----------
+
+const TABLE_HEADER_RE = {
+  date: /date/i,
+  valueDate: /value/i,
+  narration: /narration|particulars|description|details|remarks/i,
+  chequeRef: /chq|cheque|ref/i,
+  debit: /withdraw|debit|\bdr\b/i,
+  credit: /deposit|credit|\bcr\b/i,
+  amount: /amount/i,
+  balance: /balance/i
+};
+
+// A transaction table header has a date, a balance and some amount column
+function isTransactionHeader(texts) {
+  const joined = texts.join(" ");
+  return /date/i.test(joined) && /balance/i.test(joined) && /withdraw|debit|deposit|credit|amount/i.test(joined);
+}
+
+const TABLE_END_RE = /closing\s+balance|end\s+of\s+statement|statement\s+summary|account\s+summary/i;
+
+function cellAmount(text) {
+  if (!text) return null;
+  const m = [...String(text).matchAll(AMOUNT_RE)].pop();
+  return m ? readAmount(m[1], m[2]) : null;
+}
+
+// =====================================================
+// PUBLIC — layout tables → transactions (with page numbers)
+// =====================================================
+// Debit and credit come straight from their columns, so no direction
+// guessing is needed. Returns the same shape as extractTransactions, with a
+// `page` on every transaction; `transactions` is empty when no table with a
+// recognisable header was found.
+export function extractTransactionsFromLayout(layout, { bank = null, text = "" } = {}) {
+  const bankKey = bank || detectBank(text);
+  const profile = BANK_PROFILES[bankKey] || BANK_PROFILES.GENERIC;
+  const tables = findTables(layout, {
+    isHeader: isTransactionHeader,
+    isEnd: texts => texts.length <= 3 && TABLE_END_RE.test(texts.join(" "))
+  });
+
+  let openingBalance = null;
+  const records = [];
+
+  for (const table of tables) {
+    const cols = table.columns;
+    const col = {
+      date: pickColumn(cols, TABLE_HEADER_RE.date, TABLE_HEADER_RE.valueDate) || pickColumn(cols, TABLE_HEADER_RE.date),
+      narration: pickColumn(cols, TABLE_HEADER_RE.narration, TABLE_HEADER_RE.date),
+      chequeRef: pickColumn(cols, TABLE_HEADER_RE.chequeRef),
+      debit: pickColumn(cols, TABLE_HEADER_RE.debit, TABLE_HEADER_RE.balance),
+      credit: pickColumn(cols, TABLE_HEADER_RE.credit, TABLE_HEADER_RE.balance),
+      amount: pickColumn(cols, TABLE_HEADER_RE.amount, TABLE_HEADER_RE.balance),
+      balance: pickColumn(cols, TABLE_HEADER_RE.balance)
+    };
+    if (!col.date || !col.balance || !(col.debit || col.credit || col.amount)) continue;
+
+    for (const row of table.rows) {
+      const get = key => (col[key] ? (row.cells[col[key]] || "").trim() : "");
+      const narration = get("narration");
+      const dateCell = get("date").match(new RegExp(DATE_SRC));
+      const date = dateCell ? toIsoDate(dateCell[0]) : null;
+
+      if (OPENING_RE.test(narration) || (!date && OPENING_RE.test(Object.values(row.cells).join(" ")))) {
+        const amt = cellAmount(get("balance"));
+        if (amt && openingBalance == null) openingBalance = signedBalance(amt);
+        continue;
+      }
+
+      if (!date) {
+        // Wrapped narration: text in the narration column only
+        const others = Object.entries(row.cells).filter(([k]) => k !== col.narration && k !== col.chequeRef);
+        const last = records[records.length - 1];
+        if (last && narration && !others.length && !NOISE_RE.test(narration)) {
+          last.narration = `${last.narration} ${narration}`.trim();
+        }
+        continue;
+      }
+
+      records.push({
+        date,
+        narration,
+        chequeRef: get("chequeRef") && get("chequeRef") !== "-" ? get("chequeRef") : null,
+        debit: cellAmount(get("debit")),
+        credit: cellAmount(get("credit")),
+        amount: col.debit || col.credit ? null : cellAmount(get("amount")),
+        balance: signedBalance(cellAmount(get("balance"))),
+        page: row.page
+      });
+    }
+  }
+
+  // Opening balance printed above the table rather than as a row
+  if (openingBalance == null && text) {
+    const lines = String(text).split("\n").map(l => l.replace(/\s+/g, " ").trim()).filter(Boolean);
+    openingBalance = findOpeningBalance(lines, profile);
+  }
+
+  // Newest-first statements are flipped so running balances read forwards
+  if (records.length > 1 && records[0].date > records[records.length - 1].date) records.reverse();
+
+  const transactions = [];
+  let prevBalance = openingBalance;
+  for (const r of records) {
+    let debit = r.debit ? r.debit.value : 0;
+    let credit = r.credit ? r.credit.value : 0;
+
+    if (r.amount) {
+      let direction = r.amount.dr ? "debit" : r.amount.cr ? "credit" : null;
+      if (!direction && r.balance != null && prevBalance != null) {
+        const delta = round2(r.balance - prevBalance);
+        if (Math.abs(Math.abs(delta) - r.amount.value) < 0.01) direction = delta >= 0 ? "credit" : "debit";
+      }
+      if (!direction) direction = guessDirection(r.narration, profile) || "debit";
+      if (direction === "credit") credit = r.amount.value;
+      else debit = r.amount.value;
+    }
+    if (!debit && !credit) continue;
+
+    transactions.push({
+      date: r.date,
+      narration: r.narration.replace(/\s+/g, " ").trim(),
+      chequeRef: r.chequeRef,
+      debit: round2(debit),
+      credit: round2(credit),
+      balance: r.balance != null ? round2(r.balance) : null,
+      page: r.page
+    });
+    if (r.balance != null) prevBalance = r.balance;
+  }
+
+  const lastWithBalance = [...transactions].reverse().find(t => t.balance != null);
+
+  return {
+    bank: profile.name,
+    bankKey: profile.name ? bankKey : null,
+    openingBalance,
+    closingBalance: lastWithBalance ? lastWithBalance.balance : openingBalance,
+    transactions
+  };
+}
+
+// ---------- Summaries computed from transactions ----------
+
+// [{ month: "Jan-2024", credits, debits }] in calendar order
+export function computeMonthlyCashflow(transactions) {
+  const byMonth = new Map();
+  for (const t of [...transactions].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0))) {
+    const key = t.date.slice(0, 7);
+    if (!byMonth.has(key)) byMonth.set(key, { month: monthLabel(t.date), credits: 0, debits: 0 });
+    const m = byMonth.get(key);
+    m.credits = round2(m.credits + (t.credit || 0));
+    m.debits = round2(m.debits + (t.debit || 0));
+  }
+  return [...byMonth.values()];
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Average of end-of-day balances over the last 12 months of the statement
+// (or the whole statement when shorter), carrying balances over days with
+// no transactions — the "ABB" figure lenders ask for.
+export function computeAverageBalance(transactions, openingBalance = null, months = 12) {
+  const rows = transactions.filter(t => t.balance != null);
+  if (!rows.length) return 0;
+
+  const eod = new Map();
+  for (const t of rows) eod.set(t.date, t.balance);
+
+  const dates = [...eod.keys()].sort();
+  const last = new Date(dates[dates.length - 1] + "T00:00:00Z");
+  const windowStart = new Date(last);
+  windowStart.setUTCMonth(windowStart.getUTCMonth() - months);
+  windowStart.setUTCDate(windowStart.getUTCDate() + 1);
+
+  const first = new Date(dates[0] + "T00:00:00Z");
+  const start = first > windowStart ? first : windowStart;
+
+  // Balance carried into the window
+  let running = openingBalance ?? rows[0].balance;
+  for (const d of dates) {
+    if (new Date(d + "T00:00:00Z") < start) running = eod.get(d);
+  }
+
+  let sum = 0;
+  let days = 0;
+  for (let t = start.getTime(); t <= last.getTime(); t += DAY_MS) {
+    const key = new Date(t).toISOString().slice(0, 10);
+    if (eod.has(key)) running = eod.get(key);
+    sum += running;
+    days++;
+  }
+
+  return days ? round2(sum / days) : 0;
+}
+
+export function summariseTransactions({ transactions, openingBalance }) {
+  return {
+    totalCredits: round2(transactions.reduce((s, t) => s + (t.credit || 0), 0)),
+    totalDebits: round2(transactions.reduce((s, t) => s + (t.debit || 0), 0)),
+    cashflow: computeMonthlyCashflow(transactions),
+    avgBalance12M: computeAverageBalance(transactions, openingBalance)
+  };
+}
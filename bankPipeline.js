@@ -0,0 +1,236 @@
+// bankPipeline.js
+//
+// Statement pages → the /analyze-bank summary: drop repeated page
+// furniture, pull transactions (from table columns when the layout gives
+// more rows than the flattened text), check the statement for tampering and
+// compute EMIs, bounces, salary, OD and cashflow from the transactions —
+// with a chunked LLM read only when no transactions could be found.
+
+import {
+  extractTransactions,
+  extractTransactionsFromLayout,
+  summariseTransactions
+} from "./bankParser.js";
+import { verifyStatement } from "./statementChecks.js";
+import { analyzeBankTransactions } from "./bankAnalytics.js";
+import {
+  stripRepeatedLines,
+  chunkPages,
+  mapWithConcurrency,
+  mergeChunkResults,
+  readPdfPages,
+  DEFAULT_CONCURRENCY
+} from "./statementChunks.js";
+import { ocrLowTextPages } from "./ocr.js";
+import { extractLayout } from "./pdfLayout.js";
+import { generate, taskConfig } from "./modelGateway.js";
+import { PDF_UNREADABLE, AI_PARSE_FAILED, pipelineError } from "./common.js";
+import { LLM_BUDGET_EXCEEDED } from "./usageMeter.js";
+
+// Bump with any change to what this pipeline produces from the same PDF:
+// the parser for extraction / analytics, the prompt for the LLM fallback
+// below. With the model they key cached results (resultCache.js).
+const BANK_PARSER_VERSION = "bank-parser-13";
+const BANK_PROMPT_VERSION = "bank-chunk-2";
+
+export function bankPipelineVersion() {
+  return { parser: BANK_PARSER_VERSION, prompt: BANK_PROMPT_VERSION, model: taskConfig("bankChunk").model };
+}
+
+// ================================================
+// BANK STATEMENT — LLM fallback for unknown layouts
+// ================================================
+// Only used when no transactions could be extracted; otherwise every field
+// is computed from the transactions in bankAnalytics.js. Long statements
+// don't fit one prompt, so each chunk of pages is read on its own and the
+// partial results are merged (see statementChunks.js).
+async function analyzeBankChunkWithAI(chunk, total) {
+  const prompt = `
+You are an expert bank statement analyzer.  
+This is part ${chunk.index + 1} of ${total} of one bank statement (pages ${chunk.fromPage}-${chunk.toPage}).
+Report only what appears in THIS part; the parts are combined afterwards.
+Extract the following and reply with JSON only:
+
+{
+  "months": [
+    { "month": "Jan-2024", "credits": number, "debits": number, "closingBalance": number | null }
+  ],
+  "emiBounceCount": number,
+  "emis": [
+    { "lender": string, "amount": number, "date": "DD-MM-YYYY" }
+  ],
+  "salaryCredits": [
+    { "date": "DD-MM-YYYY", "amount": number, "employer": string | null, "bank": string | null }
+  ],
+  "maxOverdraft": number
+}
+
+"closingBalance" is the last balance printed for that month in this part.
+"maxOverdraft" is the largest negative (overdrawn) balance, as a positive number, or 0.
+
+TEXT:
+${chunk.text}
+`;
+
+  try {
+    const ai = await generate("bankChunk", { input: prompt, json: true, temperature: 0 });
+    return ai.json;
+  } catch (e) {
+    if (e.code === "LLM_BAD_OUTPUT") {
+      throw new Error(`LLM returned non-JSON output for pages ${chunk.fromPage}-${chunk.toPage}`);
+    }
+    throw e;
+  }
+}
+
+export async function analyzeBankWithAI(pages) {
+  const chunks = chunkPages(pages);
+  if (!chunks.length) throw new Error("Unable to read bank statement text");
+  console.log(`📘 Bank statement split into ${chunks.length} chunk(s) for AI`);
+
+  const partials = await mapWithConcurrency(chunks, DEFAULT_CONCURRENCY, chunk =>
+    analyzeBankChunkWithAI(chunk, chunks.length)
+  );
+  return { ...mergeChunkResults(partials), chunks: chunks.length };
+}
+
+// =====================================================
+// PUBLIC — statement pages → bank summary
+// =====================================================
+// `pages` is the per-page text (after OCR). `layout` comes from
+// pdfLayout.extractLayout and is optional; `pdfInfo`, `numPages` and
+// `pdfBuffer` feed the tamper checks; `onStage("ai")` fires before the LLM
+// fallback. Throws when the LLM fallback fails.
+export async function analyzeStatementPages(
+  pages,
+  { layout = null, pdfInfo = {}, numPages = null, pdfBuffer = null, onStage = () => {} } = {}
+) {
+  // Column headers and footers repeat on every page; keep only the first
+  const { pages: cleaned, removed: repeatedLines } = stripRepeatedLines(pages);
+  if (repeatedLines.length) console.log("📘 Dropped repeated header lines:", repeatedLines.length);
+
+  const statementText = cleaned.join("\n\n");
+  let statement = extractTransactions(statementText);
+  let extractionMethod = "text";
+
+  // Table columns from the text positions beat the flattened text when
+  // they yield at least as many rows
+  if (layout) {
+    try {
+      const fromTables = extractTransactionsFromLayout(layout, { text: statementText });
+      if (fromTables.transactions.length && fromTables.transactions.length >= statement.transactions.length) {
+        statement = fromTables;
+        extractionMethod = "layout";
+      }
+    } catch (layoutErr) {
+      console.error("Bank layout table error:", layoutErr);
+    }
+  }
+  console.log(
+    "📘 Extracted transactions:",
+    statement.transactions.length,
+    "bank:",
+    statement.bank || "unknown layout",
+    "via",
+    extractionMethod
+  );
+
+  const hasTransactions = statement.transactions.length > 0;
+
+  // Balance continuity, date/page gaps and PDF metadata
+  const tamperSignals = verifyStatement({
+    statement,
+    text: pages.join("\n\n"),
+    pdfInfo,
+    numPages: numPages ?? pages.length,
+    pdfBuffer
+  });
+  if (tamperSignals.riskLevel !== "low") {
+    console.warn("⚠️ Bank statement tamper risk:", tamperSignals.riskLevel, tamperSignals.signals.map(s => s.code));
+  }
+
+  // EMIs, bounces, salary, OD — from transactions, GPT only as fallback
+  let analysis;
+  if (hasTransactions) {
+    analysis = {
+      ...analyzeBankTransactions(statement.transactions, { bank: statement.bank }),
+      ...summariseTransactions(statement)
+    };
+  } else {
+    onStage("ai");
+    analysis = await analyzeBankWithAI(cleaned);
+  }
+
+  return {
+    ...analysis,
+    bank: statement.bank,
+    openingBalance: statement.openingBalance,
+    closingBalance: statement.closingBalance,
+    transactions: statement.transactions,
+    source: hasTransactions ? "transactions" : "ai",
+    extractionMethod,
+    tamperSignals
+  };
+}
+
+// =====================================================
+// PUBLIC — bank statement PDF buffer → bank summary
+// =====================================================
+// The whole /analyze-bank flow: open (with passwords), OCR scanned pages,
+// read the layout, then analyzeStatementPages. `onStage(stage)` hears
+// "extracting", "ocr" and "ai". Rejects with the password codes,
+// UPLOAD_TOO_MANY_PAGES, PDF_UNREADABLE, or AI_PARSE_FAILED when the LLM fallback failed
+// (LLM_BUDGET_EXCEEDED when it wasn't allowed to run).
+export async function analyzeBankPdf(buffer, { passwords = {}, onStage = () => {} } = {}) {
+  onStage("extracting");
+  const pdfData = await readPdfPages(buffer, passwords);
+  let fullText = pdfData.text || "";
+  let pdfPages = pdfData.pages;
+
+  console.log("📘 Extracted PDF text length:", fullText.length);
+
+  // Scanned statements → OCR the pages that have no text layer
+  let ocr = null;
+  try {
+    const ocrResult = await ocrLowTextPages({
+      buffer,
+      pages: pdfPages,
+      password: pdfData.passwordUsed,
+      onStart: () => onStage("ocr")
+    });
+    ocr = ocrResult.ocr;
+    if (ocr) {
+      pdfPages = ocrResult.pages;
+      fullText = pdfPages.join("\n\n");
+      console.log("📘 OCR pages:", ocr.pages.length, "avg confidence:", ocr.averageConfidence);
+    }
+  } catch (ocrErr) {
+    console.error("Bank OCR error:", ocrErr);
+  }
+
+  if (!fullText || fullText.trim().length < 50) {
+    throw pipelineError(PDF_UNREADABLE, "Unable to read bank statement text");
+  }
+
+  // Table columns come from the text positions
+  let layout = null;
+  try {
+    layout = await extractLayout(buffer, { password: pdfData.passwordUsed });
+  } catch (layoutErr) {
+    console.error("Bank layout extraction error:", layoutErr);
+  }
+
+  try {
+    const data = await analyzeStatementPages(pdfPages, {
+      layout,
+      pdfInfo: pdfData.info,
+      numPages: pdfData.numpages,
+      pdfBuffer: buffer,
+      onStage
+    });
+    return { ...data, ocr };
+  } catch (e) {
+    if (e.code === LLM_BUDGET_EXCEEDED) throw e;
+    throw pipelineError(AI_PARSE_FAILED, e.message || "LLM returned non-JSON output");
+  }
+}
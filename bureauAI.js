@@ -0,0 +1,334 @@
+// bureauAI.js
+//
+// The AI half of bureau parsing: one structured-output call that reads the
+// score, accounts (with details), enquiries and rough totals, and the
+// clean-up that coerces whatever comes back into the shape reconcile.js
+// expects. The rule-based half lives in parser.js.
+
+import { parseTenureToMonths } from "./parser.js";
+import { parsePaymentHistory } from "./paymentHistory.js";
+import { generate, isConfigured } from "./modelGateway.js";
+
+// ---------- Utility Helpers ----------
+function parseAmount(str) {
+  if (str == null) return 0;
+  const s = String(str).trim();
+  const m = s.match(/-?\d+(\.\d+)?/);
+  if (m) {
+    const num = parseFloat(m[0]);
+    return Number.isFinite(num) ? num : 0;
+  }
+  const cleaned = s.replace(/[^0-9.-]/g, "");
+  const num = parseFloat(cleaned);
+  return Number.isFinite(num) ? num : 0;
+}
+
+// =====================================================
+// AI PARSER — SCORE, LOANS (WITH DETAILS), ENQUIRIES
+// =====================================================
+// Bump with any change to the prompt or schema below: cached results are
+// keyed on it (resultCache.js)
+export const BUREAU_PROMPT_VERSION = "bureau-2";
+
+export async function analyzeWithAI(extractedText) {
+  if (!isConfigured("bureau")) {
+    throw new Error("OPENAI_API_KEY missing");
+  }
+
+  const prompt = `
+You are an expert reader of Indian credit bureau reports (Experian/CIBIL/CRIF/Equifax).
+
+Extract the following strictly in JSON:
+
+1) score — the main bureau score only.
+2) enquiryCount — total credit enquiries.
+3) dpd — a short summary of delinquencies / overdues.
+4) loans[] — one item per credit facility, using:
+   - "SUMMARY: CREDIT ACCOUNT INFORMATION"
+   - "CREDIT ACCOUNT INFORMATION DETAILS"
+   For each loan, include a details object. In addition to the usual fields,
+   attempt to extract these if present in the credit account details:
+     - rateOfInterest: numeric rate of interest (e.g. "Rate of Interest 12.050" or "Rate of Interest 12.05%")
+     - repaymentTenure: remaining / reported repayment tenure (string or numeric; months preferred)
+     - totalWriteOffAmount: numeric (if the loan has been written off, total write-off amount)
+     - principalWriteOff: numeric (principal portion that was written off)
+     - settlementAmount: numeric (settlement / compromise amount if listed)
+     - dpdHistory: the month-wise payment history grid as comma separated
+       "YYYY-MM:DPD" pairs, newest first (e.g. "2024-03:000, 2024-02:030").
+       When a month shows an asset class instead of days (STD/SMA/SUB/DBT/LSS/XXX),
+       write the class instead: "2024-01:STD".
+
+5) enquiries[] — from "CREDIT ENQUIRIES".
+6) totals — rough values (backend/frontend may override parts).
+
+For each loan, include "details" with (where available):
+  lender, accountType, accountNumber, ownership, accountStatus,
+  dateOpened, dateReported, dateClosed, sanctionAmount, currentBalance,
+  amountOverdue, emiAmount, securityOrCollateral, dpdHistory,
+  rateOfInterest, repaymentTenure, totalWriteOffAmount, principalWriteOff, settlementAmount
+
+STRICT JSON shape (loans.details properties above may be null when absent):
+
+{
+  "score": number,
+  "enquiryCount": number,
+  "dpd": string,
+  "totals": {
+    "loanSanctioned": number,
+    "loanOutstanding": number,
+    "cardLimit": number,
+    "cardOutstanding": number
+  },
+  "loans": [
+    {
+      "type": string,
+      "status": string,
+      "line": string,
+      "details": {
+        "lender": string | null,
+        "accountType": string | null,
+        "accountNumber": string | null,
+        "ownership": string | null,
+        "accountStatus": string | null,
+        "dateOpened": string | null,
+        "dateReported": string | null,
+        "dateClosed": string | null,
+        "sanctionAmount": number | null,
+        "currentBalance": number | null,
+        "amountOverdue": number | null,
+        "emiAmount": number | null,
+        "securityOrCollateral": string | null,
+        "dpdHistory": string | null,
+        "rateOfInterest": number | null,
+        "repaymentTenure": string | null,
+        "totalWriteOffAmount": number | null,
+        "principalWriteOff": number | null,
+        "settlementAmount": number | null
+      }
+    }
+  ],
+  "enquiries": [
+    {
+      "institution": string,
+      "enquiryType": string,
+      "date": string,
+      "amount": number,
+      "status": string
+    }
+  ]
+}
+
+REPORT TEXT:
+${extractedText}
+`;
+
+  const response = await generate("bureau", {
+    input: prompt,
+    schema: {
+      name: "bureau_summary_with_details_v2_fixed",
+      schema: {
+        type: "object",
+        properties: {
+          score: { type: "number" },
+          enquiryCount: { type: "number" },
+          dpd: { type: "string" },
+          totals: {
+            type: "object",
+            properties: {
+              loanSanctioned: { type: "number" },
+              loanOutstanding: { type: "number" },
+              cardLimit: { type: "number" },
+              cardOutstanding: { type: "number" },
+            },
+            required: [
+              "loanSanctioned",
+              "loanOutstanding",
+              "cardLimit",
+              "cardOutstanding",
+            ],
+            additionalProperties: false,
+          },
+          loans: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                type: { type: "string" },
+                status: { type: "string" },
+                line: { type: "string" },
+                details: {
+                  type: "object",
+                  properties: {
+                    lender: { type: ["string", "null"] },
+                    accountType: { type: ["string", "null"] },
+                    accountNumber: { type: ["string", "null"] },
+                    ownership: { type: ["string", "null"] },
+                    accountStatus: { type: ["string", "null"] },
+                    dateOpened: { type: ["string", "null"] },
+                    dateReported: { type: ["string", "null"] },
+                    dateClosed: { type: ["string", "null"] },
+                    sanctionAmount: { type: ["number", "null"] },
+                    currentBalance: { type: ["number", "null"] },
+                    amountOverdue: { type: ["number", "null"] },
+                    emiAmount: { type: ["number", "null"] },
+                    securityOrCollateral: { type: ["string", "null"] },
+                    dpdHistory: { type: ["string", "null"] },
+
+                    // NEW optional fields (allow null)
+                    rateOfInterest: { type: ["number", "null"] },
+                    repaymentTenure: { type: ["string", "null"] },
+                    totalWriteOffAmount: { type: ["number", "null"] },
+                    principalWriteOff: { type: ["number", "null"] },
+                    settlementAmount: { type: ["number", "null"] }
+                  },
+                  // REQUIRED must include every key declared in properties per API validation
+                  required: [
+                    "lender",
+                    "accountType",
+                    "accountNumber",
+                    "ownership",
+                    "accountStatus",
+                    "dateOpened",
+                    "dateReported",
+                    "dateClosed",
+                    "sanctionAmount",
+                    "currentBalance",
+                    "amountOverdue",
+                    "emiAmount",
+                    "securityOrCollateral",
+                    "dpdHistory",
+                    "rateOfInterest",
+                    "repaymentTenure",
+                    "totalWriteOffAmount",
+                    "principalWriteOff",
+                    "settlementAmount"
+                  ],
+                  additionalProperties: false,
+                },
+              },
+              required: ["type", "status", "line", "details"],
+              additionalProperties: false,
+            },
+          },
+          enquiries: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                institution: { type: "string" },
+                enquiryType: { type: "string" },
+                date: { type: "string" },
+                amount: { type: "number" },
+                status: { type: "string" },
+              },
+              required: [
+                "institution",
+                "enquiryType",
+                "date",
+                "amount",
+                "status",
+              ],
+              additionalProperties: false,
+            },
+          },
+        },
+        required: [
+          "score",
+          "enquiryCount",
+          "dpd",
+          "totals",
+          "loans",
+          "enquiries",
+        ],
+        additionalProperties: false,
+      },
+    },
+  });
+
+  // Structured output, parsed by the gateway
+  const parsed = response.json || {};
+
+  // Normalize and coerce numeric fields
+  parsed.score = typeof parsed.score === "number" ? parsed.score : 0;
+  parsed.enquiryCount =
+    typeof parsed.enquiryCount === "number" ? parsed.enquiryCount : 0;
+  parsed.dpd = parsed.dpd || "0 - Clean";
+
+  if (!parsed.totals) {
+    parsed.totals = {
+      loanSanctioned: 0,
+      loanOutstanding: 0,
+      cardLimit: 0,
+      cardOutstanding: 0,
+    };
+  }
+
+  parsed.totals.loanSanctioned = parseAmount(parsed.totals.loanSanctioned);
+  parsed.totals.loanOutstanding = parseAmount(parsed.totals.loanOutstanding);
+  parsed.totals.cardLimit = parseAmount(parsed.totals.cardLimit);
+  parsed.totals.cardOutstanding = parseAmount(
+    parsed.totals.cardOutstanding
+  );
+
+  parsed.loans = Array.isArray(parsed.loans) ? parsed.loans : [];
+  parsed.enquiries = Array.isArray(parsed.enquiries)
+    ? parsed.enquiries
+    : [];
+
+  // Ensure each loan has a details object and parse newly requested fields
+  parsed.loans = parsed.loans.map((l) => {
+    const details = l.details || {};
+
+    const normalized = {
+      lender: details.lender || null,
+      accountType: details.accountType || null,
+      accountNumber: details.accountNumber || null,
+      ownership: details.ownership || null,
+      accountStatus: details.accountStatus || null,
+      dateOpened: details.dateOpened || null,
+      dateReported: details.dateReported || null,
+      dateClosed: details.dateClosed || null,
+      sanctionAmount: parseAmount(details.sanctionAmount),
+      currentBalance: parseAmount(details.currentBalance),
+      amountOverdue: parseAmount(details.amountOverdue),
+      emiAmount: parseAmount(details.emiAmount),
+      securityOrCollateral: details.securityOrCollateral || null,
+      dpdHistory: details.dpdHistory || null,
+      paymentHistory: parsePaymentHistory(details.dpdHistory, {
+        reportedDate: details.dateReported,
+      }),
+
+      // NEW fields (coerced)
+      rateOfInterest: (() => {
+        // accept numeric or numeric-in-string
+        const val = details.rateOfInterest ?? details.rate_of_interest ?? details['Rate of Interest'] ?? null;
+        return val == null ? null : parseAmount(val);
+      })(),
+      repaymentTenureRaw: details.repaymentTenure ?? details.repayment_tenure ?? details.tenure ?? null,
+      repaymentTenure: (() => {
+        const t = details.repaymentTenure ?? details.repayment_tenure ?? details.tenure ?? null;
+        const months = parseTenureToMonths(t);
+        return months !== null ? months : (t ? String(t) : null);
+      })(),
+      totalWriteOffAmount: (() => {
+        const val = details.totalWriteOffAmount ?? details.total_write_off_amount ?? details.totalWriteoffAmount ?? null;
+        return val == null ? 0 : parseAmount(val);
+      })(),
+      principalWriteOff: (() => {
+        const val = details.principalWriteOff ?? details.principal_write_off ?? details.principalWriteoff ?? null;
+        return val == null ? 0 : parseAmount(val);
+      })(),
+      settlementAmount: (() => {
+        const val = details.settlementAmount ?? details.settlement_amount ?? details.settlement ?? null;
+        return val == null ? 0 : parseAmount(val);
+      })()
+    };
+
+    return {
+      ...l,
+      details: normalized,
+    };
+  });
+
+  return parsed;
+}
@@ -0,0 +1,207 @@
+// bureauConsolidate.js
+//
+// One applicant, several bureau pulls (typically CIBIL + Experian) → one
+// tradeline list. The same account reported by two bureaus is merged into a
+// single tradeline that remembers which bureaus carry it and where they
+// disagree; each bureau's score is kept as-is, and the totals are
+// recomputed from the merged list so shared accounts are counted once.
+
+import { sameValue } from "./reconcile.js";
+import { accountKey, lendersMatch } from "./accountMatch.js";
+import { normaliseDate, classifyAccountType, classifyStatus, computeTotals } from "./parser.js";
+import { computeDpdMetrics, summariseDpdMetrics } from "./paymentHistory.js";
+
+// Fields the bureaus should agree on for the same account; a difference is
+// flagged on the tradeline and in `conflicts`
+const CONFLICT_FIELDS = ["currentBalance", "amountOverdue", "sanctionAmount", "emiAmount", "accountStatus", "dateClosed"];
+
+const isMissing = v => v == null || v === "" || v === 0;
+
+// "15-06-2021" → "20210615", so reported dates sort as strings
+function sortableDate(value) {
+  const d = normaliseDate(value);
+  return d ? d.split("-").reverse().join("") : "";
+}
+
+// Status words differ per bureau ("ACTIVE" / "Current" / "Open"); compare
+// the class they map to
+function comparable(field, value) {
+  if (field === "accountStatus") return classifyStatus(value, {});
+  if (field === "dateClosed") return normaliseDate(value);
+  return value;
+}
+
+// ---------- Matching ----------
+
+// Account number (trailing digits — each bureau masks differently), open
+// date and sanction amount; two of them must agree and none may clash,
+// unless the account numbers match outright.
+function sameTradeline(a, b) {
+  const da = a.details || {};
+  const db = b.details || {};
+  if (!lendersMatch(da.lender, db.lender)) return false;
+
+  let agree = 0;
+  let clash = 0;
+  const ka = accountKey(da.accountNumber);
+  const kb = accountKey(db.accountNumber);
+  if (ka && kb) {
+    if (ka !== kb) return false;
+    agree++;
+  }
+  const oa = normaliseDate(da.dateOpened);
+  const ob = normaliseDate(db.dateOpened);
+  if (oa && ob) oa === ob ? agree++ : clash++;
+  if (!isMissing(da.sanctionAmount) && !isMissing(db.sanctionAmount)) {
+    sameValue(da.sanctionAmount, db.sanctionAmount) ? agree++ : clash++;
+  }
+
+  return agree >= 2 || (agree === 1 && ka && kb && !clash);
+}
+
+// ---------- Merging ----------
+
+function mergePaymentHistory(entries) {
+  const byMonth = new Map();
+  for (const e of entries) {
+    const prev = byMonth.get(e.month);
+    if (!prev || (e.dpd ?? 0) > (prev.dpd ?? 0)) byMonth.set(e.month, e);
+  }
+  return [...byMonth.values()].sort((a, b) => (a.month < b.month ? 1 : -1));
+}
+
+// `members` are { bureau, reportId, loan }, at most one per bureau
+function mergeTradeline(members) {
+  // The most recently reported copy is the best picture of the account today
+  const ordered = [...members].sort(
+    (a, b) => sortableDate(b.loan.details?.dateReported).localeCompare(sortableDate(a.loan.details?.dateReported))
+  );
+  const primary = ordered[0];
+
+  const details = { ...primary.loan.details };
+  for (const { loan } of ordered.slice(1)) {
+    for (const [k, v] of Object.entries(loan.details || {})) {
+      if (isMissing(details[k]) && !isMissing(v)) details[k] = v;
+    }
+  }
+  details.paymentHistory = mergePaymentHistory(ordered.flatMap(m => m.loan.details?.paymentHistory || []));
+
+  const conflicts = [];
+  if (members.length > 1) {
+    for (const field of CONFLICT_FIELDS) {
+      const reported = members.filter(m => !isMissing(m.loan.details?.[field]));
+      if (reported.length < 2) continue;
+      const first = comparable(field, reported[0].loan.details[field]);
+      const differs = reported.some(m => {
+        const v = comparable(field, m.loan.details[field]);
+        return typeof v === "number" && typeof first === "number" ? !sameValue(v, first) : v !== first;
+      });
+      if (differs) {
+        conflicts.push({
+          field,
+          values: Object.fromEntries(reported.map(m => [m.bureau, m.loan.details[field]])),
+          chosen: primary.bureau
+        });
+      }
+    }
+  }
+
+  const type = primary.loan.type || details.accountType;
+  return {
+    type,
+    status: classifyStatus(details.accountStatus || primary.loan.status, details),
+    line: primary.loan.line,
+    details,
+    bureaus: members.map(m => m.bureau),
+    sources: members.map(m => ({
+      bureau: m.bureau,
+      reportId: m.reportId,
+      dateReported: m.loan.details?.dateReported || null,
+      accountStatus: m.loan.details?.accountStatus || m.loan.status || null,
+      currentBalance: m.loan.details?.currentBalance ?? null,
+      amountOverdue: m.loan.details?.amountOverdue ?? null
+    })),
+    conflicts
+  };
+}
+
+const enquiryKey = e =>
+  [String(e.institution || "").toLowerCase().replace(/[^a-z0-9]/g, ""), normaliseDate(e.date) || String(e.date || "")].join("|");
+
+// =====================================================
+// PUBLIC — several bureau results → one applicant view
+// =====================================================
+// `reports` is [{ result, bureau?, reportId?, pulledAt? }] where `result`
+// is the /analyze result. The output keeps the result's shape where it can
+// (loans, enquiries, totals, dpdMetrics) so the Frontend can read it the
+// same way; `scores` replaces the single `score`.
+export function consolidateBureauResults(reports) {
+  const inputs = (reports || []).map((r, i) => ({
+    bureau: r.bureau || r.result?.bureau || `Report ${i + 1}`,
+    reportId: r.reportId || null,
+    pulledAt: r.pulledAt || null,
+    result: r.result || {}
+  }));
+
+  // Two pulls from the same bureau would otherwise share a label
+  const seen = {};
+  for (const input of inputs) {
+    seen[input.bureau] = (seen[input.bureau] || 0) + 1;
+    if (seen[input.bureau] > 1) input.bureau = `${input.bureau} #${seen[input.bureau]}`;
+  }
+
+  // Greedy clustering: each account joins the first tradeline that has no
+  // account from its bureau yet and matches it
+  const clusters = [];
+  for (const input of inputs) {
+    for (const loan of Array.isArray(input.result.loans) ? input.result.loans : []) {
+      const member = { bureau: input.bureau, reportId: input.reportId, loan };
+      const cluster = clusters.find(c => !c.some(m => m.bureau === input.bureau) && c.some(m => sameTradeline(m.loan, loan)));
+      if (cluster) cluster.push(member);
+      else clusters.push([member]);
+    }
+  }
+  const loans = clusters.map(mergeTradeline);
+
+  const enquiriesByKey = new Map();
+  for (const input of inputs) {
+    for (const e of Array.isArray(input.result.enquiries) ? input.result.enquiries : []) {
+      const key = enquiryKey(e);
+      if (enquiriesByKey.has(key)) enquiriesByKey.get(key).bureaus.push(input.bureau);
+      else enquiriesByKey.set(key, { ...e, bureaus: [input.bureau] });
+    }
+  }
+  const enquiries = [...enquiriesByKey.values()];
+
+  const totals = computeTotals(loans.map(l => ({ ...l, type: classifyAccountType(l.type) })));
+  const dpdMetrics = computeDpdMetrics(loans);
+  const overdueAccounts = loans.filter(l => l.details?.amountOverdue > 0).length;
+
+  const conflicts = loans.flatMap(l =>
+    l.conflicts.map(c => ({ ...c, lender: l.details?.lender || null, accountNumber: l.details?.accountNumber || null }))
+  );
+
+  return {
+    bureaus: inputs.map(i => i.bureau),
+    scores: inputs.map(i => ({
+      bureau: i.bureau,
+      score: i.result.score ?? null,
+      reportId: i.reportId,
+      pulledAt: i.pulledAt
+    })),
+    enquiryCount: enquiries.length,
+    enquiryCountByBureau: Object.fromEntries(inputs.map(i => [i.bureau, i.result.enquiryCount ?? 0])),
+    dpdSummary: summariseDpdMetrics(dpdMetrics, overdueAccounts),
+    dpdMetrics,
+    totals,
+    loans,
+    enquiries,
+    conflicts,
+    summary: {
+      tradelines: loans.length,
+      reportedByAll: loans.filter(l => l.bureaus.length === inputs.length).length,
+      singleBureau: loans.filter(l => l.bureaus.length === 1).length,
+      conflicts: conflicts.length
+    }
+  };
+}
@@ -0,0 +1,182 @@
+// bureauDiff.js
+//
+// What changed between two bureau pulls for the same customer: accounts
+// opened or closed since, balance and overdue movements on the accounts
+// both reports carry, fresh DPD months, new enquiries and the score delta.
+// Works on the reconciled result /analyze returns, leaning on each loan's
+// `details` (account number, lender, balances, paymentHistory).
+
+import { accountKey, lendersMatch, matchAccounts } from "./accountMatch.js";
+import { normaliseDate } from "./parser.js";
+import { parsePaymentHistory } from "./paymentHistory.js";
+
+export const COMPARE_INPUT_INVALID = "COMPARE_INPUT_INVALID";
+
+const TOTAL_KEYS = ["loanSanctioned", "loanOutstanding", "cardLimit", "cardOutstanding"];
+
+// Balance moves smaller than this are rounding between pulls, not news
+const MIN_AMOUNT_CHANGE = 1;
+
+const num = v => (typeof v === "number" && Number.isFinite(v) ? v : 0);
+
+function delta(before, after) {
+  const b = before ?? null;
+  const a = after ?? null;
+  return { before: b, after: a, delta: a != null && b != null ? a - b : null };
+}
+
+function isClosed(loan) {
+  const d = loan.details || {};
+  return !!d.dateClosed || /clos|settled|written|paid/i.test(d.accountStatus || loan.status || "");
+}
+
+// A short handle for an account, enough to find it in either report
+function describe(loan) {
+  const d = loan.details || {};
+  return {
+    lender: d.lender || null,
+    accountNumber: d.accountNumber || null,
+    type: loan.type || d.accountType || null,
+    status: d.accountStatus || loan.status || null,
+    dateOpened: d.dateOpened || null,
+    sanctionAmount: d.sanctionAmount ?? null,
+    currentBalance: d.currentBalance ?? null,
+    amountOverdue: d.amountOverdue ?? null
+  };
+}
+
+function history(loan) {
+  const d = loan.details || {};
+  return parsePaymentHistory(d.paymentHistory?.length ? d.paymentHistory : d.dpdHistory, {
+    reportedDate: d.dateReported
+  });
+}
+
+const isDelinquent = entry => entry.dpd > 0 || ["SMA", "SUB", "DBT", "LSS"].includes(entry.assetClass);
+
+// ---------- Account matching ----------
+
+// Same trailing account digits and an overlapping lender name (see
+// accountMatch.js); accounts without a usable number fall back to lender +
+// date opened.
+function sameAccount(a, b) {
+  const da = a.details || {};
+  const db = b.details || {};
+  if (!lendersMatch(da.lender, db.lender)) return false;
+  const ka = accountKey(da.accountNumber);
+  const kb = accountKey(db.accountNumber);
+  if (ka && kb) return ka === kb;
+  const opened = normaliseDate(da.dateOpened);
+  return !!opened && opened === normaliseDate(db.dateOpened) && !!da.lender && !!db.lender;
+}
+
+// Each later account against the earlier ones: { pairs: [{ before, after }],
+// added, dropped }
+function pairAccounts(beforeLoans, afterLoans) {
+  const { pairs, unmatched } = matchAccounts(afterLoans, beforeLoans, (after, before) => sameAccount(before, after));
+  return {
+    pairs: pairs.filter(p => p.match).map(p => ({ before: p.match, after: p.loan })),
+    added: pairs.filter(p => !p.match).map(p => p.loan),
+    dropped: unmatched
+  };
+}
+
+// ---------- Enquiries ----------
+
+const enquiryKey = e =>
+  [
+    String(e.institution || "").toLowerCase().replace(/[^a-z0-9]/g, ""),
+    normaliseDate(e.date) || String(e.date || ""),
+    num(e.amount)
+  ].join("|");
+
+// =====================================================
+// PUBLIC — compare an earlier bureau result with a later one
+// =====================================================
+// Both arguments are the `result` object from /analyze (a stored report's
+// `data.result`). Accounts present in `before` but missing from `after` are
+// listed under `droppedAccounts`: bureaus stop printing some closed
+// accounts, so that alone is not treated as a closure.
+export function compareBureauResults(before, after) {
+  const b = before || {};
+  const a = after || {};
+  const beforeLoans = Array.isArray(b.loans) ? b.loans : [];
+  const afterLoans = Array.isArray(a.loans) ? a.loans : [];
+  const { pairs, added, dropped } = pairAccounts(beforeLoans, afterLoans);
+
+  const closedAccounts = [];
+  const balanceChanges = [];
+  const newDpdEntries = [];
+
+  for (const pair of pairs) {
+    const account = describe(pair.after);
+    if (isClosed(pair.after) && !isClosed(pair.before)) {
+      closedAccounts.push({ ...account, dateClosed: pair.after.details?.dateClosed || null });
+    }
+
+    const balance = delta(num(pair.before.details?.currentBalance), num(pair.after.details?.currentBalance));
+    const overdue = delta(num(pair.before.details?.amountOverdue), num(pair.after.details?.amountOverdue));
+    if (Math.abs(balance.delta) >= MIN_AMOUNT_CHANGE || Math.abs(overdue.delta) >= MIN_AMOUNT_CHANGE) {
+      balanceChanges.push({
+        lender: account.lender,
+        accountNumber: account.accountNumber,
+        type: account.type,
+        currentBalance: balance,
+        amountOverdue: overdue
+      });
+    }
+
+    // Delinquent months the earlier pull didn't show (new, or re-reported
+    // worse than before)
+    const seen = new Map(history(pair.before).map(e => [e.month, e]));
+    const fresh = history(pair.after).filter(e => {
+      if (!isDelinquent(e)) return false;
+      const old = seen.get(e.month);
+      return !old || !isDelinquent(old) || num(e.dpd) > num(old.dpd);
+    });
+    if (fresh.length) {
+      newDpdEntries.push({ lender: account.lender, accountNumber: account.accountNumber, type: account.type, entries: fresh });
+    }
+  }
+
+  // A brand-new account that is already behind is worth flagging too
+  for (const loan of added) {
+    const entries = history(loan).filter(isDelinquent);
+    if (entries.length) {
+      const account = describe(loan);
+      newDpdEntries.push({ lender: account.lender, accountNumber: account.accountNumber, type: account.type, entries, newAccount: true });
+    }
+  }
+
+  const beforeEnquiries = new Set((Array.isArray(b.enquiries) ? b.enquiries : []).map(enquiryKey));
+  const newEnquiries = (Array.isArray(a.enquiries) ? a.enquiries : []).filter(e => !beforeEnquiries.has(enquiryKey(e)));
+
+  const totals = {};
+  for (const key of TOTAL_KEYS) totals[key] = delta(num(b.totals?.[key]), num(a.totals?.[key]));
+
+  const score = delta(b.score || null, a.score || null);
+  const overdueBefore = beforeLoans.reduce((s, l) => s + num(l.details?.amountOverdue), 0);
+  const overdueAfter = afterLoans.reduce((s, l) => s + num(l.details?.amountOverdue), 0);
+
+  return {
+    bureau: { before: b.bureau || null, after: a.bureau || null },
+    score,
+    enquiryCount: delta(num(b.enquiryCount), num(a.enquiryCount)),
+    totals,
+    newAccounts: added.map(describe),
+    closedAccounts,
+    droppedAccounts: dropped.map(describe),
+    balanceChanges,
+    newDpdEntries,
+    newEnquiries,
+    summary: {
+      scoreDelta: score.delta,
+      newAccounts: added.length,
+      closedAccounts: closedAccounts.length,
+      newEnquiries: newEnquiries.length,
+      accountsWithNewDpd: newDpdEntries.length,
+      overdueDelta: overdueAfter - overdueBefore,
+      outstandingDelta: totals.loanOutstanding.delta
+    }
+  };
+}
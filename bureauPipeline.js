@@ -0,0 +1,126 @@
+// bureauPipeline.js
+//
+// Bureau PDF → reconciled result, the whole /analyze flow in one call so the
+// HTTP route and the background job worker run exactly the same steps:
+// open (with passwords), OCR scanned pages, read the layout, rule-based
+// parse, AI extraction, and the field-by-field merge.
+
+import { parseBureauReport, extractTotalCurrentBalance } from "./parser.js";
+import { reconcileBureauResults } from "./reconcile.js";
+import { analyzeWithAI, BUREAU_PROMPT_VERSION } from "./bureauAI.js";
+import { readPdfPages } from "./statementChunks.js";
+import { ocrLowTextPages } from "./ocr.js";
+import { extractLayout } from "./pdfLayout.js";
+import { taskConfig } from "./modelGateway.js";
+import { LLM_BUDGET_EXCEEDED } from "./usageMeter.js";
+import { PDF_UNREADABLE, AI_PARSE_FAILED, pipelineError } from "./common.js";
+
+// Bump with any change to what this pipeline produces from the same PDF
+// (rule-based parsing, OCR, the merge). With the prompt version and the
+// model it keys cached results (resultCache.js).
+const BUREAU_PARSER_VERSION = "bureau-parser-10";
+
+export function bureauPipelineVersion() {
+  return { parser: BUREAU_PARSER_VERSION, prompt: BUREAU_PROMPT_VERSION, model: taskConfig("bureau").model };
+}
+
+// =====================================================
+// PUBLIC — bureau PDF buffer → { message, aiError, ocr, result }
+// =====================================================
+// `passwords` is { password, candidates } (see pdfPassword.js).
+// `onStage(stage)` hears "extracting", "ocr" and "ai" as they start.
+// Rejects with err.code PDF_PASSWORD_REQUIRED / PDF_PASSWORD_INCORRECT,
+// UPLOAD_TOO_MANY_PAGES, PDF_UNREADABLE, or AI_PARSE_FAILED when the AI failed and the rules found
+// nothing to fall back on (LLM_BUDGET_EXCEEDED when it wasn't allowed to run).
+export async function analyzeBureauPdf(buffer, { passwords = {}, onStage = () => {} } = {}) {
+  onStage("extracting");
+  const pdfData = await readPdfPages(buffer, passwords);
+  let extractedText = pdfData.text || "";
+
+  console.log("Initial PDF text length:", extractedText.length);
+
+  // Scanned pages → OCR, page by page; don't crash if OCR fails
+  let ocr = null;
+  try {
+    const ocrResult = await ocrLowTextPages({
+      buffer,
+      pages: pdfData.pages,
+      password: pdfData.passwordUsed,
+      onStart: () => onStage("ocr")
+    });
+    ocr = ocrResult.ocr;
+    if (ocr) {
+      extractedText = ocrResult.pages.join("\n\n");
+      console.log("OCR pages:", ocr.pages.length, "avg confidence:", ocr.averageConfidence, "text length:", extractedText.length);
+    }
+  } catch (ocrErr) {
+    console.error("OCR Error:", ocrErr);
+    // Continue with whatever pdf-parse gave us
+  }
+
+  if (!extractedText || extractedText.trim().length < 100) {
+    throw pipelineError(PDF_UNREADABLE, "Unreadable PDF. Please upload the original bureau report downloaded as PDF.");
+  }
+
+  // Text positions → account summary tables and page numbers
+  let layout = null;
+  try {
+    layout = await extractLayout(buffer, { password: pdfData.passwordUsed });
+  } catch (layoutErr) {
+    console.error("PDF layout extraction error:", layoutErr);
+  }
+
+  // 1) Rule-based parse — cheap, deterministic, always runs
+  let rule = null;
+  try {
+    rule = parseBureauReport(extractedText, { layout });
+  } catch (ruleErr) {
+    console.error("Rule-based parsing error:", ruleErr);
+  }
+  // A score alone proves nothing: the generic patterns find one in most
+  // documents. The report's bureau or a parsed account must be there too.
+  const ruleUsable = !!rule && (!!rule.bureau || rule.loans.some(l => l.details));
+
+  // 2) AI extraction: score / loans / enquiries / rough totals
+  onStage("ai");
+  let ai = null;
+  let aiError = null;
+  try {
+    ai = await analyzeWithAI(extractedText);
+  } catch (aiErr) {
+    console.error("AI parsing error:", aiErr);
+    let msg =
+      aiErr.response?.data?.error?.message ||
+      aiErr.message ||
+      "Unknown AI error";
+
+    if (aiErr.code === "LLM_RATE_LIMITED" || msg.includes("Rate limit")) {
+      msg =
+        "Our AI engine is temporarily busy. Please wait 20–30 seconds and try again.";
+    }
+    // The budget message says whose budget ran out; it reaches the caller
+    // either way, as aiError on the fallback or as the error itself
+    aiError = msg;
+
+    if (!ruleUsable) {
+      if (aiErr.code === LLM_BUDGET_EXCEEDED) throw aiErr;
+      throw pipelineError(AI_PARSE_FAILED, "AI parsing error: " + msg);
+    }
+  }
+
+  // 3) Merge field by field; Total Current Bal. amt overrides OUTSTANDING
+  const result = reconcileBureauResults({
+    ai,
+    rule: ruleUsable ? rule : null,
+    reportTotalOutstanding: extractTotalCurrentBalance(extractedText),
+  });
+
+  return {
+    message: ai
+      ? "PDF parsed successfully"
+      : "PDF parsed without AI (rule-based fallback): " + aiError,
+    aiError,
+    ocr,
+    result
+  };
+}
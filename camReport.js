@@ -0,0 +1,471 @@
+// camReport.js
+//
+// Credit appraisal memo (CAM): the stored bureau and bank results for one
+// applicant, plus eligibility and credit-policy outcomes and the analyst's
+// remarks, laid out as a branded PDF so nobody retypes /analyze output into
+// a Word template. buildCam() assembles the memo as plain data (also what
+// ?format=json returns); renderCamPdf() draws it with pdfkit.
+
+import PDFDocument from "pdfkit";
+import { formatPaymentHistory } from "./paymentHistory.js";
+
+export const CAM_INPUT_INVALID = "CAM_INPUT_INVALID";
+
+const BRAND = "Kalki Finserv";
+const BRAND_COLOR = "#1e3a8a";
+const MUTED = "#6b7280";
+const RULE_COLOR = "#e5e7eb";
+
+// DPD history shows this many of the most recent months per account
+const DPD_MONTHS = 12;
+
+// The standard PDF fonts have no ₹ glyph, so amounts (including the ones
+// inside policy messages) are written "Rs."
+const inr = n => (n == null || n === "" || Number.isNaN(Number(n)) ? "-" : `Rs. ${Math.round(Number(n)).toLocaleString("en-IN")}`);
+const pct = n => (n == null ? "-" : `${Math.round(n * 100)}%`);
+const text = v => (v == null || v === "" ? "-" : String(v).replace(/₹\s?/g, "Rs. "));
+
+// =====================================================
+// PUBLIC — memo data from stored reports
+// =====================================================
+// `bureau` / `bank` are stored reports (reportStore getReport), either may
+// be null. `eligibility` is evaluateEligibility() output and `policy`
+// evaluateCreditPolicy() output, both optional.
+export function buildCam({ applicant = null, bureau = null, bank = null, eligibility = null, policy = null, analyst = null, remarks = null, recommendation = null }) {
+  const result = bureau?.data?.result || null;
+  const statement = bank?.data || null;
+  const loans = Array.isArray(result?.loans) ? result.loans : [];
+
+  return {
+    generatedAt: new Date().toISOString(),
+    analyst: analyst || null,
+    applicant: applicant
+      ? {
+          id: applicant.id,
+          externalId: applicant.externalId || null,
+          name: applicant.name || null,
+          panMasked: applicant.panMasked || null,
+          mobileLast4: applicant.mobileLast4 || null
+        }
+      : null,
+    sources: {
+      bureauReportId: bureau?.id || null,
+      bureauFile: bureau?.fileName || null,
+      bureauPulledAt: bureau?.createdAt || null,
+      bankReportId: bank?.id || null,
+      bankFile: bank?.fileName || null
+    },
+    bureau: result
+      ? {
+          bureau: result.bureau || null,
+          score: result.score ?? null,
+          dpdSummary: result.dpdSummary || result.dpd || null,
+          totals: result.totals || null,
+          enquiryCount: result.enquiryCount ?? 0,
+          tradelines: loans.map(l => {
+            const d = l.details || {};
+            return {
+              lender: d.lender || null,
+              type: l.type || d.accountType || null,
+              accountNumber: d.accountNumber || null,
+              status: d.accountStatus || l.status || null,
+              dateOpened: d.dateOpened || null,
+              sanctionAmount: d.sanctionAmount ?? null,
+              currentBalance: d.currentBalance ?? null,
+              amountOverdue: d.amountOverdue ?? null,
+              emiAmount: d.emiAmount ?? null,
+              dpdHistory: (d.paymentHistory || []).slice(0, DPD_MONTHS)
+            };
+          }),
+          enquiries: (result.enquiries || []).map(e => ({
+            institution: e.institution || null,
+            enquiryType: e.enquiryType || null,
+            date: e.date || null,
+            amount: e.amount ?? null
+          }))
+        }
+      : null,
+    bank: statement
+      ? {
+          bank: statement.bank || null,
+          from: statement.transactions?.[0]?.date || null,
+          to: statement.transactions?.[statement.transactions.length - 1]?.date || null,
+          openingBalance: statement.openingBalance ?? null,
+          closingBalance: statement.closingBalance ?? null,
+          totalCredits: statement.totalCredits ?? null,
+          totalDebits: statement.totalDebits ?? null,
+          avgBalance12M: statement.avgBalance12M ?? null,
+          cashflow: statement.cashflow || [],
+          salary: statement.salaryDetection?.isSalaried
+            ? {
+                employer: statement.salaryDetection.employer || null,
+                averageSalary: statement.salaryDetection.averageSalary ?? null,
+                creditDay: statement.salaryDetection.creditDay ?? null
+              }
+            : null,
+          emiBounceCount: statement.emiBounceCount ?? 0,
+          detectedEmis: (statement.detectedEmis || []).map(e => ({ lender: e.lender, amount: e.amount, dayOfMonth: e.dayOfMonth ?? null })),
+          odUsed: !!statement.odUsage?.used
+        }
+      : null,
+    obligations: eligibility?.existingObligations || null,
+    eligibility: eligibility
+      ? {
+          customerType: eligibility.customerType,
+          income: eligibility.income,
+          asOf: eligibility.asOf,
+          products: eligibility.products
+        }
+      : null,
+    policy: policy
+      ? {
+          lender: policy.lender,
+          version: policy.policyVersion,
+          decision: policy.decision,
+          failed: policy.rules.filter(r => !r.passed).map(r => ({ id: r.id, title: r.title, message: r.message, severity: r.severity }))
+        }
+      : null,
+    remarks: remarks || null,
+    recommendation: recommendation || null
+  };
+}
+
+// ---------- Drawing helpers ----------
+
+function pageBottom(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > pageBottom(doc)) doc.addPage();
+}
+
+function heading(doc, title) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8);
+  doc.font("Helvetica-Bold").fontSize(12).fillColor(BRAND_COLOR).text(title, doc.page.margins.left);
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).strokeColor(BRAND_COLOR).lineWidth(1).stroke();
+  doc.moveDown(0.5);
+  doc.font("Helvetica").fontSize(9).fillColor("black");
+}
+
+function note(doc, message) {
+  doc.font("Helvetica-Oblique").fontSize(9).fillColor(MUTED).text(message, doc.page.margins.left);
+  doc.font("Helvetica").fillColor("black");
+}
+
+// Label / value pairs, two per row
+function keyValues(doc, pairs) {
+  const left = doc.page.margins.left;
+  const colWidth = (doc.page.width - left - doc.page.margins.right) / 2;
+  for (let i = 0; i < pairs.length; i += 2) {
+    ensureSpace(doc, 14);
+    const y = doc.y;
+    pairs.slice(i, i + 2).forEach(([label, value], j) => {
+      const x = left + j * colWidth;
+      doc.font("Helvetica-Bold").fontSize(9).fillColor(MUTED).text(label, x, y, { width: 110 });
+      doc.font("Helvetica").fillColor("black").text(text(value), x + 112, y, { width: colWidth - 116 });
+    });
+    doc.y = y + 14;
+  }
+  doc.x = left;
+}
+
+// columns: [{ header, width, align?, value: row => string }]
+function table(doc, columns, rows) {
+  const left = doc.page.margins.left;
+  const pad = 3;
+  const drawHeader = () => {
+    const y = doc.y;
+    doc.rect(left, y, columns.reduce((s, c) => s + c.width, 0), 14).fill("#f3f4f6");
+    let x = left;
+    doc.font("Helvetica-Bold").fontSize(8).fillColor("#111827");
+    for (const c of columns) {
+      doc.text(c.header, x + pad, y + 3, { width: c.width - pad * 2, align: c.align || "left", lineBreak: false });
+      x += c.width;
+    }
+    doc.y = y + 14;
+    doc.font("Helvetica").fontSize(8).fillColor("black");
+  };
+
+  ensureSpace(doc, 30);
+  drawHeader();
+  for (const row of rows) {
+    const cells = columns.map(c => text(c.value(row)));
+    const height = Math.max(12, ...cells.map((v, i) => doc.heightOfString(v, { width: columns[i].width - pad * 2 }) + 4));
+    if (doc.y + height > pageBottom(doc)) {
+      doc.addPage();
+      drawHeader();
+    }
+    const y = doc.y;
+    let x = left;
+    cells.forEach((v, i) => {
+      doc.text(v, x + pad, y + 2, { width: columns[i].width - pad * 2, align: columns[i].align || "left" });
+      x += columns[i].width;
+    });
+    doc.moveTo(left, y + height).lineTo(x, y + height).strokeColor(RULE_COLOR).lineWidth(0.5).stroke();
+    doc.y = y + height;
+  }
+  doc.x = left;
+}
+
+// Credits vs debits per month as paired bars
+function cashflowChart(doc, cashflow) {
+  const months = cashflow.slice(-12);
+  if (!months.length) return;
+  const height = 110;
+  ensureSpace(doc, height + 30);
+
+  const left = doc.page.margins.left + 40;
+  const width = doc.page.width - doc.page.margins.right - left;
+  const top = doc.y + 5;
+  const max = Math.max(1, ...months.flatMap(m => [m.credits || 0, m.debits || 0]));
+  const slot = width / months.length;
+  const bar = Math.min(14, slot / 3);
+
+  doc.font("Helvetica").fontSize(7).fillColor(MUTED);
+  doc.text(inr(max), doc.page.margins.left, top - 3, { width: 38, align: "right" });
+  doc.text("0", doc.page.margins.left, top + height - 6, { width: 38, align: "right" });
+  doc.moveTo(left, top + height).lineTo(left + width, top + height).strokeColor("#9ca3af").lineWidth(0.5).stroke();
+
+  months.forEach((m, i) => {
+    const x = left + i * slot + (slot - bar * 2 - 2) / 2;
+    const credit = ((m.credits || 0) / max) * height;
+    const debit = ((m.debits || 0) / max) * height;
+    doc.rect(x, top + height - credit, bar, credit).fill("#16a34a");
+    doc.rect(x + bar + 2, top + height - debit, bar, debit).fill("#dc2626");
+    doc.fillColor(MUTED).text(m.month, left + i * slot, top + height + 3, { width: slot, align: "center" });
+  });
+
+  const legendY = top + height + 14;
+  doc.rect(left, legendY, 8, 8).fill("#16a34a");
+  doc.fillColor("black").text("Credits", left + 11, legendY);
+  doc.rect(left + 60, legendY, 8, 8).fill("#dc2626");
+  doc.fillColor("black").text("Debits", left + 71, legendY);
+  doc.y = legendY + 14;
+  doc.x = doc.page.margins.left;
+  doc.fontSize(9);
+}
+
+// ---------- Sections ----------
+
+function drawHeader(doc, cam) {
+  doc.rect(0, 0, doc.page.width, 60).fill(BRAND_COLOR);
+  doc.font("Helvetica-Bold").fontSize(18).fillColor("white").text(BRAND, doc.page.margins.left, 18);
+  doc.font("Helvetica").fontSize(11).text("Credit Appraisal Memo", doc.page.margins.left, 22, {
+    width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+    align: "right"
+  });
+  doc.fillColor("black").fontSize(9);
+  doc.y = 75;
+  keyValues(doc, [
+    ["Prepared on", cam.generatedAt.slice(0, 10)],
+    ["Prepared by", cam.analyst],
+    ["Bureau report", cam.sources.bureauReportId],
+    ["Bank report", cam.sources.bankReportId]
+  ]);
+}
+
+function drawApplicant(doc, cam) {
+  heading(doc, "Applicant");
+  const a = cam.applicant || {};
+  const e = cam.eligibility;
+  keyValues(doc, [
+    ["Name", a.name],
+    ["Application ID", a.externalId || a.id],
+    ["PAN", a.panMasked],
+    ["Mobile", a.mobileLast4 ? `XXXXXX${a.mobileLast4}` : null],
+    ["Customer type", e?.customerType],
+    ["Monthly income", e ? inr(e.income.monthly) : null]
+  ]);
+}
+
+function drawBureau(doc, cam) {
+  heading(doc, "Bureau summary");
+  const b = cam.bureau;
+  if (!b) return note(doc, "No bureau report on file.");
+  keyValues(doc, [
+    ["Bureau", b.bureau],
+    ["Score", b.score],
+    ["Accounts", b.tradelines.length],
+    ["Enquiries", b.enquiryCount],
+    ["Loans sanctioned", inr(b.totals?.loanSanctioned)],
+    ["Loans outstanding", inr(b.totals?.loanOutstanding)],
+    ["Card limit", inr(b.totals?.cardLimit)],
+    ["Card outstanding", inr(b.totals?.cardOutstanding)]
+  ]);
+  doc.moveDown(0.3);
+  doc.font("Helvetica-Bold").text("DPD summary: ", { continued: true }).font("Helvetica").text(text(b.dpdSummary));
+
+  heading(doc, "Tradelines");
+  if (!b.tradelines.length) return note(doc, "No accounts reported.");
+  table(doc, [
+    { header: "Lender", width: 105, value: t => t.lender },
+    { header: "Type", width: 75, value: t => t.type },
+    { header: "Status", width: 50, value: t => t.status },
+    { header: "Opened", width: 55, value: t => t.dateOpened },
+    { header: "Sanctioned", width: 62, align: "right", value: t => inr(t.sanctionAmount) },
+    { header: "Balance", width: 62, align: "right", value: t => inr(t.currentBalance) },
+    { header: "Overdue", width: 52, align: "right", value: t => (t.amountOverdue ? inr(t.amountOverdue) : "-") },
+    { header: "EMI", width: 54, align: "right", value: t => (t.emiAmount ? inr(t.emiAmount) : "-") }
+  ], b.tradelines);
+
+  heading(doc, `DPD history (latest ${DPD_MONTHS} months)`);
+  const withHistory = b.tradelines.filter(t => t.dpdHistory.length);
+  if (!withHistory.length) return note(doc, "No payment history grid in this report.");
+  table(doc, [
+    { header: "Account", width: 140, value: t => `${text(t.lender)} ${t.accountNumber ? `(${t.accountNumber})` : ""}` },
+    { header: "Month:DPD, newest first", width: 375, value: t => formatPaymentHistory(t.dpdHistory) }
+  ], withHistory);
+}
+
+function drawEnquiries(doc, cam) {
+  heading(doc, "Enquiries");
+  const list = cam.bureau?.enquiries || [];
+  if (!list.length) return note(doc, "No enquiries reported.");
+  table(doc, [
+    { header: "Institution", width: 180, value: e => e.institution },
+    { header: "Purpose", width: 150, value: e => e.enquiryType },
+    { header: "Date", width: 80, value: e => e.date },
+    { header: "Amount", width: 105, align: "right", value: e => inr(e.amount) }
+  ], list);
+}
+
+function drawBank(doc, cam) {
+  heading(doc, "Banking");
+  const b = cam.bank;
+  if (!b) return note(doc, "No bank statement on file.");
+  keyValues(doc, [
+    ["Bank", b.bank],
+    ["Period", `${text(b.from)} to ${text(b.to)}`],
+    ["Opening balance", inr(b.openingBalance)],
+    ["Closing balance", inr(b.closingBalance)],
+    ["Total credits", inr(b.totalCredits)],
+    ["Total debits", inr(b.totalDebits)],
+    ["Average balance (12M)", inr(b.avgBalance12M)],
+    ["EMI bounces", b.emiBounceCount],
+    ["Salary", b.salary ? `${inr(b.salary.averageSalary)} from ${text(b.salary.employer)}` : "Not detected"],
+    ["Overdraft used", b.odUsed ? "Yes" : "No"]
+  ]);
+  doc.moveDown(0.5);
+  cashflowChart(doc, b.cashflow);
+  if (b.cashflow.length) {
+    table(doc, [
+      { header: "Month", width: 120, value: m => m.month },
+      { header: "Credits", width: 130, align: "right", value: m => inr(m.credits) },
+      { header: "Debits", width: 130, align: "right", value: m => inr(m.debits) },
+      { header: "Net", width: 135, align: "right", value: m => inr((m.credits || 0) - (m.debits || 0)) }
+    ], b.cashflow);
+  }
+}
+
+function drawObligations(doc, cam) {
+  heading(doc, "EMI obligations");
+  const rows = [
+    ...(cam.obligations?.loans || []).map(l => ({ source: "Bureau", lender: l.lender, type: l.type, emi: l.emi, basis: l.basis })),
+    ...(cam.bank?.detectedEmis || []).map(e => ({ source: "Bank", lender: e.lender, type: "Recurring debit", emi: e.amount, basis: e.dayOfMonth ? `debited ~day ${e.dayOfMonth}` : null }))
+  ];
+  if (!rows.length) return note(doc, "No existing EMIs found.");
+  table(doc, [
+    { header: "Source", width: 55, value: r => r.source },
+    { header: "Lender", width: 160, value: r => r.lender },
+    { header: "Facility", width: 120, value: r => r.type },
+    { header: "Monthly EMI", width: 80, align: "right", value: r => inr(r.emi) },
+    { header: "Basis", width: 100, value: r => r.basis }
+  ], rows);
+  if (cam.obligations) {
+    doc.moveDown(0.3);
+    doc.font("Helvetica-Bold").text(`Total existing EMI used for eligibility: ${inr(cam.obligations.monthlyEmi)} (${cam.obligations.source})`);
+    doc.font("Helvetica");
+  }
+}
+
+function drawEligibility(doc, cam) {
+  heading(doc, "Eligibility");
+  const e = cam.eligibility;
+  if (!e) return note(doc, "Not computed: no customer type / income supplied.");
+  doc.text(`${e.customerType === "salaried" ? "FOIR" : "DSCR"} basis, income ${inr(e.income.monthly)} / month, policy as of ${e.asOf}.`);
+  doc.moveDown(0.3);
+  table(doc, [
+    { header: "Product", width: 105, value: p => p.label || p.productId },
+    { header: "ROI", width: 35, align: "right", value: p => (p.roi != null ? `${p.roi}%` : null) },
+    { header: "Tenure", width: 42, align: "right", value: p => (p.tenure ? `${p.tenure}m` : "-") },
+    { header: "Requested", width: 68, align: "right", value: p => (p.requested ? inr(p.requested.amount) : "-") },
+    { header: "Eligible", width: 70, align: "right", value: p => (p.error ? p.error : inr(p.eligibleAmount)) },
+    { header: "EMI", width: 58, align: "right", value: p => inr(p.emi) },
+    { header: "Binding", width: 55, value: p => p.bindingConstraint },
+    { header: "Policy", width: 82, value: p => p.policy && `${p.policy.version} ${p.policy.foir != null ? `FOIR ${pct(p.policy.foir)}` : `DSCR ${text(p.policy.dscr)}`}` }
+  ], e.products);
+}
+
+function drawPolicy(doc, cam) {
+  if (!cam.policy) return;
+  heading(doc, `Credit policy — ${cam.policy.lender} (${text(cam.policy.version)})`);
+  doc.font("Helvetica-Bold").fillColor(cam.policy.decision === "pass" ? "#16a34a" : "#dc2626").text(`Decision: ${cam.policy.decision.toUpperCase()}`);
+  doc.font("Helvetica").fillColor("black");
+  if (!cam.policy.failed.length) return;
+  doc.moveDown(0.3);
+  table(doc, [
+    { header: "Rule", width: 170, value: r => r.title },
+    { header: "Finding", width: 285, value: r => r.message },
+    { header: "Severity", width: 60, value: r => r.severity }
+  ], cam.policy.failed);
+}
+
+function drawRemarks(doc, cam) {
+  heading(doc, "Analyst remarks");
+  if (cam.recommendation) {
+    doc.font("Helvetica-Bold").text(`Recommendation: ${cam.recommendation}`);
+    doc.font("Helvetica").moveDown(0.3);
+  }
+  if (cam.remarks) doc.text(text(cam.remarks));
+  else note(doc, "No remarks recorded.");
+}
+
+// =====================================================
+// PUBLIC — memo data → PDF bytes
+// =====================================================
+export function renderCamPdf(cam) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margins: { top: 40, bottom: 50, left: 40, right: 40 },
+      bufferPages: true,
+      info: { Title: "Credit Appraisal Memo", Author: BRAND, Subject: cam.applicant?.name || "" }
+    });
+    const chunks = [];
+    doc.on("data", c => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    try {
+      drawHeader(doc, cam);
+      drawApplicant(doc, cam);
+      drawBureau(doc, cam);
+      drawEnquiries(doc, cam);
+      drawBank(doc, cam);
+      drawObligations(doc, cam);
+      drawEligibility(doc, cam);
+      drawPolicy(doc, cam);
+      drawRemarks(doc, cam);
+
+      // Footer on every page, once the page count is known
+      const range = doc.bufferedPageRange();
+      for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        const bottom = doc.page.height - 30;
+        doc.page.margins.bottom = 0;
+        doc.font("Helvetica").fontSize(7).fillColor(MUTED).text(
+          `${BRAND} · Confidential · Page ${i + 1} of ${range.count}`,
+          doc.page.margins.left,
+          bottom,
+          { width: doc.page.width - doc.page.margins.left - doc.page.margins.right, align: "center", lineBreak: false }
+        );
+      }
+      doc.end();
+    } catch (e) {
+      reject(e);
+    }
+  });
+}
@@ -0,0 +1,34 @@
+// common.js
+//
+// Small helpers more than one module needs: month names, zero padding, the
+// "Jan-2024" month labels the summaries print, UTC days, a sleep for
+// retry loops and the error codes both PDF pipelines raise.
+// Domain helpers stay with their domain (account matching is in
+// accountMatch.js).
+
+export const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+export const pad = n => String(n).padStart(2, "0");
+
+// "2024-01" or "2024-01-15" → "Jan-2024"
+export function monthLabel(key) {
+  const [y, m] = String(key).split("-");
+  const name = MONTHS[Number(m) - 1];
+  return `${name[0].toUpperCase()}${name.slice(1)}-${y}`;
+}
+
+// "YYYY-MM-DD" in UTC, which is how quotas and budgets count days
+export const utcDay = (d = new Date()) => d.toISOString().slice(0, 10);
+
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ---------- Pipeline errors ----------
+
+export const PDF_UNREADABLE = "PDF_UNREADABLE";
+export const AI_PARSE_FAILED = "AI_PARSE_FAILED";
+
+export function pipelineError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
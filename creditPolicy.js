@@ -0,0 +1,396 @@
+// creditPolicy.js
+//
+// Lender credit policy as data: each lender's cut-offs live in one JSON file
+// under CREDIT_POLICY_DIR (policies/lenders/), and this module evaluates
+// them against a bureau result. It replaces the Frontend's hard-coded
+// buildBureauRejectionReasons; policies/lenders/default.json carries the
+// same thresholds.
+//
+// A policy file:
+//
+//   { "lender": "HDFC Bank", "aliases": ["HDFC Bank PL"], "version": "2025.1",
+//     "rules": [{ "id": "lowScore", "type": "minScore", "min": 720,
+//                 "title": "...", "fixText": "..." }, ...] }
+//
+// Rule types and their parameters:
+//
+//   creditHistory          — fails when there is no score and no accounts
+//   minScore               min
+//   currentOverdue         maxAmount (per account; default 0)
+//   maxDpd                 max, windowMonths (null = whole history)
+//   accountFlags           statuses[], excludeStatuses[], amountFields[]
+//   enquiryVelocity        days, max, unsecuredOnly
+//   maxCardUtilisation     max (0–1)
+//   maxUnsecuredShare      max (0–1), minAccounts
+//   maxUnsecuredExposure   max (₹, outstanding on open unsecured accounts)
+//   maxNewAccounts         days, max
+//
+// Every rule may also set severity ("reject", the default, or "warn"),
+// stopOnFail (skip the remaining rules) and unlessFailed (rule ids; skip
+// this rule when one of them already failed — e.g. report 30+ DPD only
+// when 90+ didn't fire).
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normaliseDate, classifyAccountType, classifyStatus } from "./parser.js";
+import { effectiveDpd, toMonthKey } from "./paymentHistory.js";
+
+const POLICY_DIR =
+  process.env.CREDIT_POLICY_DIR ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "policies", "lenders");
+
+const DEFAULT_POLICY = "default";
+
+export const CREDIT_POLICY_NOT_FOUND = "CREDIT_POLICY_NOT_FOUND";
+export const CREDIT_POLICY_INVALID = "CREDIT_POLICY_INVALID";
+
+function policyError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// ---------- Policy files ----------
+
+const fileCache = new Map();
+
+function readPolicyFile(file) {
+  const full = path.join(POLICY_DIR, file);
+  const { mtimeMs } = fs.statSync(full);
+  const hit = fileCache.get(file);
+  if (hit && hit.mtimeMs === mtimeMs) return hit.policy;
+
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(full, "utf8"));
+  } catch (e) {
+    throw policyError(CREDIT_POLICY_INVALID, `${file}: ${e.message}`);
+  }
+  if (!Array.isArray(policy.rules)) throw policyError(CREDIT_POLICY_INVALID, `${file}: rules[] missing`);
+  for (const rule of policy.rules) {
+    if (!CHECKS[rule.type]) throw policyError(CREDIT_POLICY_INVALID, `${file}: rule ${rule.id} has unknown type "${rule.type}"`);
+  }
+  policy = { ...policy, key: file.replace(/\.json$/, "") };
+  fileCache.set(file, { mtimeMs, policy });
+  return policy;
+}
+
+function allPolicies() {
+  return fs
+    .readdirSync(POLICY_DIR)
+    .filter(f => f.endsWith(".json"))
+    .sort()
+    .map(readPolicyFile);
+}
+
+const simplify = s => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// By file name ("hdfc-bank"), lender name or alias ("HDFC Bank PL")
+function findPolicy(lender) {
+  const wanted = simplify(lender || DEFAULT_POLICY);
+  const policy = allPolicies().find(
+    p => simplify(p.key) === wanted || simplify(p.lender) === wanted || (p.aliases || []).some(a => simplify(a) === wanted)
+  );
+  if (!policy) throw policyError(CREDIT_POLICY_NOT_FOUND, `No credit policy for lender "${lender}"`);
+  return policy;
+}
+
+export function listCreditPolicies() {
+  return allPolicies().map(p => ({
+    key: p.key,
+    lender: p.lender || p.key,
+    aliases: p.aliases || [],
+    version: p.version || null,
+    rules: p.rules.map(r => r.id)
+  }));
+}
+
+// ---------- Facts about the report ----------
+
+const SECURED_TYPES = new Set(["Home Loan", "Loan Against Property", "Auto / Vehicle Loan", "Two-Wheeler Loan", "Gold Loan"]);
+
+function isSecured(label) {
+  return SECURED_TYPES.has(classifyAccountType(label)) || /secured|mortgage|property|tractor|farm|vehicle/i.test(label || "");
+}
+
+// classifyEnquirySecuredFlag: unknown purposes count as unsecured
+const isSecuredEnquiry = e => isSecured(e.enquiryType || "") && !/unsecured/i.test(e.enquiryType || "");
+
+const accountLabel = l => `${l.type || ""} ${l.details?.accountType || ""}`;
+const isCard = l => classifyAccountType(accountLabel(l)) === "Credit Card";
+const isOpen = l => classifyStatus(l.details?.accountStatus || l.status, l.details || {}) === "Active";
+
+// "15-06-2024" → Date (UTC midnight)
+function toDate(value) {
+  const d = normaliseDate(value);
+  if (!d) return null;
+  const [day, month, year] = d.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+const daysBetween = (from, to) => (to - from) / 86400000;
+
+const monthIndex = key => {
+  const [y, m] = key.split("-").map(Number);
+  return y * 12 + m;
+};
+
+function accountEvidence(l, extra = {}) {
+  const d = l.details || {};
+  return {
+    lender: d.lender || null,
+    accountNumber: d.accountNumber || null,
+    type: l.type || d.accountType || null,
+    status: d.accountStatus || l.status || null,
+    currentBalance: d.currentBalance ?? null,
+    amountOverdue: d.amountOverdue ?? null,
+    ...extra
+  };
+}
+
+const enquiryEvidence = e => ({
+  institution: e.institution || null,
+  enquiryType: e.enquiryType || null,
+  date: e.date || null,
+  amount: e.amount ?? null
+});
+
+// ---------- Checks ----------
+//
+// Each check gets (rule, facts) and returns { passed, value, threshold,
+// evidence, message }.
+
+const CHECKS = {
+  creditHistory(rule, { result, loans }) {
+    const passed = !!result.score || loans.length > 0;
+    return {
+      passed,
+      value: { score: result.score || null, accounts: loans.length },
+      threshold: null,
+      evidence: [],
+      message: passed ? "Credit history present" : "No active / closed loans or credit cards are visible in this bureau report."
+    };
+  },
+
+  minScore(rule, { result }) {
+    const score = Number(result.score) || 0;
+    // A missing score (NH/NA) is creditHistory's call, not this rule's
+    const passed = !score || score >= rule.min;
+    return { passed, value: score || null, threshold: rule.min, evidence: [], message: `Score ${score || "n/a"} (minimum ${rule.min})` };
+  },
+
+  currentOverdue(rule, { loans }) {
+    const max = rule.maxAmount ?? 0;
+    const overdue = loans.filter(l => (l.details?.amountOverdue || 0) > max);
+    return {
+      passed: !overdue.length,
+      value: overdue.length,
+      threshold: max,
+      evidence: overdue.map(l => accountEvidence(l)),
+      message: `${overdue.length} account(s) with overdue above ₹${max}`
+    };
+  },
+
+  maxDpd(rule, { loans, asOfMonth }) {
+    const window = rule.windowMonths ?? null;
+    const hits = [];
+    let worst = 0;
+    for (const l of loans) {
+      let loanWorst = 0;
+      let worstMonth = null;
+      for (const e of l.details?.paymentHistory || []) {
+        const age = asOfMonth ? monthIndex(asOfMonth) - monthIndex(e.month) : 0;
+        if (window != null && (age < 0 || age >= window)) continue;
+        const dpd = effectiveDpd(e) ?? 0;
+        if (dpd > loanWorst) {
+          loanWorst = dpd;
+          worstMonth = e.month;
+        }
+      }
+      worst = Math.max(worst, loanWorst);
+      if (loanWorst > rule.max) hits.push(accountEvidence(l, { maxDpd: loanWorst, month: worstMonth }));
+    }
+    return {
+      passed: !hits.length,
+      value: worst,
+      threshold: rule.max,
+      evidence: hits,
+      message: `Worst delay ${worst} days${window ? ` in the last ${window} months` : ""} (allowed ${rule.max})`
+    };
+  },
+
+  accountFlags(rule, { loans }) {
+    const statuses = (rule.statuses || []).map(s => s.toLowerCase());
+    const excluded = (rule.excludeStatuses || []).map(s => s.toLowerCase());
+    const flagged = loans.filter(l => {
+      const status = String(l.details?.accountStatus || l.status || "").toLowerCase();
+      if (excluded.some(s => status.includes(s))) return false;
+      if (statuses.some(s => status.includes(s))) return true;
+      return (rule.amountFields || []).some(f => (l.details?.[f] || 0) > 0);
+    });
+    return {
+      passed: !flagged.length,
+      value: flagged.length,
+      threshold: 0,
+      evidence: flagged.map(l => accountEvidence(l)),
+      message: `${flagged.length} account(s) flagged`
+    };
+  },
+
+  enquiryVelocity(rule, { enquiries, asOf }) {
+    const recent = enquiries.filter(e => {
+      const d = toDate(e.date);
+      if (!d) return false;
+      const age = daysBetween(d, asOf);
+      return age >= 0 && age <= rule.days && (!rule.unsecuredOnly || !isSecuredEnquiry(e));
+    });
+    return {
+      passed: recent.length <= rule.max,
+      value: recent.length,
+      threshold: rule.max,
+      evidence: recent.map(enquiryEvidence),
+      message: `${recent.length} ${rule.unsecuredOnly ? "unsecured " : ""}enquiries in the last ${rule.days} days (allowed ${rule.max})`
+    };
+  },
+
+  maxCardUtilisation(rule, { loans }) {
+    const cards = loans.filter(l => isCard(l) && isOpen(l));
+    let limit = 0;
+    let balance = 0;
+    const evidence = cards.map(l => {
+      const d = l.details || {};
+      const cardLimit = Number(d.creditLimit ?? d.highCredit ?? d.sanctionAmount) || 0;
+      const cardBalance = Number(d.currentBalance) || 0;
+      limit += cardLimit;
+      balance += cardBalance;
+      return accountEvidence(l, { limit: cardLimit, utilisation: cardLimit > 0 ? cardBalance / cardLimit : null });
+    });
+    const util = limit > 0 ? balance / limit : null;
+    return {
+      passed: util == null || util < rule.max,
+      value: util,
+      threshold: rule.max,
+      evidence: util != null && util >= rule.max ? evidence : [],
+      message: util == null ? "No card limits reported" : `Card utilisation ${Math.round(util * 100)}% (limit ${Math.round(rule.max * 100)}%)`
+    };
+  },
+
+  maxUnsecuredShare(rule, { loans }) {
+    const open = loans.filter(isOpen);
+    const total = open.reduce((s, l) => s + (Number(l.details?.currentBalance) || 0), 0);
+    const unsecured = open.filter(l => !isSecured(accountLabel(l)));
+    const unsecuredTotal = unsecured.reduce((s, l) => s + (Number(l.details?.currentBalance) || 0), 0);
+    const share = total > 0 ? unsecuredTotal / total : null;
+    const applies = open.length >= (rule.minAccounts ?? 1) && share != null;
+    const passed = !applies || share < rule.max;
+    return {
+      passed,
+      value: share,
+      threshold: rule.max,
+      evidence: passed ? [] : unsecured.map(l => accountEvidence(l)),
+      message: share == null ? "No outstanding balances" : `Unsecured share of outstanding ${Math.round(share * 100)}% (limit ${Math.round(rule.max * 100)}%)`
+    };
+  },
+
+  maxUnsecuredExposure(rule, { loans }) {
+    const unsecured = loans.filter(l => isOpen(l) && !isSecured(accountLabel(l)));
+    const exposure = unsecured.reduce((s, l) => s + (Number(l.details?.currentBalance) || 0), 0);
+    const passed = exposure <= rule.max;
+    return {
+      passed,
+      value: exposure,
+      threshold: rule.max,
+      evidence: passed ? [] : unsecured.map(l => accountEvidence(l)),
+      message: `Unsecured outstanding ₹${Math.round(exposure)} (cap ₹${rule.max})`
+    };
+  },
+
+  maxNewAccounts(rule, { loans, asOf }) {
+    const fresh = loans.filter(l => {
+      const opened = toDate(l.details?.dateOpened);
+      if (!opened || !isOpen(l)) return false;
+      const age = daysBetween(opened, asOf);
+      return age >= 0 && age <= rule.days;
+    });
+    return {
+      passed: fresh.length <= rule.max,
+      value: fresh.length,
+      threshold: rule.max,
+      evidence: fresh.map(l => accountEvidence(l, { dateOpened: l.details?.dateOpened || null })),
+      message: `${fresh.length} account(s) opened in the last ${rule.days} days (allowed ${rule.max})`
+    };
+  }
+};
+
+// =====================================================
+// PUBLIC — run a lender's policy over a bureau result
+// =====================================================
+// `lender` picks the policy file (the default policy when omitted).
+// `asOf` (YYYY-MM-DD, default today) anchors the day-based windows; DPD
+// windows count back from the newest month in the report.
+// Returns { lender, policy, policyVersion, decision: "pass" | "fail", failed,
+// warnings, rules: [{ id, type, title, passed, severity, value, threshold,
+// message, evidence, fixText }] }.
+export function evaluateCreditPolicy(result, { lender = null, asOf = null } = {}) {
+  const policy = findPolicy(lender);
+  return runPolicy(policy, result, asOf);
+}
+
+// Every lender's policy at once: who would take this applicant
+export function evaluateAllCreditPolicies(result, { asOf = null } = {}) {
+  return allPolicies().map(policy => runPolicy(policy, result, asOf));
+}
+
+function runPolicy(policy, result, asOf) {
+  const r = result || {};
+  const loans = Array.isArray(r.loans) ? r.loans : [];
+  const asOfDate = asOf ? new Date(`${String(asOf).slice(0, 10)}T00:00:00Z`) : new Date();
+  if (Number.isNaN(asOfDate.getTime())) {
+    throw policyError(CREDIT_POLICY_INVALID, "asOf must be a YYYY-MM-DD date");
+  }
+  const months = loans.flatMap(l => (l.details?.paymentHistory || []).map(e => e.month));
+  const facts = {
+    result: r,
+    loans,
+    enquiries: Array.isArray(r.enquiries) ? r.enquiries : [],
+    asOf: asOfDate,
+    asOfMonth: months.length ? months.reduce((a, b) => (a > b ? a : b)) : toMonthKey(asOfDate)
+  };
+
+  const outcomes = [];
+  const failedIds = new Set();
+  for (const rule of policy.rules) {
+    if ((rule.unlessFailed || []).some(id => failedIds.has(id))) continue;
+    const outcome = CHECKS[rule.type](rule, facts);
+    const severity = rule.severity || "reject";
+    outcomes.push({
+      id: rule.id,
+      type: rule.type,
+      title: rule.title || rule.id,
+      passed: outcome.passed,
+      severity,
+      value: outcome.value,
+      threshold: outcome.threshold,
+      message: outcome.message,
+      evidence: outcome.evidence,
+      fixText: outcome.passed ? null : rule.fixText || null
+    });
+    if (!outcome.passed) {
+      failedIds.add(rule.id);
+      if (rule.stopOnFail) break;
+    }
+  }
+
+  const failed = outcomes.filter(o => !o.passed && o.severity !== "warn");
+  const warnings = outcomes.filter(o => !o.passed && o.severity === "warn");
+  return {
+    lender: policy.lender || policy.key,
+    policy: policy.key,
+    policyVersion: policy.version || null,
+    decision: failed.length ? "fail" : "pass",
+    failed: failed.map(o => o.id),
+    warnings: warnings.map(o => o.id),
+    rules: outcomes
+  };
+}
@@ -0,0 +1,253 @@
+// dataExport.js
+//
+// Parsed bureau / bank results as spreadsheets for lender partners: one
+// XLSX workbook with a sheet per section, or a single section as CSV.
+// Sections are built once as typed columns (amounts as numbers, dates as
+// ISO "YYYY-MM-DD", DPD months as "YYYY-MM") so both formats agree.
+
+import ExcelJS from "exceljs";
+import { normaliseDate } from "./parser.js";
+import { toMonthKey } from "./paymentHistory.js";
+import { MONTHS, pad } from "./common.js";
+
+export const EXPORT_INPUT_INVALID = "EXPORT_INPUT_INVALID";
+export const EXPORT_FORMATS = ["xlsx", "csv"];
+
+// Section id → sheet name, in workbook order
+export const EXPORT_SECTIONS = {
+  summary: "Summary",
+  accounts: "Accounts",
+  dpd: "DPD grid",
+  enquiries: "Enquiries",
+  transactions: "Transactions",
+  cashflow: "Monthly Cashflow"
+};
+
+function exportError(code, message) {
+  const e = new Error(message);
+  e.code = code;
+  return e;
+}
+
+// ---------- Typed values ----------
+
+// "1,20,000" / "₹ 5000.50" / 5000 → number; anything else → null
+function amount(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  if (v == null) return null;
+  const s = String(v).replace(/[₹,\s]|rs\.?|inr/gi, "");
+  return s && !Number.isNaN(Number(s)) ? Number(s) : null;
+}
+
+// Any date the parsers produce → "YYYY-MM-DD"
+function isoDate(v) {
+  if (!v) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(v))) return String(v);
+  const d = normaliseDate(v);
+  return d ? d.split("-").reverse().join("-") : null;
+}
+
+// Cashflow labels ("Jan-2024") and payment-history months → "YYYY-MM"
+function isoMonth(v) {
+  const m = String(v || "").match(/^([A-Za-z]{3})-(\d{4})$/);
+  if (m && MONTHS.includes(m[1].toLowerCase())) {
+    return `${m[2]}-${pad(MONTHS.indexOf(m[1].toLowerCase()) + 1)}`;
+  }
+  return toMonthKey(v);
+}
+
+// columns: [{ header, type: "text" | "number" | "date" | "month", value: row => any }]
+function section(id, columns, rows) {
+  return { id, name: EXPORT_SECTIONS[id], columns, rows };
+}
+
+const typed = (type, v) => {
+  if (type === "number") return amount(v);
+  if (type === "date") return isoDate(v);
+  if (type === "month") return isoMonth(v);
+  return v == null || v === "" ? null : String(v);
+};
+
+// ---------- Bureau sections ----------
+
+function bureauSections(result) {
+  const loans = Array.isArray(result.loans) ? result.loans : [];
+  const enquiries = Array.isArray(result.enquiries) ? result.enquiries : [];
+  const t = result.totals || {};
+
+  const summary = [
+    ["Bureau", "text", result.bureau],
+    ["Score", "number", result.score],
+    ["Accounts", "number", loans.length],
+    ["Enquiries", "number", result.enquiryCount ?? enquiries.length],
+    ["Loans sanctioned", "number", t.loanSanctioned],
+    ["Loans outstanding", "number", t.loanOutstanding],
+    ["Card limit", "number", t.cardLimit],
+    ["Card outstanding", "number", t.cardOutstanding],
+    ["DPD summary", "text", result.dpdSummary || result.dpd]
+  ];
+
+  const d = loan => loan.details || {};
+  const accounts = section("accounts", [
+    { header: "Lender", type: "text", value: l => d(l).lender },
+    { header: "Account type", type: "text", value: l => l.type || d(l).accountType },
+    { header: "Account number", type: "text", value: l => d(l).accountNumber },
+    { header: "Status", type: "text", value: l => d(l).accountStatus || l.status },
+    { header: "Date opened", type: "date", value: l => d(l).dateOpened },
+    { header: "Date reported", type: "date", value: l => d(l).dateReported },
+    { header: "Date closed", type: "date", value: l => d(l).dateClosed },
+    { header: "Sanctioned amount", type: "number", value: l => d(l).sanctionAmount },
+    { header: "Current balance", type: "number", value: l => d(l).currentBalance },
+    { header: "Amount overdue", type: "number", value: l => d(l).amountOverdue },
+    { header: "EMI", type: "number", value: l => d(l).emiAmount },
+    { header: "Rate of interest", type: "number", value: l => d(l).rateOfInterest },
+    { header: "Tenure (months)", type: "number", value: l => d(l).repaymentTenure },
+    { header: "Written off", type: "number", value: l => d(l).totalWriteOffAmount },
+    { header: "Settlement amount", type: "number", value: l => d(l).settlementAmount }
+  ], loans);
+
+  // One row per account, one column per reported month (newest first);
+  // a cell is the DPD, or the asset class when only that was reported
+  const months = [...new Set(loans.flatMap(l => (d(l).paymentHistory || []).map(e => e.month)))].filter(Boolean).sort().reverse();
+  const cell = (loan, month) => {
+    const e = (d(loan).paymentHistory || []).find(h => h.month === month);
+    if (!e) return null;
+    return e.dpd != null ? e.dpd : e.assetClass || null;
+  };
+  const dpd = section("dpd", [
+    { header: "Lender", type: "text", value: l => d(l).lender },
+    { header: "Account number", type: "text", value: l => d(l).accountNumber },
+    ...months.map(m => ({ header: m, type: "dpd", value: l => cell(l, m) }))
+  ], loans.filter(l => (d(l).paymentHistory || []).length));
+
+  const enquiryRows = section("enquiries", [
+    { header: "Institution", type: "text", value: e => e.institution },
+    { header: "Purpose", type: "text", value: e => e.enquiryType },
+    { header: "Date", type: "date", value: e => e.date },
+    { header: "Amount", type: "number", value: e => e.amount },
+    { header: "Status", type: "text", value: e => e.status }
+  ], enquiries);
+
+  return { summary, sections: [accounts, dpd, enquiryRows] };
+}
+
+// ---------- Bank sections ----------
+
+function bankSections(data) {
+  const transactions = Array.isArray(data.transactions) ? data.transactions : [];
+  const salary = data.salaryDetection?.isSalaried ? data.salaryDetection : null;
+
+  const summary = [
+    ["Bank", "text", data.bank],
+    ["Statement from", "date", transactions[0]?.date],
+    ["Statement to", "date", transactions[transactions.length - 1]?.date],
+    ["Opening balance", "number", data.openingBalance],
+    ["Closing balance", "number", data.closingBalance],
+    ["Total credits", "number", data.totalCredits],
+    ["Total debits", "number", data.totalDebits],
+    ["Average balance (12M)", "number", data.avgBalance12M],
+    ["EMI bounces", "number", data.emiBounceCount],
+    ["Salary (average)", "number", salary?.averageSalary],
+    ["Employer", "text", salary?.employer]
+  ];
+
+  const txns = section("transactions", [
+    { header: "Date", type: "date", value: t => t.date },
+    { header: "Narration", type: "text", value: t => t.narration },
+    { header: "Cheque / Ref", type: "text", value: t => t.chequeRef },
+    { header: "Debit", type: "number", value: t => t.debit },
+    { header: "Credit", type: "number", value: t => t.credit },
+    { header: "Balance", type: "number", value: t => t.balance }
+  ], transactions);
+
+  const cashflow = section("cashflow", [
+    { header: "Month", type: "month", value: m => m.month },
+    { header: "Credits", type: "number", value: m => m.credits },
+    { header: "Debits", type: "number", value: m => m.debits },
+    { header: "Net", type: "number", value: m => Math.round(((amount(m.credits) || 0) - (amount(m.debits) || 0)) * 100) / 100 }
+  ], Array.isArray(data.cashflow) ? data.cashflow : []);
+
+  return { summary, sections: [txns, cashflow] };
+}
+
+// =====================================================
+// PUBLIC — result → sections
+// =====================================================
+// `bureau` is an /analyze result (or a stored report's data.result) and
+// `bank` an /analyze-bank result; either may be omitted. Returns the
+// sections in workbook order, each { id, name, columns, rows } where
+// rows are already typed values.
+export function buildExportSections({ bureau = null, bank = null } = {}) {
+  if (!bureau && !bank) throw exportError(EXPORT_INPUT_INVALID, "Provide a bureau or bank result to export");
+  if (bureau && !Array.isArray(bureau.loans)) throw exportError(EXPORT_INPUT_INVALID, "Bureau result has no loans[]");
+  if (bank && !Array.isArray(bank.transactions)) throw exportError(EXPORT_INPUT_INVALID, "Bank result has no transactions[]");
+
+  const parts = [bureau && bureauSections(bureau), bank && bankSections(bank)].filter(Boolean);
+  const summary = section(
+    "summary",
+    [
+      { header: "Field", type: "text", value: r => r[0] },
+      { header: "Value", type: "mixed", value: r => typed(r[1], r[2]) }
+    ],
+    parts.flatMap(p => p.summary)
+  );
+
+  return [summary, ...parts.flatMap(p => p.sections)]
+    .sort((a, b) => Object.keys(EXPORT_SECTIONS).indexOf(a.id) - Object.keys(EXPORT_SECTIONS).indexOf(b.id))
+    .map(s => ({
+      id: s.id,
+      name: s.name,
+      columns: s.columns.map(c => ({ header: c.header, type: c.type })),
+      rows: s.rows.map(r => s.columns.map(c => (c.type === "mixed" || c.type === "dpd" ? c.value(r) ?? null : typed(c.type, c.value(r)))))
+    }));
+}
+
+// ---------- CSV ----------
+
+// Text that a spreadsheet would run as a formula gets a leading quote
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+function csvCell(v) {
+  if (v == null) return "";
+  if (typeof v === "number") return String(v);
+  let s = String(v);
+  if (FORMULA_RE.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// =====================================================
+// PUBLIC — one section as CSV
+// =====================================================
+export function sectionToCsv(sections, id) {
+  const s = sections.find(x => x.id === id);
+  if (!s) {
+    throw exportError(EXPORT_INPUT_INVALID, `Unknown section "${id}"; this result has ${sections.map(x => x.id).join(", ")}`);
+  }
+  const lines = [s.columns.map(c => csvCell(c.header)), ...s.rows.map(r => r.map(csvCell))];
+  return lines.map(l => l.join(",")).join("\r\n") + "\r\n";
+}
+
+// =====================================================
+// PUBLIC — every section as an XLSX workbook
+// =====================================================
+export async function sectionsToXlsx(sections) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "Kalki Finserv";
+  workbook.created = new Date();
+
+  for (const s of sections) {
+    const sheet = workbook.addWorksheet(s.name, { views: [{ state: "frozen", ySplit: 1 }] });
+    sheet.columns = s.columns.map(c => ({
+      header: c.header,
+      width: c.type === "text" || c.type === "mixed" ? 28 : c.type === "dpd" ? 9 : 14,
+      style: c.type === "date" ? { numFmt: "yyyy-mm-dd" } : c.type === "number" ? { numFmt: "#,##0.00" } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+    for (const row of s.rows) {
+      // Dates go in as real dates so Excel can sort / filter them
+      sheet.addRow(row.map((v, i) => (s.columns[i].type === "date" && v ? new Date(`${v}T00:00:00Z`) : v)));
+    }
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
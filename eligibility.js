@@ -0,0 +1,342 @@
+// eligibility.js
+//
+// How much an applicant can borrow, per product: the EMI / FOIR / DSCR maths
+// the Frontend did in computeEligibilityForLoan, calculateNewLoanEmi and
+// getExistingTotalMonthlyEmi, with the policy numbers (FOIR, DSCR, rates,
+// tenures, card income floors) read from policies/eligibility.json instead
+// of being hard-coded.
+//
+// Policy rules are versioned per product and customer type. A request is
+// judged by the newest version effective on its `asOf` date, so an old
+// decision can be reproduced after the policy has moved on. The file is
+// re-read when it changes; no restart or deploy needed.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseTenureToMonths, classifyAccountType, classifyStatus } from "./parser.js";
+
+const POLICY_FILE =
+  process.env.ELIGIBILITY_POLICY_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "policies", "eligibility.json");
+
+export const CUSTOMER_TYPES = ["salaried", "self-employed"];
+
+export const ELIGIBILITY_INPUT_INVALID = "ELIGIBILITY_INPUT_INVALID";
+export const POLICY_NOT_FOUND = "POLICY_NOT_FOUND";
+
+// Eligible amounts are offered in round thousands
+const AMOUNT_STEP = 1000;
+
+function eligibilityError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// ---------- Policy ----------
+
+let cached = null;
+
+// A broken edit keeps the last good policy in force rather than taking the
+// endpoint down
+export function loadPolicy() {
+  const { mtimeMs } = fs.statSync(POLICY_FILE);
+  if (!cached || cached.mtimeMs !== mtimeMs) {
+    try {
+      cached = { mtimeMs, policy: JSON.parse(fs.readFileSync(POLICY_FILE, "utf8")) };
+    } catch (e) {
+      if (!cached) throw e;
+      console.error("Eligibility policy reload failed, keeping the previous one:", e.message);
+    }
+  }
+  return cached.policy;
+}
+
+export function normaliseCustomerType(value) {
+  const s = String(value || "").toLowerCase();
+  if (/self|business|professional/.test(s)) return "self-employed";
+  if (/salar/.test(s)) return "salaried";
+  return null;
+}
+
+// Rules for this product and customer type, least specific first ("*"
+// matches any), each at its newest version effective on `asOf`. Later
+// rules override earlier ones field by field.
+function resolveRule(policy, productId, customerType, asOf) {
+  const specificity = r => (r.product === productId ? 2 : 0) + (r.customerType === customerType ? 1 : 0);
+  const rules = (policy.rules || [])
+    .filter(r => (r.product === productId || r.product === "*") && (r.customerType === customerType || r.customerType === "*"))
+    .sort((a, b) => specificity(a) - specificity(b));
+
+  const params = {};
+  const applied = [];
+  for (const rule of rules) {
+    const current = (rule.versions || [])
+      .filter(v => !v.effectiveFrom || v.effectiveFrom <= asOf)
+      .sort((a, b) => String(b.effectiveFrom || "").localeCompare(String(a.effectiveFrom || "")))[0];
+    if (!current) continue;
+    const { version, effectiveFrom, ...values } = current;
+    Object.assign(params, values);
+    applied.push({ product: rule.product, customerType: rule.customerType, version, effectiveFrom: effectiveFrom || null });
+  }
+
+  if (!applied.length) {
+    throw eligibilityError(POLICY_NOT_FOUND, `No eligibility policy for ${productId} / ${customerType} as of ${asOf}`);
+  }
+  return { ...params, version: applied[applied.length - 1].version, applied };
+}
+
+// ---------- EMI maths ----------
+
+// calculateNewLoanEmi, with interest-only products (gold loans) charged
+// interest on the full amount each month
+export function calculateEmi(amount, roi, tenureMonths, { simpleInterest = false } = {}) {
+  if (!amount || amount <= 0) return null;
+  const r = (Number(roi) || 0) / 1200;
+  if (simpleInterest) return r > 0 ? amount * r : null;
+  const n = Number(tenureMonths);
+  if (!n || n <= 0) return null;
+  if (r > 0) {
+    const pow = Math.pow(1 + r, n);
+    return (amount * r * pow) / (pow - 1);
+  }
+  return amount / n;
+}
+
+// The inverse: the largest amount whose EMI fits in `emi`
+function amountForEmi(emi, roi, tenureMonths, { simpleInterest = false } = {}) {
+  if (!emi || emi <= 0) return 0;
+  const r = (Number(roi) || 0) / 1200;
+  if (simpleInterest) return r > 0 ? emi / r : 0;
+  const n = Number(tenureMonths);
+  if (!n || n <= 0) return 0;
+  if (r > 0) return (emi * (1 - Math.pow(1 + r, -n))) / r;
+  return emi * n;
+}
+
+// ---------- Existing obligations ----------
+
+// Revolving / interest-only facilities: the monthly cost is interest on the
+// sanctioned amount (isSimpleInterestProduct in the Frontend)
+const SIMPLE_INTEREST_RE = /gold|education|kcc|kisan credit card|mudra|overdraft|\bod\b|loan against (shares|mf)/i;
+
+// getProductMeta: first product whose keyword appears in the loan's labels
+function productForLoan(loan, products) {
+  const text = ` ${loan.type || ""} ${loan.details?.accountType || ""} ${loan.line || ""} `.toLowerCase();
+  for (const [id, p] of Object.entries(products || {})) {
+    if ((p.keywords || []).some(kw => text.includes(kw))) return { id, ...p };
+  }
+  return null;
+}
+
+// getLoanEstimatedEmi, preferring the EMI the bureau reports when there is
+// one: bureau ROI and tenure first, the product master after that
+function estimateLoanEmi(loan, products) {
+  const d = loan.details || {};
+  if (d.emiAmount > 0) return { emi: Math.round(d.emiAmount), basis: "reported" };
+
+  const meta = productForLoan(loan, products) || {};
+  const roi = Number(d.rateOfInterest) || Number(meta.roi) || 0;
+  if (!roi) return { emi: 0, basis: "unknown" };
+
+  const label = `${d.accountType || ""} ${loan.type || ""}`;
+  const loanOnCard = /loan\s*on\s*(credit\s*)?card|cc\s*loan|card\s*loan/i.test(label);
+  if (!loanOnCard && (meta.simpleInterest || SIMPLE_INTEREST_RE.test(label))) {
+    const emi = calculateEmi(d.sanctionAmount, roi, 0, { simpleInterest: true });
+    return emi ? { emi: Math.round(emi), basis: "interest-only" } : { emi: 0, basis: "unknown" };
+  }
+
+  const principal = d.sanctionAmount || d.currentBalance || 0;
+  const tenure = parseTenureToMonths(d.repaymentTenure) || meta.tenure || 0;
+  const emi = calculateEmi(principal, roi, tenure);
+  return emi ? { emi: Math.round(emi), basis: "estimated" } : { emi: 0, basis: "unknown" };
+}
+
+// getExistingTotalMonthlyEmi over the active, non-card accounts of a
+// bureau result
+export function existingMonthlyObligations(result, policy = loadPolicy()) {
+  const loans = (Array.isArray(result?.loans) ? result.loans : [])
+    .filter(l => classifyStatus(l.details?.accountStatus || l.status, l.details || {}) === "Active")
+    .filter(l => classifyAccountType(l.type || l.details?.accountType) !== "Credit Card")
+    .map(l => ({
+      lender: l.details?.lender || null,
+      accountNumber: l.details?.accountNumber || null,
+      type: l.type || l.details?.accountType || null,
+      ...estimateLoanEmi(l, policy.products)
+    }));
+  return { monthlyEmi: loans.reduce((s, l) => s + l.emi, 0), loans };
+}
+
+// ---------- Credit cards ----------
+
+// segmentLevel + estimatedMinIncome: the monthly income a card segment
+// usually asks for
+function cardSegmentKey(segment) {
+  const s = String(segment || "").toLowerCase();
+  if (s.includes("super premium")) return "superPremium";
+  if (s.includes("premium")) return "premium";
+  if (s.includes("mid tier") || s.includes("mass")) return "mid";
+  return "entry";
+}
+
+function assessCard(segment, monthlyIncome, policy) {
+  const key = cardSegmentKey(segment);
+  const minMonthlyIncome = policy.cardSegments?.[key] ?? null;
+  return {
+    segment,
+    level: key,
+    minMonthlyIncome,
+    eligible: minMonthlyIncome == null ? null : monthlyIncome >= minMonthlyIncome
+  };
+}
+
+// ---------- One product ----------
+
+function assessProduct(request, ctx) {
+  const { policy, customerType, asOf, monthlyIncome, annualIncome, existingMonthly } = ctx;
+  const productId = String(request.productId || "");
+  const product = policy.products?.[productId];
+  if (!product) return { productId, error: `Unknown product "${productId}"` };
+
+  const rule = resolveRule(policy, productId, customerType, asOf);
+  const roi = rule.roi ?? product.roi;
+  const simpleInterest = !!product.simpleInterest;
+  const minTenure = rule.minTenure ?? product.minTenure ?? 1;
+  const maxTenure = rule.maxTenure ?? product.maxTenure ?? product.tenure;
+  const notes = [];
+
+  let tenure = Number(request.tenure) || product.tenure || maxTenure;
+  if (tenure < minTenure || tenure > maxTenure) {
+    const clamped = Math.min(Math.max(tenure, minTenure), maxTenure);
+    notes.push(`Tenure ${tenure} months is outside ${minTenure}–${maxTenure}; assessed at ${clamped}`);
+    tenure = clamped;
+  }
+  const terms = { simpleInterest };
+
+  // Income cap on total monthly EMIs: FOIR for salaried, DSCR for business
+  const incomeConstraint = customerType === "salaried" ? "foir" : "dscr";
+  const maxTotalMonthly = customerType === "salaried" ? monthlyIncome * rule.foir : annualIncome / rule.dscr / 12;
+  if (!Number.isFinite(maxTotalMonthly)) {
+    throw eligibilityError(POLICY_NOT_FOUND, `Policy ${rule.version} for ${productId} / ${customerType} sets no ${incomeConstraint}`);
+  }
+  const emiCapacity = Math.max(0, maxTotalMonthly - existingMonthly);
+
+  const limits = [{ constraint: incomeConstraint, amount: amountForEmi(emiCapacity, roi, tenure, terms) }];
+  if (rule.maxAmount) limits.push({ constraint: "productMax", amount: rule.maxAmount });
+  const requestedAmount = Number(request.amount) || null;
+  if (requestedAmount) limits.push({ constraint: "requestedAmount", amount: requestedAmount });
+
+  const binding = limits.reduce((min, l) => (l.amount < min.amount ? l : min));
+  let eligibleAmount = Math.floor(binding.amount / AMOUNT_STEP) * AMOUNT_STEP;
+  let bindingConstraint = binding.constraint;
+  if (rule.minAmount && eligibleAmount < rule.minAmount) {
+    notes.push(`Below the product minimum of ${rule.minAmount}`);
+    eligibleAmount = 0;
+    bindingConstraint = "productMin";
+  }
+  const emi = calculateEmi(eligibleAmount, roi, tenure, terms);
+
+  const out = {
+    productId,
+    label: product.label,
+    roi,
+    tenure: simpleInterest ? null : tenure,
+    eligibleAmount,
+    emi: emi ? Math.round(emi) : 0,
+    bindingConstraint,
+    limits: limits.map(l => ({ ...l, amount: Math.round(l.amount) })),
+    emiCapacity: Math.round(emiCapacity),
+    policy: {
+      version: rule.version,
+      applied: rule.applied,
+      foir: rule.foir ?? null,
+      dscr: rule.dscr ?? null,
+      maxAmount: rule.maxAmount ?? null,
+      minAmount: rule.minAmount ?? null
+    },
+    notes
+  };
+
+  // What the requested loan needs (computeEligibilityForLoan's figures)
+  if (requestedAmount) {
+    const requestedEmi = calculateEmi(requestedAmount, roi, tenure, terms) || 0;
+    const totalMonthly = existingMonthly + requestedEmi;
+    const requiredMonthlyIncome =
+      customerType === "salaried" ? totalMonthly / rule.foir : totalMonthly * rule.dscr;
+    out.requested = {
+      amount: requestedAmount,
+      emi: Math.round(requestedEmi),
+      totalMonthlyEmi: Math.round(totalMonthly),
+      requiredMonthlyIncome: Math.round(requiredMonthlyIncome),
+      requiredAnnualIncome: Math.round(requiredMonthlyIncome * 12),
+      requiredAvgBankBalance: Math.round(totalMonthly * (rule.bankBalanceMultiple ?? 2)),
+      eligible: requestedAmount <= limits.filter(l => l.constraint !== "requestedAmount").reduce((m, l) => Math.min(m, l.amount), Infinity)
+    };
+  }
+
+  return out;
+}
+
+// =====================================================
+// PUBLIC — eligibility per product
+// =====================================================
+// `result` is a bureau result (for existing EMIs) and may be omitted when
+// `existingMonthlyEmi` is given. Salaried applicants need a net
+// `monthlyIncome`, self-employed ones an `annualIncome` (yearly profit);
+// either is derived from the other when only one is given. `products` is
+// [{ productId, amount?, tenure? }]; every product in the policy when empty.
+export function evaluateEligibility({
+  result = null,
+  customerType,
+  monthlyIncome = null,
+  annualIncome = null,
+  existingMonthlyEmi = null,
+  products = [],
+  asOf = null,
+  cardSegment = null
+} = {}) {
+  const type = normaliseCustomerType(customerType);
+  if (!type) {
+    throw eligibilityError(ELIGIBILITY_INPUT_INVALID, `customerType must be one of ${CUSTOMER_TYPES.join(", ")}`);
+  }
+  const monthly = Number(monthlyIncome) || (Number(annualIncome) || 0) / 12;
+  const annual = Number(annualIncome) || monthly * 12;
+  if (!(monthly > 0)) {
+    throw eligibilityError(ELIGIBILITY_INPUT_INVALID, "monthlyIncome or annualIncome must be a positive number");
+  }
+  const date = asOf ? String(asOf).slice(0, 10) : new Date().toISOString().slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw eligibilityError(ELIGIBILITY_INPUT_INVALID, "asOf must be a YYYY-MM-DD date");
+  }
+
+  const policy = loadPolicy();
+
+  let existing;
+  if (existingMonthlyEmi != null && existingMonthlyEmi !== "") {
+    existing = { monthlyEmi: Number(existingMonthlyEmi) || 0, source: "input", loans: [] };
+  } else if (result) {
+    existing = { ...existingMonthlyObligations(result, policy), source: "bureau" };
+  } else {
+    existing = { monthlyEmi: 0, source: "none", loans: [] };
+  }
+
+  const requests = products.length ? products : Object.keys(policy.products || {}).map(productId => ({ productId }));
+  const ctx = {
+    policy,
+    customerType: type,
+    asOf: date,
+    monthlyIncome: monthly,
+    annualIncome: annual,
+    existingMonthly: existing.monthlyEmi
+  };
+
+  return {
+    customerType: type,
+    asOf: date,
+    income: { monthly: Math.round(monthly), annual: Math.round(annual) },
+    existingObligations: existing,
+    products: requests.map(r => assessProduct(r, ctx)),
+    card: cardSegment ? assessCard(cardSegment, monthly, policy) : null
+  };
+}
@@ -0,0 +1,397 @@
+// jobQueue.js
+//
+// Background jobs for analyses too slow for one HTTP request. A job is a
+// JSON file next to its uploaded PDF (encrypted, see uploads.js) under
+// JOBS_DIR; the queue is rebuilt
+// from those files on start-up, so jobs queued or running when the process
+// stopped are picked up again. Each job walks through the stages
+//
+//   queued → extracting → ocr → ai → done | failed
+//
+// (ocr / ai only when the pipeline needs them) and, when it has a
+// callbackUrl, ends with an HMAC-signed webhook:
+//
+//   X-Webhook-Timestamp: <unix seconds>
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>"
+//                                with WEBHOOK_SECRET>
+//
+// A job's input (PDF passwords and the candidates built from DOB / PAN /
+// mobile, applicant details), the usage meter it is charged to (request,
+// tenant and API key ids) and its result are encrypted in the job file like
+// the PDF, and finished jobs are deleted
+// after JOB_RETENTION_HOURS (default 72).
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import { writeEncryptedFile, readEncryptedFile, encryptBuffer, decryptBuffer, sweepDir } from "./uploads.js";
+import { sleep } from "./common.js";
+
+const JOBS_DIR = process.env.JOBS_DIR || path.join(process.cwd(), "data", "jobs");
+
+// Jobs run one at a time by default; OCR and the LLM call are the heavy part
+const CONCURRENCY = Number(process.env.JOBS_CONCURRENCY) || 1;
+
+// A job that was interrupted this many times (crash, restart) is failed
+// rather than retried forever
+const MAX_ATTEMPTS = 3;
+
+const RETENTION_MS = (Number(process.env.JOB_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_ATTEMPTS = 3;
+
+export const JOB_STAGES = ["queued", "extracting", "ocr", "ai", "done", "failed"];
+const FINISHED = new Set(["done", "failed"]);
+
+export const JOB_NOT_FOUND = "JOB_NOT_FOUND";
+export const JOB_TYPE_UNKNOWN = "JOB_TYPE_UNKNOWN";
+export const CALLBACK_URL_INVALID = "CALLBACK_URL_INVALID";
+export const WEBHOOK_SECRET_MISSING = "WEBHOOK_SECRET_MISSING";
+
+function jobError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// ---------- Storage ----------
+
+const ID_RE = /^[0-9a-f-]{36}$/;
+
+const jobFile = id => path.join(JOBS_DIR, `${id}.json`);
+const pdfFile = id => path.join(JOBS_DIR, `${id}.pdf.enc`);
+
+function readJob(id) {
+  if (!ID_RE.test(String(id))) return null;
+  try {
+    return JSON.parse(fs.readFileSync(jobFile(id), "utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Write-then-rename, so a crash never leaves half a job file behind
+function writeJob(job) {
+  const tmp = `${jobFile(job.id)}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(job, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, jobFile(job.id));
+}
+
+function updateJob(id, changes) {
+  const job = { ...readJob(id), ...changes, updatedAt: new Date().toISOString() };
+  writeJob(job);
+  return job;
+}
+
+// JSON ⇄ base64 ciphertext for the job file
+const seal = value => encryptBuffer(Buffer.from(JSON.stringify(value))).toString("base64");
+const unseal = sealed => JSON.parse(decryptBuffer(Buffer.from(sealed, "base64")).toString("utf8"));
+
+function removePdf(id) {
+  try {
+    fs.unlinkSync(pdfFile(id));
+  } catch (e) {
+    // already gone
+  }
+}
+
+// What callers get to see: never the stored input, the result decrypted
+export function publicJob(job) {
+  if (!job) return null;
+  const { input, sealedInput, sealedMeter, sealedResult, attempts, tenantId, ...rest } = job;
+  let result = rest.result ?? null;
+  if (sealedResult) {
+    try {
+      result = unseal(sealedResult);
+    } catch (e) {
+      console.error(`Job ${job.id} result unreadable:`, e.message);
+    }
+  }
+  return { ...rest, result };
+}
+
+// ---------- Webhooks ----------
+
+// Callbacks may only reach the public internet: never this host, the
+// cloud metadata service or anything on a private network.
+// WEBHOOK_ALLOW_PRIVATE=true lifts this for local development.
+const BLOCKED = new net.BlockList();
+for (const [range, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3]
+]) {
+  BLOCKED.addSubnet(range, bits, "ipv4");
+}
+for (const [range, bits] of [
+  ["::", 128],
+  ["::1", 128],
+  // IPv4-mapped ("::ffff:127.0.0.1"), whatever the IPv4 behind it
+  ["::ffff:0:0", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8]
+]) {
+  BLOCKED.addSubnet(range, bits, "ipv6");
+}
+
+const isBlockedAddress = (address, family) => BLOCKED.check(address, family === 6 ? "ipv6" : "ipv4");
+
+// Resolves the host and rejects it if any address it resolves to is
+// loopback, link-local, private or otherwise not public. Checked when the
+// job is queued and again just before each delivery (DNS can change).
+async function assertPublicCallback(url) {
+  if (/^(1|true|yes)$/i.test(process.env.WEBHOOK_ALLOW_PRIVATE || "")) return;
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.promises.lookup(host, { all: true });
+  } catch (e) {
+    throw jobError(CALLBACK_URL_INVALID, `callbackUrl host ${host} does not resolve`);
+  }
+  if (!addresses.length || addresses.some(a => isBlockedAddress(a.address, a.family))) {
+    throw jobError(CALLBACK_URL_INVALID, "callbackUrl must point to a public address, not a private, loopback or link-local one");
+  }
+}
+
+export function signWebhook(body, timestamp, secret = process.env.WEBHOOK_SECRET) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+async function deliverWebhook(id) {
+  const job = readJob(id);
+  if (!job?.callbackUrl || job.webhook?.status === "delivered") return;
+
+  const body = JSON.stringify({ event: "job.finished", job: publicJob(job) });
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      await assertPublicCallback(new URL(job.callbackUrl));
+      const res = await fetch(job.callbackUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Job-Id": job.id,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${signWebhook(body, timestamp)}`
+        },
+        body,
+        // A redirect could lead anywhere, past the address check
+        redirect: "manual",
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      if (res.ok) {
+        updateJob(id, { webhook: { status: "delivered", attempts: attempt, deliveredAt: new Date().toISOString() } });
+        return;
+      }
+      lastError = `HTTP ${res.status}`;
+    } catch (e) {
+      lastError = e.message;
+    }
+    updateJob(id, { webhook: { status: "pending", attempts: attempt, lastError } });
+    if (attempt < WEBHOOK_ATTEMPTS) await sleep(2000 * 2 ** (attempt - 1));
+  }
+
+  console.error(`Webhook for job ${id} failed:`, lastError);
+  updateJob(id, { webhook: { status: "failed", attempts: WEBHOOK_ATTEMPTS, lastError } });
+}
+
+// ---------- Worker ----------
+
+const handlers = {};
+const queue = [];
+let running = 0;
+
+// `handler(buffer, input, onStage, { tenantId, meter })` resolves to the
+// job's result; results are stored under the tenant that queued the job and
+// LLM calls charged to `meter`
+export function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+function pump() {
+  while (running < CONCURRENCY && queue.length) {
+    const id = queue.shift();
+    running++;
+    runJob(id)
+      .catch(e => console.error(`Job ${id} crashed:`, e))
+      .finally(() => {
+        running--;
+        pump();
+      });
+  }
+}
+
+function enqueue(id) {
+  if (!queue.includes(id)) queue.push(id);
+  pump();
+}
+
+async function runJob(id) {
+  const job = readJob(id);
+  if (!job || FINISHED.has(job.stage)) return;
+
+  const stages = [...(job.stages || [])];
+  const onStage = stage => {
+    stages.push({ stage, at: new Date().toISOString() });
+    updateJob(id, { stage, stages });
+  };
+
+  updateJob(id, { attempts: (job.attempts || 0) + 1 });
+  console.log(`⏳ Job ${id} (${job.type}) started`);
+
+  let outcome;
+  try {
+    if ((job.attempts || 0) >= MAX_ATTEMPTS) {
+      throw jobError("JOB_INTERRUPTED", `Job was interrupted ${job.attempts} times and will not be retried`);
+    }
+    const handler = handlers[job.type];
+    if (!handler) throw jobError(JOB_TYPE_UNKNOWN, `No handler for job type ${job.type}`);
+    const buffer = await readEncryptedFile(pdfFile(id));
+    // Jobs queued by older versions kept their input in plain JSON
+    const input = job.sealedInput ? unseal(job.sealedInput) : job.input || {};
+    const meter = job.sealedMeter ? unseal(job.sealedMeter) : job.input?.meter ?? null;
+    const result = await handler(buffer, input, onStage, { tenantId: job.tenantId ?? null, meter });
+    stages.push({ stage: "done", at: new Date().toISOString() });
+    outcome = { stage: "done", stages, sealedResult: seal(result), error: null };
+  } catch (e) {
+    console.error(`Job ${id} failed:`, e.message);
+    stages.push({ stage: "failed", at: new Date().toISOString() });
+    outcome = { stage: "failed", stages, sealedResult: null, error: { code: e.code || "JOB_FAILED", message: e.message } };
+  }
+
+  // Password options were only needed to open the file
+  updateJob(id, { ...outcome, result: null, input: null, sealedInput: null, sealedMeter: null, finishedAt: new Date().toISOString() });
+  removePdf(id);
+  console.log(`✅ Job ${id} ${outcome.stage}`);
+
+  await deliverWebhook(id);
+}
+
+// =====================================================
+// PUBLIC — queue an uploaded PDF
+// =====================================================
+// `buffer` (the uploaded PDF) is written encrypted into the job store.
+// `input` is handed to the job's handler as-is — for the analysis jobs that
+// is the password options, kept on disk (encrypted) only until the job
+// finishes. `meter` (usageMeter.js currentMeter()) is sealed beside it.
+export async function createJob({ type, buffer, input = {}, meter = null, callbackUrl = null, tenantId = null }) {
+  if (!handlers[type]) {
+    throw jobError(JOB_TYPE_UNKNOWN, `Unknown job type "${type}"; expected one of ${Object.keys(handlers).join(", ")}`);
+  }
+  if (callbackUrl) {
+    let url;
+    try {
+      url = new URL(callbackUrl);
+    } catch (e) {
+      url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      throw jobError(CALLBACK_URL_INVALID, "callbackUrl must be an http(s) URL");
+    }
+    if (!process.env.WEBHOOK_SECRET) {
+      throw jobError(WEBHOOK_SECRET_MISSING, "Webhooks are not configured on this server (WEBHOOK_SECRET missing)");
+    }
+    await assertPublicCallback(url);
+  }
+
+  await fs.promises.mkdir(JOBS_DIR, { recursive: true });
+  const id = crypto.randomUUID();
+  await writeEncryptedFile(pdfFile(id), buffer);
+
+  const now = new Date().toISOString();
+  const job = {
+    id,
+    type,
+    tenantId,
+    stage: "queued",
+    stages: [{ stage: "queued", at: now }],
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    callbackUrl: callbackUrl || null,
+    webhook: callbackUrl ? { status: "pending", attempts: 0 } : null,
+    sealedInput: seal(input),
+    sealedMeter: meter ? seal(meter) : null,
+    attempts: 0,
+    sealedResult: null,
+    error: null
+  };
+  writeJob(job);
+  enqueue(id);
+  return publicJob(job);
+}
+
+// Another tenant's job is "not found", like a missing one
+export function getJob(id, { tenantId = null } = {}) {
+  const job = readJob(id);
+  if (!job || (job.tenantId ?? null) !== tenantId) throw jobError(JOB_NOT_FOUND, "Job not found");
+  return publicJob(job);
+}
+
+// =====================================================
+// PUBLIC — recover the queue from disk
+// =====================================================
+// Unfinished jobs go back on the queue (oldest first); finished jobs whose
+// webhook never went out get it sent now.
+export async function startJobQueue() {
+  await fs.promises.mkdir(JOBS_DIR, { recursive: true });
+  const jobs = fs
+    .readdirSync(JOBS_DIR)
+    .filter(f => f.endsWith(".json"))
+    .map(f => readJob(f.replace(/\.json$/, "")))
+    .filter(Boolean)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  let resumed = 0;
+  for (const job of jobs) {
+    if (!FINISHED.has(job.stage)) {
+      updateJob(job.id, { stage: "queued", stages: [...(job.stages || []), { stage: "queued", at: new Date().toISOString() }] });
+      enqueue(job.id);
+      resumed++;
+    } else if (job.callbackUrl && job.webhook?.status === "pending") {
+      deliverWebhook(job.id).catch(e => console.error(`Webhook for job ${job.id}:`, e));
+    }
+  }
+  if (resumed) console.log(`⏳ Resumed ${resumed} unfinished job(s)`);
+}
+
+// Uploads whose job is finished or gone (the job file was deleted, or the
+// process died between writing the PDF and the job). Plain ".pdf" files
+// are from before uploads were encrypted.
+export function sweepJobUploads() {
+  return sweepDir(JOBS_DIR, {
+    isOrphan: name => {
+      const m = name.match(/^(.+)\.pdf(\.enc)?$/);
+      if (!m) return false;
+      const job = readJob(m[1]);
+      return !job || FINISHED.has(job.stage) || !m[2];
+    }
+  });
+}
+
+// Finished jobs not touched for JOB_RETENTION_HOURS: their result is
+// credit data nobody has come back for
+export function sweepFinishedJobs() {
+  return sweepDir(JOBS_DIR, {
+    maxAgeMs: RETENTION_MS,
+    isOrphan: name => {
+      const m = name.match(/^(.+)\.json$/);
+      if (!m) return false;
+      const job = readJob(m[1]);
+      return !!job && FINISHED.has(job.stage);
+    }
+  });
+}
@@ -0,0 +1,268 @@
+// modelGateway.js
+//
+// The one place we call an LLM from. Every call names a task (bureau
+// extraction, a bank chunk, a govt-chat step…); the task decides the model
+// and provider, and every call gets a timeout, retries with backoff on rate
+// limits / timeouts / 5xx, and text or JSON read back the same way.
+//
+// Providers:
+//   openai — the Responses API
+//   record — openai, and every response is saved under LLM_REPLAY_DIR
+//   replay — serves those saved responses from disk, no network needed
+//
+// Per-task overrides: LLM_MODEL_<TASK> / LLM_PROVIDER_<TASK> /
+// LLM_TIMEOUT_MS_<TASK>, e.g. LLM_MODEL_BANK_CHUNK=gpt-4.1-nano.
+//
+// Prompts are tokenised by piiRedaction.js before they leave (and before
+// they are recorded); the reply has the tokens swapped back.
+//
+// Each real call's tokens and estimated cost are metered against the
+// request that made it (usageMeter.js), and calls past the tenant's daily
+// budget are refused; tasks marked `optional` stop at the soft budget.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import OpenAI from "openai";
+import { createRedactor, restoreTokens, redactionSummary, recordRedaction } from "./piiRedaction.js";
+import { assertWithinBudget, recordUsage } from "./usageMeter.js";
+import { sleep } from "./common.js";
+
+const DEFAULT_MODEL = process.env.LLM_MODEL || "gpt-4.1-mini";
+const DEFAULT_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 120000;
+const MAX_RETRIES = Number(process.env.LLM_MAX_RETRIES ?? 3);
+
+// Backoff: 1s, 2s, 4s… (plus jitter), never more than this
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 20000;
+
+// Task defaults; anything not set here uses the global defaults above.
+// `optional` tasks are the first to go when a budget runs low.
+export const TASKS = {
+  bureau: { timeoutMs: 180000 },
+  bankChunk: {},
+  govtExtract: {},
+  govtRewrite: {},
+  govtFollowUps: { optional: true },
+  govtSearch: {}
+};
+
+const PROVIDERS = ["openai", "record", "replay"];
+
+function envSuffix(task) {
+  return task.replace(/[A-Z]/g, c => `_${c}`).toUpperCase();
+}
+
+export function taskConfig(task) {
+  const suffix = envSuffix(task);
+  const defaults = TASKS[task] || {};
+  const provider = String(process.env[`LLM_PROVIDER_${suffix}`] || process.env.LLM_PROVIDER || "openai").toLowerCase();
+  if (!PROVIDERS.includes(provider)) throw new Error(`Unknown LLM provider for ${task}: ${provider}`);
+
+  return {
+    task,
+    provider,
+    model: process.env[`LLM_MODEL_${suffix}`] || defaults.model || DEFAULT_MODEL,
+    timeoutMs: Number(process.env[`LLM_TIMEOUT_MS_${suffix}`]) || defaults.timeoutMs || DEFAULT_TIMEOUT_MS
+  };
+}
+
+// Whether a task can run at all (replay needs no API key)
+export function isConfigured(task) {
+  const { provider } = taskConfig(task);
+  return provider === "replay" || !!process.env.OPENAI_API_KEY;
+}
+
+function gatewayError(code, message, cause) {
+  const err = new Error(message);
+  err.code = code;
+  if (cause) {
+    err.cause = cause;
+    if (cause.status) err.status = cause.status;
+  }
+  return err;
+}
+
+// ---------- Output parsing ----------
+
+// Plain text out of a Responses API result, whichever shape it came in
+export function extractResponseText(resp) {
+  if (!resp) return "";
+  if (typeof resp.output_text === "string" && resp.output_text) return resp.output_text;
+  if (!resp.output) return "";
+  const chunks = [];
+  for (const item of resp.output) {
+    if (!item.content) continue;
+    for (const c of item.content) {
+      if (c.type === "output_text" && typeof c.text === "string") chunks.push(c.text);
+      else if (c.type === "output_text" && c.text?.value) chunks.push(c.text.value);
+      else if (c.type === "text" && typeof c.text === "string") chunks.push(c.text);
+    }
+  }
+  return chunks.join("\n\n");
+}
+
+// JSON out of model text: bare, fenced in ```json, or wrapped in prose
+export function parseJsonOutput(text) {
+  const s = String(text || "").trim();
+  const attempts = [s, s.replace(/^```(?:json)?\s*/i, "").replace(/```\s*$/, "")];
+  const first = s.indexOf("{");
+  const last = s.lastIndexOf("}");
+  if (first >= 0 && last > first) attempts.push(s.slice(first, last + 1));
+
+  for (const candidate of attempts) {
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {
+      // try the next shape
+    }
+  }
+  throw gatewayError("LLM_BAD_OUTPUT", "AI returned non-JSON output");
+}
+
+// ---------- Retries ----------
+
+function retryDelayMs(err, attempt) {
+  const retryAfter = Number(err?.headers?.["retry-after"]);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, BACKOFF_MAX_MS);
+  const backoff = BACKOFF_BASE_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * backoff * 0.25, BACKOFF_MAX_MS);
+}
+
+function classifyError(err) {
+  if (err?.code === "insufficient_quota") return { code: "LLM_QUOTA_EXCEEDED", retry: false };
+  if (err?.status === 429) return { code: "LLM_RATE_LIMITED", retry: true };
+  if (err instanceof OpenAI.APIConnectionTimeoutError || err?.name === "AbortError") {
+    return { code: "LLM_TIMEOUT", retry: true };
+  }
+  if (err instanceof OpenAI.APIConnectionError) return { code: "LLM_UNAVAILABLE", retry: true };
+  if (err?.status >= 500) return { code: "LLM_UNAVAILABLE", retry: true };
+  return { code: "LLM_ERROR", retry: false };
+}
+
+// ---------- Providers ----------
+
+let client = null;
+function openaiClient() {
+  if (!client) {
+    // Retries are ours, so the SDK's own are turned off
+    client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+  }
+  return client;
+}
+
+async function callOpenAI(params, config) {
+  if (!process.env.OPENAI_API_KEY) throw gatewayError("LLM_NOT_CONFIGURED", "OPENAI_API_KEY missing");
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const resp = await openaiClient().responses.create(params, { timeout: config.timeoutMs });
+      return {
+        text: extractResponseText(resp),
+        output: resp.output || null,
+        usage: resp.usage || null,
+        model: resp.model || params.model
+      };
+    } catch (err) {
+      const { code, retry } = classifyError(err);
+      if (!retry || attempt >= MAX_RETRIES) {
+        const detail = err?.error?.message || err?.message || "Unknown AI error";
+        throw gatewayError(code, code === "LLM_RATE_LIMITED" ? `Rate limit reached: ${detail}` : detail, err);
+      }
+      const delay = retryDelayMs(err, attempt);
+      console.warn(`LLM ${config.task}: ${code}, retry ${attempt + 1}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+function replayDir() {
+  return process.env.LLM_REPLAY_DIR || path.join(process.cwd(), "recordings");
+}
+
+// Recordings are keyed by everything that shapes the answer
+function recordingKey(params) {
+  const { model, input, text, tools } = params;
+  return crypto.createHash("sha256").update(JSON.stringify({ model, input, text, tools })).digest("hex").slice(0, 32);
+}
+
+function recordingPath(task, key) {
+  return path.join(replayDir(), task, `${key}.json`);
+}
+
+function preview(input) {
+  const s = typeof input === "string" ? input : JSON.stringify(input);
+  return s.length > 200 ? `${s.slice(0, 200)}…` : s;
+}
+
+async function replay(params, config) {
+  const key = recordingKey(params);
+  const file = recordingPath(config.task, key);
+  let saved;
+  try {
+    saved = JSON.parse(await fs.promises.readFile(file, "utf8"));
+  } catch (e) {
+    throw gatewayError("LLM_REPLAY_MISS", `No recorded response for ${config.task} (${key}) in ${replayDir()}`);
+  }
+  return { ...saved.response, replayed: true };
+}
+
+async function record(params, config) {
+  const result = await callOpenAI(params, config);
+  const key = recordingKey(params);
+  const file = recordingPath(config.task, key);
+  try {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(
+      file,
+      JSON.stringify({ task: config.task, key, model: params.model, prompt: preview(params.input), recordedAt: new Date().toISOString(), response: result }, null, 2)
+    );
+  } catch (e) {
+    console.error("LLM recording failed:", e.message);
+  }
+  return result;
+}
+
+// =====================================================
+// PUBLIC — run one LLM call for a task
+// =====================================================
+// request: { input (string or messages), schema: { name, schema } for
+// strict structured output, json: true for free-form JSON, tools,
+// temperature, maxOutputTokens }.
+// Resolves to { text, json, output, usage, model, provider, task,
+// redaction } — `redaction` is the policy version and per-type counts of
+// identifiers withheld from the prompt (null when redaction is off).
+// Errors carry a `code`: LLM_RATE_LIMITED, LLM_TIMEOUT, LLM_UNAVAILABLE,
+// LLM_QUOTA_EXCEEDED, LLM_BUDGET_EXCEEDED (our own daily budget; `optional`
+// set when only the soft limit was hit), LLM_NOT_CONFIGURED, LLM_BAD_OUTPUT,
+// LLM_REPLAY_MISS, LLM_ERROR.
+export async function generate(task, { input, schema = null, json = false, tools, temperature, maxOutputTokens } = {}) {
+  const config = taskConfig(task);
+  const redactor = createRedactor(task);
+
+  const params = { model: config.model, input: redactor ? redactor.redact(input) : input };
+  if (schema) params.text = { format: { type: "json_schema", name: schema.name, schema: schema.schema, strict: schema.strict ?? true } };
+  else if (json) params.text = { format: { type: "json_object" } };
+  if (tools) params.tools = tools;
+  if (temperature != null) params.temperature = temperature;
+  if (maxOutputTokens != null) params.max_output_tokens = maxOutputTokens;
+
+  // Replayed calls never leave the server, so only real calls are budgeted,
+  // audited and metered
+  const live = config.provider !== "replay";
+  if (live) await assertWithinBudget({ task, optional: !!TASKS[task]?.optional });
+  if (redactor && live) await recordRedaction(task, redactor.vault);
+
+  const run = config.provider === "replay" ? replay : config.provider === "record" ? record : callOpenAI;
+  const raw = await run(params, config);
+  if (live) await recordUsage({ task, model: raw.model, provider: config.provider, usage: raw.usage, output: raw.output });
+  const result = { ...raw, text: restoreTokens(raw.text, redactor?.vault), output: restoreTokens(raw.output, redactor?.vault) };
+
+  return {
+    ...result,
+    json: schema || json ? parseJsonOutput(result.text) : null,
+    provider: config.provider,
+    task,
+    redaction: redactionSummary(redactor?.vault)
+  };
+}
@@ -0,0 +1,212 @@
+// ocr.js
+//
+// OCR for scanned uploads, behind a small provider interface:
+//
+//   provider.recognizePages(buffer, pageNumbers, { password })
+//     → [{ page, text, confidence }]      (confidence 0–100, or null)
+//
+// "local" (the default) rasterises pages with pdfjs-dist and reads them
+// with tesseract.js on this server, so customer data never leaves it.
+// "ocr.space" keeps the old hosted API as an opt-in. Only pages whose text
+// layer is (nearly) empty are sent to OCR.
+
+import { createRequire } from "module";
+import { loadPdfjs, STANDARD_FONT_DATA_URL } from "./pdfLayout.js";
+
+const require = createRequire(import.meta.url);
+
+// Pages with fewer non-space characters than this are treated as scanned
+export const MIN_PAGE_CHARS = Number(process.env.OCR_MIN_PAGE_CHARS) || 80;
+
+// Cap on pages OCR'd per upload; tesseract takes a few seconds a page
+const MAX_OCR_PAGES = Number(process.env.OCR_MAX_PAGES) || 60;
+
+// 2x the PDF's 72 dpi ≈ 150 dpi, enough for statement-sized print
+const RENDER_SCALE = Number(process.env.OCR_RENDER_SCALE) || 2;
+
+const round1 = n => Math.round(n * 10) / 10;
+
+// ---------- Page rasterising (pdfjs-dist + @napi-rs/canvas) ----------
+
+let napiCanvas = null;
+
+const canvasFactory = {
+  create(width, height) {
+    napiCanvas = napiCanvas || require("@napi-rs/canvas");
+    const canvas = napiCanvas.createCanvas(Math.ceil(width), Math.ceil(height));
+    return { canvas, context: canvas.getContext("2d") };
+  },
+  reset(target, width, height) {
+    target.canvas.width = Math.ceil(width);
+    target.canvas.height = Math.ceil(height);
+  },
+  destroy(target) {
+    target.canvas.width = 0;
+    target.canvas.height = 0;
+    target.canvas = null;
+    target.context = null;
+  }
+};
+
+// Yields { page, png } one page at a time so a long scan never holds every
+// bitmap in memory at once
+async function* renderPages(buffer, pageNumbers, { password = null } = {}) {
+  const lib = loadPdfjs();
+  const doc = await lib.getDocument({
+    data: new Uint8Array(buffer),
+    password: password || undefined,
+    canvasFactory,
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    disableFontFace: true,
+    isEvalSupported: false
+  }).promise;
+
+  try {
+    for (const pageNo of pageNumbers) {
+      if (pageNo < 1 || pageNo > doc.numPages) continue;
+      const page = await doc.getPage(pageNo);
+      const viewport = page.getViewport({ scale: RENDER_SCALE });
+      const target = canvasFactory.create(viewport.width, viewport.height);
+      // Scans are often transparent; tesseract reads black-on-white best
+      target.context.fillStyle = "#ffffff";
+      target.context.fillRect(0, 0, target.canvas.width, target.canvas.height);
+      await page.render({ canvasContext: target.context, viewport }).promise;
+      const png = target.canvas.toBuffer("image/png");
+      canvasFactory.destroy(target);
+      page.cleanup();
+      yield { page: pageNo, png };
+    }
+  } finally {
+    await doc.destroy();
+  }
+}
+
+// ---------- Providers ----------
+
+export const localOcrProvider = {
+  name: "local",
+  async recognizePages(buffer, pageNumbers, { password = null } = {}) {
+    const { createWorker } = require("tesseract.js");
+    // Language data normally comes from the tesseract.js CDN; point
+    // OCR_LANG_PATH at a local copy for air-gapped deployments
+    const workerOptions = {};
+    if (process.env.OCR_LANG_PATH) workerOptions.langPath = process.env.OCR_LANG_PATH;
+    if (process.env.OCR_CACHE_PATH) workerOptions.cachePath = process.env.OCR_CACHE_PATH;
+
+    const worker = await createWorker(process.env.OCR_LANGUAGES || "eng", 1, workerOptions);
+    const results = [];
+    try {
+      for await (const { page, png } of renderPages(buffer, pageNumbers, { password })) {
+        const { data } = await worker.recognize(png);
+        results.push({ page, text: data.text || "", confidence: Number.isFinite(data.confidence) ? data.confidence : null });
+      }
+    } finally {
+      await worker.terminate();
+    }
+    return results;
+  }
+};
+
+// Hosted OCR.space API. It OCRs the whole file, so we pick out the pages we
+// asked for; it can't open encrypted PDFs and gives no confidence figure.
+export const ocrSpaceProvider = {
+  name: "ocr.space",
+  async recognizePages(buffer, pageNumbers) {
+    const apiKey = process.env.OCR_SPACE_API_KEY;
+    if (!apiKey) {
+      console.warn("OCR_SPACE_API_KEY not configured – skipping OCR");
+      return [];
+    }
+
+    const blob = new Blob([buffer], { type: "application/pdf" });
+
+    const formData = new FormData();
+    formData.append("apikey", apiKey);
+    formData.append("file", blob, "upload.pdf");
+    formData.append("language", "eng");
+    formData.append("isOverlayRequired", "false");
+
+    const res = await fetch("https://api.ocr.space/parse/image", {
+      method: "POST",
+      body: formData,
+    });
+
+    if (!res.ok) {
+      console.error("OCR HTTP error:", res.status, await res.text());
+      throw new Error("OCR API error");
+    }
+
+    const data = await res.json();
+
+    if (data.OCRExitCode !== 1 || !data.ParsedResults?.length) {
+      console.error("OCR bad response:", data);
+      throw new Error("OCR failed");
+    }
+
+    return pageNumbers
+      .filter(p => data.ParsedResults[p - 1])
+      .map(p => ({ page: p, text: data.ParsedResults[p - 1].ParsedText || "", confidence: null }));
+  }
+};
+
+const PROVIDERS = {
+  local: localOcrProvider,
+  "ocr.space": ocrSpaceProvider,
+  ocrspace: ocrSpaceProvider
+};
+
+export function getOcrProvider(name = process.env.OCR_PROVIDER || "local") {
+  const provider = PROVIDERS[String(name).toLowerCase()];
+  if (!provider) throw new Error(`Unknown OCR provider: ${name}`);
+  return provider;
+}
+
+const textChars = text => String(text || "").replace(/\s+/g, "").length;
+
+// =====================================================
+// PUBLIC — OCR only the pages without a usable text layer
+// =====================================================
+// Returns the pages with OCR text swapped in wherever it read more than the
+// text layer had, plus a per-page report ({ page, confidence, chars, used })
+// — `ocr` is null when every page already had text. `onStart(pageNumbers)`
+// is called only when some page actually goes to OCR.
+export async function ocrLowTextPages({
+  buffer,
+  pages,
+  password = null,
+  provider = getOcrProvider(),
+  minChars = MIN_PAGE_CHARS,
+  onStart = null
+}) {
+  const lowText = pages
+    .map((text, i) => ({ page: i + 1, chars: textChars(text) }))
+    .filter(p => p.chars < minChars)
+    .map(p => p.page);
+  if (!lowText.length) return { pages, ocr: null };
+
+  const selected = lowText.slice(0, MAX_OCR_PAGES);
+  if (selected.length < lowText.length) {
+    console.warn(`OCR limited to ${MAX_OCR_PAGES} of ${lowText.length} low-text pages`);
+  }
+
+  if (onStart) onStart(selected);
+  const results = await provider.recognizePages(buffer, selected, { password });
+  const merged = [...pages];
+  const report = [];
+  for (const r of results) {
+    const used = textChars(r.text) > textChars(pages[r.page - 1]);
+    if (used) merged[r.page - 1] = r.text;
+    report.push({ page: r.page, confidence: r.confidence != null ? round1(r.confidence) : null, chars: textChars(r.text), used });
+  }
+
+  const scored = report.filter(r => r.used && r.confidence != null);
+  return {
+    pages: merged,
+    ocr: {
+      provider: provider.name,
+      pagesRequested: lowText.length,
+      pages: report,
+      averageConfidence: scored.length ? round1(scored.reduce((s, r) => s + r.confidence, 0) / scored.length) : null
+    }
+  };
+}
@@ -1,35 +1,771 @@
 // parser.js
+//
+// Rule-based (non-AI) bureau report parsing. Each bureau gets a profile that
+// describes its section headers and field labels; a shared engine turns the
+// labelled blocks into the same loan/details shape that analyzeWithAI returns.
+// Reports we can't recognise fall back to the older keyword heuristics.
 
-export function parseBureauReport(rawText) {
-  // Normalise text a bit
-  const text = rawText.replace(/\r/g, "").replace(/[^\S\r\n]+/g, " ");
+import {
+  parsePaymentHistory,
+  computeDpdMetrics,
+  summariseDpdMetrics
+} from "./paymentHistory.js";
+import { findTables } from "./pdfLayout.js";
+import { accountKey, matchAccounts } from "./accountMatch.js";
+import { MONTHS, pad } from "./common.js";
 
-  // ---------- CREDIT SCORE ----------
-  let score = null;
+// ---------- Shared helpers ----------
 
-  const scorePatterns = [
-    /(experian|cibil|crif|equifax)[^\d]{0,40}(\d{3})/i,
-    /(credit\s+score)[^\d]{0,40}(\d{3})/i,
-    /\bscore\s*[:\-]?\s*(\d{3})\b/i
-  ];
+// Parse an Indian-format amount like "₹1,23,456.00" → 123456. Returns null
+// for blanks, "-", "NA" etc. so callers can tell "absent" from zero.
+export function parseIndianAmount(str) {
+  if (str == null) return null;
+  if (typeof str === "number") return Number.isFinite(str) ? str : null;
+  const s = String(str).replace(/,/g, "").replace(/₹|rs\.?|inr/gi, "").trim();
+  const m = s.match(/-?\d+(\.\d+)?/);
+  if (!m) return null;
+  const num = parseFloat(m[0]);
+  return Number.isFinite(num) ? num : null;
+}
+
+// Normalize tenure string to integer months where possible
+export function parseTenureToMonths(val) {
+  if (val == null) return null;
+  if (typeof val === "number" && Number.isFinite(val)) return Math.round(val);
+  const s = String(val).trim().toLowerCase();
+  let m = s.match(/(\d+)\s*(yr|year|years)/);
+  if (m) return parseInt(m[1], 10) * 12;
+  m = s.match(/(\d+)\s*(m|mo|month|months)/);
+  if (m) return parseInt(m[1], 10);
+  m = s.match(/^(\d+)$/);
+  if (m) return parseInt(m[1], 10);
+  m = s.match(/(\d+(\.\d+)?)/);
+  if (m) return Math.round(parseFloat(m[1]));
+  return null;
+}
+
+// Bureau dates come as 15-06-2021, 15/06/2021, 15-Jun-21, 15 Jun 2021 or
+// 2021-06-15. We return DD-MM-YYYY (what the Frontend's parseDateSafe reads).
+export function normaliseDate(str) {
+  if (str == null) return null;
+  const s = String(str).trim();
+  if (!s || /^(-+|na|n\/a|nil)$/i.test(s)) return null;
+
+  const fullYear = y => (y.length === 2 ? (Number(y) > 50 ? "19" : "20") + y : y);
+
+  let m = s.match(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/);
+  if (m) return `${pad(m[3])}-${pad(m[2])}-${m[1]}`;
+
+  m = s.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/);
+  if (m) return `${pad(m[1])}-${pad(m[2])}-${fullYear(m[3])}`;
+
+  m = s.match(/\b(\d{1,2})[-\s/]([A-Za-z]{3})[A-Za-z]*[-\s/,]*(\d{4}|\d{2})\b/);
+  if (m) {
+    const mon = MONTHS.indexOf(m[2].toLowerCase());
+    if (mon >= 0) return `${pad(m[1])}-${pad(mon + 1)}-${fullYear(m[3])}`;
+  }
+
+  return null;
+}
+
+// Map a bureau "account type" string onto the loan types the Frontend knows.
+export function classifyAccountType(str) {
+  const s = String(str || "");
+  if (/loan on credit card|loan against credit card/i.test(s)) return "Loan on Credit Card";
+  if (/credit card|\bcard\b/i.test(s)) return "Credit Card";
+  if (/home loan|housing/i.test(s)) return "Home Loan";
+  if (/property|\blap\b/i.test(s)) return "Loan Against Property";
+  if (/personal loan/i.test(s)) return "Personal Loan";
+  if (/consumer loan|consumer durable/i.test(s)) return "Consumer Loan";
+  if (/two[-\s]?wheeler/i.test(s)) return "Two-Wheeler Loan";
+  if (/vehicle|auto|car loan/i.test(s)) return "Auto / Vehicle Loan";
+  if (/gold/i.test(s)) return "Gold Loan";
+  if (/education/i.test(s)) return "Education Loan";
+  if (/overdraft|\bod\b/i.test(s)) return "Overdraft";
+  if (/cash credit/i.test(s)) return "Cash Credit";
+  if (/business|commercial|msme|working capital/i.test(s)) return "Business Loan";
+  if (/loan/i.test(s)) return s.trim();
+  return s.trim() || "Other";
+}
+
+const STATUS_KEYWORDS = [
+  { re: /written[-\s]?off|write[-\s]?off/i, value: "Written Off" },
+  { re: /settled/i, value: "Settled" },
+  { re: /closed/i, value: "Closed" },
+  { re: /active|open|current|standard/i, value: "Active" }
+];
+
+export function classifyStatus(accountStatus, details) {
+  for (const s of STATUS_KEYWORDS) {
+    if (s.re.test(accountStatus || "")) return s.value;
+  }
+  if (details.dateClosed) return "Closed";
+  if (details.totalWriteOffAmount > 0) return "Written Off";
+  if (details.settlementAmount > 0) return "Settled";
+  return "Active";
+}
 
-  for (const re of scorePatterns) {
+function isCardType(type) {
+  return type === "Credit Card";
+}
+
+// ---------- Bureau profiles ----------
+//
+// fields: detail key → list of label regex sources as printed by the bureau.
+// Keys starting with "_" are labels we recognise only so that their values
+// don't bleed into a neighbouring field.
+
+const SCORE_RANGE = { min: 300, max: 900 };
+
+const GENERIC_SCORE_PATTERNS = [
+  /(experian|cibil|crif|equifax)[^\d]{0,40}(\d{3})/i,
+  /(credit\s+score)[^\d]{0,40}(\d{3})/i,
+  /\bscore\s*[:\-]?\s*(\d{3})\b/i
+];
+
+const BUREAU_PROFILES = {
+  CIBIL: {
+    name: "CIBIL",
+    detect: [/transunion\s+cibil/i, /cibil\s+(transunion\s+)?score/i, /credit\s*information\s*report[\s\S]{0,200}cibil/i],
+    score: [
+      /cibil\s*(?:transunion\s*)?score(?:\(s\))?[\s\S]{0,120}?\b(\d{3})\b/i,
+      /creditvision\W*\s*score[^\d]{0,80}(\d{3})/i
+    ],
+    accountsStart: [/^\s*ACCOUNT\(S\)/im, /^\s*ACCOUNT\s+(INFORMATION|DETAILS)\s*:?\s*$/im],
+    enquiriesStart: [/^\s*ENQUIR(?:Y|IES)\s*(?:\(S\))?\s*:?\s*$/im],
+    sectionEnd: [/^\s*END\s+OF\s+REPORT/im],
+    requireColon: true,
+    fields: {
+      lender: ["MEMBER\\s+NAME"],
+      accountNumber: ["ACCOUNT\\s+NUMBER", "ACCOUNT\\s+NO\\.?"],
+      accountType: ["TYPE"],
+      ownership: ["OWNERSHIP"],
+      accountStatus: ["CREDIT\\s+FACILITY\\s+STATUS", "ACCOUNT\\s+STATUS"],
+      dateOpened: ["OPENED", "DATE\\s+OPENED(?:\\/DISBURSED)?"],
+      dateReported: ["REPORTED\\s+AND\\s+CERTIFIED", "DATE\\s+REPORTED"],
+      dateClosed: ["CLOSED", "DATE\\s+CLOSED"],
+      sanctionAmount: ["SANCTIONED", "HIGH\\s+CREDIT"],
+      creditLimit: ["CREDIT\\s+LIMIT"],
+      currentBalance: ["CURRENT\\s+BALANCE"],
+      amountOverdue: ["OVERDUE", "AMOUNT\\s+OVERDUE"],
+      emiAmount: ["EMI"],
+      securityOrCollateral: ["COLLATERAL\\s+TYPE", "TYPE\\s+OF\\s+COLLATERAL"],
+      rateOfInterest: ["RATE\\s+OF\\s+INTEREST"],
+      repaymentTenure: ["REPAYMENT\\s+TENURE"],
+      totalWriteOffAmount: ["WRITTEN[-\\s]?OFF\\s+AMOUNT\\s*\\(TOTAL\\)"],
+      principalWriteOff: ["WRITTEN[-\\s]?OFF\\s+AMOUNT\\s*\\(PRINCIPAL\\)"],
+      settlementAmount: ["SETTLEMENT\\s+AMOUNT"],
+      _ignore: [
+        "LAST\\s+PAYMENT", "PMT\\s+HIST\\s+START", "PMT\\s+HIST\\s+END",
+        "CASH\\s+LIMIT", "ACTUAL\\s+PAYMENT", "PAYMENT\\s+FREQUENCY",
+        "COLLATERAL\\s+VALUE", "SUIT\\s*-?\\s*FILED\\s*\\/\\s*WILFUL\\s+DEFAULT"
+      ]
+    },
+    paymentHistory: ["DAYS\\s+PAST\\s+DUE\\s*\\/\\s*ASSET\\s+CLASSIFICATION[^\\n]*"]
+  },
+
+  EXPERIAN: {
+    name: "Experian",
+    detect: [/experian/i],
+    score: [/experian\s+credit\s+score[^\d]{0,80}(\d{3})/i, /credit\s+score[^\d]{0,40}(\d{3})/i],
+    accountsStart: [/CREDIT\s+ACCOUNT\s+INFORMATION\s+DETAILS/i],
+    enquiriesStart: [/^\s*CREDIT\s+ENQUIRIES\s*$/im, /CREDIT\s+ENQUIRIES(?!\s*:?\s*\d)/i],
+    sectionEnd: [/^\s*END\s+OF\s+REPORT/im, /^\s*DISCLAIMER/im],
+    requireColon: false,
+    fields: {
+      lender: ["Lender", "Subscriber\\s+Name", "Member\\s+Name"],
+      accountNumber: ["Account\\s+No\\.?", "Account\\s+Number"],
+      accountType: ["Account\\s+Type"],
+      ownership: ["Ownership", "Account\\s+Holder\\s+Type"],
+      accountStatus: ["Account\\s+Status"],
+      dateOpened: ["Date\\s+Opened"],
+      dateReported: ["Date\\s+Reported"],
+      dateClosed: ["Date\\s+Closed"],
+      sanctionAmount: ["Sanction\\s+Amt\\s*\\/\\s*Highest\\s+Credit", "Sanction\\s+Amount", "Highest\\s+Credit"],
+      creditLimit: ["Credit\\s+Limit\\s+Amt", "Credit\\s+Limit"],
+      currentBalance: ["Current\\s+Balance"],
+      amountOverdue: ["Amount\\s+Overdue", "Amt\\s+Overdue"],
+      emiAmount: ["EMI\\s+Amount", "Scheduled\\s+Monthly\\s+Payment\\s+Amt"],
+      securityOrCollateral: ["Type\\s+of\\s+Collateral", "Collateral\\s+Type"],
+      rateOfInterest: ["Rate\\s+of\\s+Interest"],
+      repaymentTenure: ["Repayment\\s+Tenure", "Original\\s+Term"],
+      totalWriteOffAmount: ["Total\\s+Write[-\\s]?off\\s+Amt", "Written[-\\s]?off\\s+Amt\\s*\\(Total\\)"],
+      principalWriteOff: ["Principal\\s+Write[-\\s]?off\\s+Amt", "Written[-\\s]?off\\s+Amt\\s*\\(Principal\\)"],
+      settlementAmount: ["Settlement\\s+Amt", "Settlement\\s+Amount"],
+      _ignore: [
+        "Value\\s+of\\s+Collateral", "Suit\\s+Filed\\s*\\/\\s*Wil+ful\\s+Default",
+        "Credit\\s+Facility\\s+Status", "Date\\s+of\\s+Last\\s+Payment",
+        "Actual\\s+Payment\\s+Amt", "Total\\s+Current\\s+Bal\\.?\\s*amt",
+        "ACCOUNT\\s+\\d+"
+      ]
+    },
+    paymentHistory: ["Payment\\s+History(?:\\s*\\/\\s*Asset\\s+Classification)?"]
+  },
+
+  CRIF: {
+    name: "CRIF High Mark",
+    detect: [/crif\s*high\s*mark/i, /highmark/i, /\bcrif\b/i],
+    score: [
+      // The score table row ("PERFORM CONSUMER 2.2  300-900  718"): the score
+      // is the last number on the line, after the range column
+      /^[^\n]*perform\s*consumer[^\n]*?\b(\d{3})[ \t]*$/im,
+      /(?:crif\s*hm|perform\s*consumer[\s\d.]*)\s*score[^\d]{0,80}(\d{3})(?!\s*-\s*\d)/i,
+      /score\s*name[\s\S]{0,120}?\b(?:\d{3}\s*-\s*\d{3}\s+)([3-8]\d{2}|900)\b/i
+    ],
+    accountsStart: [/^\s*ACCOUNT\s+INFORMATION\s*$/im, /ACCOUNT\s+INFORMATION/i],
+    enquiriesStart: [/^\s*INQUIR(?:Y|IES)[^\n]*$/im],
+    sectionEnd: [/^\s*COMMENTS\s*$/im, /^\s*END\s+OF\s+(?:BASE\s+)?REPORT/im],
+    requireColon: false,
+    fields: {
+      lender: ["Credit\\s+Grantor", "Member\\s+Name"],
+      accountNumber: ["Account\\s*#", "Account\\s+No\\.?"],
+      accountType: ["Account\\s+Type"],
+      ownership: ["Ownership"],
+      accountStatus: ["Account\\s+Status", "Status"],
+      dateOpened: ["Disbursed\\s+Date", "Date\\s+Opened"],
+      dateReported: ["Info\\.?\\s+as\\s+of", "Date\\s+Reported"],
+      dateClosed: ["Closed\\s+Date", "Date\\s+Closed"],
+      sanctionAmount: ["Disbursed\\s+Amt", "Sanctioned\\s+Amt", "High\\s+Credit"],
+      creditLimit: ["Credit\\s+Limit"],
+      currentBalance: ["Current\\s+Balance", "Current\\s+Bal"],
+      amountOverdue: ["Overdue\\s+Amt", "Amount\\s+Overdue"],
+      emiAmount: ["Installment\\s+Amt", "EMI"],
+      securityOrCollateral: ["Security\\s+Status", "Collateral\\s+Type"],
+      rateOfInterest: ["Interest\\s+Rate", "Rate\\s+of\\s+Interest"],
+      repaymentTenure: ["Tenure", "Repayment\\s+Tenure"],
+      totalWriteOffAmount: ["Total\\s+Write[-\\s]?off\\s+Amt", "Write[-\\s]?off\\s+Amt"],
+      principalWriteOff: ["Principal\\s+Write[-\\s]?off\\s+Amt"],
+      settlementAmount: ["Settlement\\s+Amt"],
+      _ignore: ["Last\\s+Paid\\s+Date", "Actual\\s+Payment", "Cash\\s+Limit", "Reason"]
+    },
+    paymentHistory: ["Payment\\s+History\\s*\\/\\s*Asset\\s+Classification"]
+  },
+
+  EQUIFAX: {
+    name: "Equifax",
+    detect: [/equifax/i],
+    score: [
+      /equifax\s+risk\s+score(?:\s*\(?ers\)?)?(?:\s*\d\.\d)?[^\d]{0,80}(\d{3})/i,
+      /credit\s+score[^\d]{0,40}(\d{3})/i
+    ],
+    accountsStart: [/^\s*ACCOUNT\s+DETAILS\s*$/im, /ACCOUNT\s+DETAILS/i],
+    enquiriesStart: [/^\s*ENQUIRIES\s*$/im, /^\s*ENQUIRY\s+SUMMARY[^\n]*$/im],
+    sectionEnd: [/^\s*END\s+OF\s+REPORT/im, /^\s*GLOSSARY/im],
+    requireColon: false,
+    fields: {
+      lender: ["Institution"],
+      accountNumber: ["Account\\s+No\\.?", "Acct\\s+No\\.?"],
+      accountType: ["Type", "Account\\s+Type"],
+      ownership: ["Ownership\\s+Type", "Ownership"],
+      accountStatus: ["Account\\s+Status"],
+      dateOpened: ["Date\\s+Opened"],
+      dateReported: ["Date\\s+Reported"],
+      dateClosed: ["Date\\s+Closed"],
+      sanctionAmount: ["Sanction(?:ed)?\\s+Amount", "Sanctioned", "High\\s+Credit"],
+      creditLimit: ["Credit\\s+Limit"],
+      currentBalance: ["Current\\s+Balance", "Balance"],
+      amountOverdue: ["Past\\s+Due\\s+Amount", "Amount\\s+Overdue"],
+      emiAmount: ["Installment\\s+Amount", "EMI\\s+Amount"],
+      securityOrCollateral: ["Collateral\\s+Type", "Collateral\\s+Value"],
+      rateOfInterest: ["Interest\\s+Rate"],
+      repaymentTenure: ["Repayment\\s+Tenure"],
+      totalWriteOffAmount: ["Write[-\\s]?off\\s+Amount"],
+      principalWriteOff: ["Principal\\s+Write[-\\s]?off(?:\\s+Amount)?"],
+      settlementAmount: ["Settlement\\s+Amount"],
+      _ignore: [
+        "Last\\s+Payment", "Last\\s+Payment\\s+Date", "Reason", "Asset\\s+Classification",
+        "Suit\\s+Filed", "Dispute\\s+Code", "Term\\s+Frequency"
+      ]
+    },
+    paymentHistory: ["(?:Payment\\s+History|Monthly\\s+Payment\\s+Status)\\s*(?:\\(Up\\s+to\\s+\\d+\\s+Months\\))?"]
+  }
+};
+
+export const SUPPORTED_BUREAUS = Object.keys(BUREAU_PROFILES);
+
+// Which bureau produced this text? Returns a key of BUREAU_PROFILES or null.
+export function detectBureau(rawText) {
+  const head = String(rawText || "").slice(0, 4000);
+  // Specific names first: "experian" shows up in CIBIL footers far less often
+  // than in its own header, so we look at the first page only.
+  for (const key of ["CRIF", "EQUIFAX", "CIBIL", "EXPERIAN"]) {
+    if (BUREAU_PROFILES[key].detect.some(re => re.test(head))) return key;
+  }
+  return null;
+}
+
+// ---------- Generic profile engine ----------
+
+function normaliseText(rawText) {
+  return String(rawText || "")
+    .replace(/\r/g, "")
+    .replace(/[^\S\n]+/g, " ");
+}
+
+function extractScore(text, patterns) {
+  for (const re of patterns) {
     const m = text.match(re);
     if (m) {
       const val = parseInt(m[m.length - 1], 10);
-      if (val >= 300 && val <= 900) {
-        score = val;
-        break;
+      if (val >= SCORE_RANGE.min && val <= SCORE_RANGE.max) return val;
+    }
+  }
+  return null;
+}
+
+function firstMatchIndex(text, patterns, from = 0) {
+  let best = null;
+  for (const re of patterns) {
+    const flags = re.flags.includes("g") ? re.flags : re.flags + "g";
+    const g = new RegExp(re.source, flags);
+    g.lastIndex = from;
+    const m = g.exec(text);
+    if (m && (best === null || m.index < best.index)) {
+      best = { index: m.index, end: m.index + m[0].length };
+    }
+  }
+  return best;
+}
+
+// Cut [start marker, first end marker) out of the report text.
+function sliceSection(text, startPatterns, endPatterns) {
+  const start = firstMatchIndex(text, startPatterns);
+  if (!start) return "";
+  const end = firstMatchIndex(text, endPatterns, start.end);
+  return text.slice(start.end, end ? end.index : text.length);
+}
+
+// One regex that finds every known label in a block, remembering which
+// field each alternative belongs to.
+function buildLabelScanner(profile) {
+  const entries = [];
+  for (const [field, labels] of Object.entries(profile.fields)) {
+    for (const src of labels) entries.push({ field, src });
+  }
+  for (const src of profile.paymentHistory || []) {
+    entries.push({ field: "dpdHistory", src, colonOptional: true });
+  }
+  // Longest label first so "Account Type" wins over "Type" at the same spot
+  entries.sort((a, b) => b.src.length - a.src.length);
+
+  const colon = profile.requireColon ? "\\s*:" : "\\s*:?";
+  const alternatives = entries.map(e =>
+    `(${e.src})(?![A-Za-z])${e.colonOptional ? "\\s*:?" : colon}`
+  );
+  const re = new RegExp(`(?<![A-Za-z])(?:${alternatives.join("|")})`, "gi");
+
+  return { re, entries };
+}
+
+function scanLabels(block, scanner) {
+  const hits = [];
+  scanner.re.lastIndex = 0;
+  let m;
+  while ((m = scanner.re.exec(block)) !== null) {
+    const idx = m.slice(1).findIndex(g => g !== undefined);
+    if (idx < 0) continue;
+    hits.push({ field: scanner.entries[idx].field, start: m.index, end: m.index + m[0].length });
+  }
+  return hits;
+}
+
+// Turn label hits into raw string values. A value is the rest of the label's
+// line, or the next non-empty line when the label ends its line. Header rows
+// ("SANCTIONED CURRENT BALANCE OVERDUE" over "5,00,000 2,10,000 0") are
+// split column-wise when the token count lines up.
+function readLabelValues(block, hits) {
+  const values = hits.map((hit, i) => {
+    const segment = block.slice(hit.end, i + 1 < hits.length ? hits[i + 1].start : block.length);
+    if (hit.field === "dpdHistory") {
+      return { field: hit.field, value: segment.trim(), sameLine: true };
+    }
+    const nl = segment.indexOf("\n");
+    const firstLine = (nl < 0 ? segment : segment.slice(0, nl)).trim();
+    if (firstLine || nl < 0) {
+      return { field: hit.field, value: firstLine, sameLine: true };
+    }
+    const next = segment.slice(nl + 1).split("\n").map(l => l.trim()).find(Boolean) || "";
+    return { field: hit.field, value: next, sameLine: false };
+  });
+
+  let pending = [];
+  for (const v of values) {
+    if (v.sameLine && !v.value) {
+      pending.push(v);
+      continue;
+    }
+    if (!v.sameLine && pending.length) {
+      const tokens = v.value.split(/\s+/);
+      if (tokens.length === pending.length + 1) {
+        pending.forEach((p, i) => (p.value = tokens[i]));
+        v.value = tokens[tokens.length - 1];
+      }
+    }
+    pending = [];
+  }
+
+  return values;
+}
+
+// Group label values into accounts: a field we've already seen in the
+// current account means the next account has started.
+function groupIntoAccounts(values) {
+  const accounts = [];
+  let current = null;
+
+  for (const { field, value } of values) {
+    if (!current || (field in current && field !== "_ignore")) {
+      current = {};
+      accounts.push(current);
+    }
+    if (field === "_ignore") continue;
+    if (current[field] == null || current[field] === "") current[field] = value;
+  }
+
+  return accounts.filter(a => a.lender || a.accountNumber);
+}
+
+function buildAccount(raw) {
+  const amount = key => parseIndianAmount(raw[key]);
+  const tenureRaw = raw.repaymentTenure || null;
+  const tenureMonths = parseTenureToMonths(tenureRaw);
+
+  const details = {
+    lender: raw.lender || null,
+    accountType: raw.accountType || null,
+    accountNumber: raw.accountNumber ? raw.accountNumber.split(/\s+/)[0] : null,
+    ownership: raw.ownership || null,
+    accountStatus: raw.accountStatus || null,
+    dateOpened: normaliseDate(raw.dateOpened),
+    dateReported: normaliseDate(raw.dateReported),
+    dateClosed: normaliseDate(raw.dateClosed),
+    sanctionAmount: amount("sanctionAmount") ?? amount("creditLimit") ?? 0,
+    currentBalance: amount("currentBalance") ?? 0,
+    amountOverdue: amount("amountOverdue") ?? 0,
+    emiAmount: amount("emiAmount") ?? 0,
+    securityOrCollateral: raw.securityOrCollateral && !/^-+$/.test(raw.securityOrCollateral)
+      ? raw.securityOrCollateral
+      : null,
+    dpdHistory: raw.dpdHistory ? raw.dpdHistory.replace(/\s+/g, " ") : null,
+    paymentHistory: [],
+    rateOfInterest: amount("rateOfInterest"),
+    repaymentTenureRaw: tenureRaw,
+    repaymentTenure: tenureMonths !== null ? tenureMonths : tenureRaw,
+    totalWriteOffAmount: amount("totalWriteOffAmount") ?? 0,
+    principalWriteOff: amount("principalWriteOff") ?? 0,
+    settlementAmount: amount("settlementAmount") ?? 0
+  };
+
+  details.paymentHistory = parsePaymentHistory(details.dpdHistory, {
+    reportedDate: details.dateReported
+  });
+
+  const type = classifyAccountType(details.accountType);
+  const status = classifyStatus(details.accountStatus, details);
+  if (!details.accountStatus) details.accountStatus = status;
+
+  const line = [details.lender, details.accountType, details.accountNumber]
+    .filter(Boolean)
+    .join(" | ");
+
+  return { type, status, line, details };
+}
+
+const ENQUIRY_DATE_RE =
+  /\b(\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}|\d{1,2}[-\s][A-Za-z]{3}[A-Za-z]*[-\s,]*\d{2,4}|\d{4}-\d{2}-\d{2})\b/;
+
+// Enquiry tables are "institution  date  purpose  amount" rows. We anchor
+// on the date and read the institution from before it, the amount from the
+// last number after it.
+function parseEnquiryRows(sectionText) {
+  const enquiries = [];
+  const lines = sectionText.split("\n").map(l => l.trim()).filter(Boolean);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (/date\s+of\s+(enquiry|inquiry)|member\s+name|enquiry\s+purpose|^total\b/i.test(line)) continue;
+
+    const dm = line.match(ENQUIRY_DATE_RE);
+    if (!dm) continue;
+
+    let institution = line.slice(0, dm.index).replace(/[|:]+$/, "").trim();
+    if (!institution && i > 0 && !ENQUIRY_DATE_RE.test(lines[i - 1])) {
+      institution = lines[i - 1];
+    }
+    if (!institution) continue;
+
+    const rest = line.slice(dm.index + dm[0].length).trim();
+    const amounts = rest.match(/(?:₹\s*)?\d{1,3}(?:,\d{2,3})+(?:\.\d+)?|(?:₹\s*)?\d+(?:\.\d+)?/g) || [];
+    const amountToken = amounts.length ? amounts[amounts.length - 1] : null;
+    const purpose = (amountToken ? rest.slice(0, rest.lastIndexOf(amountToken)) : rest)
+      .replace(/[|]+/g, " ")
+      .trim();
+
+    enquiries.push({
+      institution,
+      enquiryType: purpose || null,
+      date: normaliseDate(dm[0]),
+      amount: parseIndianAmount(amountToken) ?? 0,
+      status: null
+    });
+  }
+
+  return enquiries;
+}
+
+export function computeTotals(loans) {
+  const totals = { loanSanctioned: 0, loanOutstanding: 0, cardLimit: 0, cardOutstanding: 0 };
+  for (const l of loans) {
+    const d = l.details;
+    const open = l.status !== "Closed";
+    if (isCardType(l.type)) {
+      if (open) totals.cardLimit += d.sanctionAmount || 0;
+      totals.cardOutstanding += d.currentBalance || 0;
+    } else {
+      if (open) totals.loanSanctioned += d.sanctionAmount || 0;
+      totals.loanOutstanding += d.currentBalance || 0;
+    }
+  }
+  return totals;
+}
+
+function parseWithProfile(rawText, profile) {
+  const text = normaliseText(rawText);
+  const scanner = buildLabelScanner(profile);
+
+  const accountsText = sliceSection(
+    text,
+    profile.accountsStart,
+    [...profile.enquiriesStart, ...profile.sectionEnd]
+  );
+  const values = readLabelValues(accountsText, scanLabels(accountsText, scanner));
+  const loans = groupIntoAccounts(values).map(buildAccount);
+
+  const enquiriesText = sliceSection(text, profile.enquiriesStart, profile.sectionEnd);
+  const enquiries = parseEnquiryRows(enquiriesText);
+
+  const dpdMetrics = computeDpdMetrics(loans);
+  const overdueAccounts = loans.filter(l => l.details.amountOverdue > 0).length;
+
+  return {
+    bureau: profile.name,
+    score: extractScore(text, profile.score) ?? extractScore(text, GENERIC_SCORE_PATTERNS),
+    enquiryCount: enquiries.length,
+    dpd: summariseDpdMetrics(dpdMetrics, overdueAccounts),
+    dpdMetrics,
+    totals: computeTotals(loans),
+    loans,
+    enquiries
+  };
+}
+
+export const parseCibilReport = rawText => parseWithProfile(rawText, BUREAU_PROFILES.CIBIL);
+export const parseExperianReport = rawText => parseWithProfile(rawText, BUREAU_PROFILES.EXPERIAN);
+export const parseCrifReport = rawText => parseWithProfile(rawText, BUREAU_PROFILES.CRIF);
+export const parseEquifaxReport = rawText => parseWithProfile(rawText, BUREAU_PROFILES.EQUIFAX);
+
+const PARSERS = {
+  CIBIL: parseCibilReport,
+  EXPERIAN: parseExperianReport,
+  CRIF: parseCrifReport,
+  EQUIFAX: parseEquifaxReport
+};
+
+// ---------- Account summary tables (layout) ----------
+//
+// Most bureaus also print a one-row-per-account summary table. Read from
+// the PDF layout (see pdfLayout.js) its columns stay apart, which makes it
+// the most reliable source for the amounts that feed the totals.
+
+// Header text → raw field name buildAccount understands; first match wins
+const SUMMARY_COLUMNS = [
+  ["accountNumber", /account\s*(no|number|#)|a\/c\s*no/i],
+  ["accountType", /type/i],
+  ["lender", /member|lender|institution|subscriber|credit\s*grantor|bank\s*name/i],
+  ["ownership", /ownership/i],
+  ["accountStatus", /status/i],
+  ["dateOpened", /open/i],
+  ["dateReported", /report/i],
+  ["dateClosed", /clos/i],
+  ["amountOverdue", /overdue|past\s*due/i],
+  ["sanctionAmount", /sanction|disburs|high\s*credit|limit/i],
+  ["currentBalance", /balance|outstanding/i],
+  ["emiAmount", /\bemi\b|instal/i]
+];
+
+const SUMMARY_AMOUNT_FIELDS = ["sanctionAmount", "currentBalance", "amountOverdue", "emiAmount"];
+
+function mapSummaryColumns(headers) {
+  const map = {};
+  for (const h of headers) {
+    const hit = SUMMARY_COLUMNS.find(([field, re]) => re.test(h) && !Object.values(map).includes(field));
+    if (hit) map[h] = hit[0];
+  }
+  return map;
+}
+
+function isAccountSummaryHeader(texts) {
+  const fields = Object.values(mapSummaryColumns(texts));
+  return fields.includes("lender") &&
+    (fields.includes("accountNumber") || fields.includes("accountType")) &&
+    (fields.includes("currentBalance") || fields.includes("sanctionAmount"));
+}
+
+// =====================================================
+// PUBLIC — layout → loans from account summary tables
+// =====================================================
+// Same { type, status, line, details } shape as the label parser, plus the
+// `page` the row was printed on and `fieldPages` for every field read.
+export function parseAccountSummaryLayout(layout) {
+  const tables = findTables(layout, {
+    isHeader: isAccountSummaryHeader,
+    isEnd: texts => /^(total|grand\s+total)\b|enquir/i.test(texts[0] || "")
+  });
+
+  const rows = [];
+  for (const table of tables) {
+    const columns = mapSummaryColumns(table.columns);
+    for (const row of table.rows) {
+      const raw = {};
+      for (const [header, text] of Object.entries(row.cells)) {
+        if (columns[header]) raw[columns[header]] = text;
+      }
+      const hasData = raw.accountNumber || SUMMARY_AMOUNT_FIELDS.some(f => parseIndianAmount(raw[f]) != null);
+      const last = rows[rows.length - 1];
+      if (!hasData) {
+        // Long lender names wrap onto a second line
+        if (last && raw.lender && Object.keys(raw).every(k => k === "lender" || k === "accountType")) {
+          last.raw.lender = `${last.raw.lender || ""} ${raw.lender}`.trim();
+          if (raw.accountType) last.raw.accountType = `${last.raw.accountType || ""} ${raw.accountType}`.trim();
+        }
+        continue;
       }
+      rows.push({ raw, page: row.page });
     }
   }
 
+  return rows
+    .filter(r => r.raw.lender || r.raw.accountNumber)
+    .map(({ raw, page }) => {
+      const loan = buildAccount(raw);
+      const fieldPages = {};
+      for (const f of Object.keys(raw)) fieldPages[f] = page;
+      return { ...loan, page, fieldPages };
+    });
+}
+
+// First page whose text contains the account number as printed
+function locatePage(layout, needle) {
+  if (!needle || String(needle).length < 4) return null;
+  for (const page of layout.pages) {
+    if (page.items.some(it => it.str.includes(needle))) return page.page;
+  }
+  return null;
+}
+
+// Fold summary-table rows into the label-parsed accounts: table amounts win
+// (their columns can't run together), table-only accounts are added, and
+// every account gets the page it came from.
+function mergeSummaryTable(parsed, tableLoans, layout) {
+  const loans = parsed.loans.map(l => ({ ...l, details: { ...l.details } }));
+
+  // Same report, so the table's lender name starts the way the block's does
+  const { pairs } = matchAccounts(tableLoans, loans, (t, l) => {
+    const key = accountKey(t.details.accountNumber);
+    const lenderWord = String(t.details.lender || "").toLowerCase().split(/\s+/)[0];
+    return !!l.details && !!key && accountKey(l.details.accountNumber) === key &&
+      (!lenderWord || String(l.details.lender || "").toLowerCase().includes(lenderWord));
+  });
+
+  for (const { loan: t, match: loan } of pairs) {
+    if (!loan) {
+      loans.push(t);
+      continue;
+    }
+    loan.page = loan.page ?? t.page;
+    loan.fieldPages = { ...(loan.fieldPages || {}) };
+    for (const f of SUMMARY_AMOUNT_FIELDS) {
+      if (t.fieldPages[f] && t.details[f] != null) {
+        loan.details[f] = t.details[f];
+        loan.fieldPages[f] = t.page;
+      }
+    }
+  }
+
+  for (const l of loans) {
+    if (l.details && l.page == null) l.page = locatePage(layout, l.details.accountNumber);
+  }
+
+  const dpdMetrics = computeDpdMetrics(loans);
+  const overdueAccounts = loans.filter(l => l.details?.amountOverdue > 0).length;
+  return {
+    ...parsed,
+    dpd: summariseDpdMetrics(dpdMetrics, overdueAccounts),
+    dpdMetrics,
+    totals: computeTotals(loans.filter(l => l.details)),
+    ...(tableLoans.length && {
+      totalsSource: "summary-table",
+      summaryTable: { accounts: tableLoans.length, pages: [...new Set(tableLoans.map(l => l.page))] }
+    }),
+    loans
+  };
+}
+
+// ---------- Extract Total Current Bal. amt ----------
+// Experian prints the report-level outstanding under the account summary;
+// when present it beats any sum we (or the AI) can build.
+export function extractTotalCurrentBalance(text) {
+  const t = String(text || "").replace(/\r/g, "").replace(/\u00a0/g, " ");
+
+  const patterns = [
+    /Total\s+Current\s+Bal\.?\s*amt[^\d]{0,30}([\d,]+)/i,
+    /Total\s+Current\s+Balance[^\d]{0,30}([\d,]+)/i
+  ];
+
+  for (const re of patterns) {
+    const m = t.match(re);
+    if (m && m[1]) return parseIndianAmount(m[1]) ?? 0;
+  }
+
+  return 0;
+}
+
+// =====================================================
+// ENTRY POINT — detect the bureau, fall back to heuristics
+// =====================================================
+// `layout` (from pdfLayout.extractLayout) is optional; with it, account
+// summary tables are read column by column and loans carry page numbers.
+export function parseBureauReport(rawText, { layout = null } = {}) {
+  const bureau = detectBureau(rawText);
+  const tableLoans = layout ? parseAccountSummaryLayout(layout) : [];
+
+  if (bureau) {
+    const parsed = PARSERS[bureau](rawText);
+    if (parsed.loans.length || tableLoans.length) {
+      return tableLoans.length || layout ? mergeSummaryTable(parsed, tableLoans, layout) : parsed;
+    }
+  }
+
+  const generic = { bureau: bureau ? BUREAU_PROFILES[bureau].name : null, ...parseGenericReport(rawText) };
+  // Keyword-fallback loans have no details; a summary table beats them
+  return tableLoans.length ? mergeSummaryTable({ ...generic, loans: [] }, tableLoans, layout) : generic;
+}
+
+// ---------- Generic keyword heuristics (unknown layouts) ----------
+
+function parseGenericReport(rawText) {
+  // Normalise text a bit
+  const text = rawText.replace(/\r/g, "").replace(/[^\S\r\n]+/g, " ");
+
+  // ---------- CREDIT SCORE ----------
+  let score = extractScore(text, GENERIC_SCORE_PATTERNS);
+
   // Fallback: first 3-digit number between 300–900
   if (score === null) {
     const allNums = text.match(/\b\d{3}\b/g) || [];
     for (const n of allNums) {
       const val = parseInt(n, 10);
-      if (val >= 300 && val <= 900) {
+      if (val >= SCORE_RANGE.min && val <= SCORE_RANGE.max) {
         score = val;
         break;
       }
@@ -76,13 +812,7 @@ export function parseBureauReport(rawText) {
   let totalCardLimit = 0;
   let totalCardOutstanding = 0;
 
-  // Helper to parse an amount like "1,23,456.00"
-  const parseAmount = str => {
-    if (!str) return 0;
-    const cleaned = str.replace(/,/g, "");
-    const num = parseFloat(cleaned);
-    return isNaN(num) ? 0 : num;
-  };
+  const parseAmount = str => parseIndianAmount(str) ?? 0;
 
   // Recent lines buffer to guess context
   const recent = [];
@@ -210,6 +940,7 @@ export function parseBureauReport(rawText) {
       loanOutstanding: totalLoanOutstanding,
       cardLimit: totalCardLimit,
       cardOutstanding: totalCardOutstanding
-    }
+    },
+    enquiries: []
   };
 }
@@ -0,0 +1,230 @@
+// paymentHistory.js
+//
+// Turns a bureau payment-history grid (the "DAYS PAST DUE / ASSET
+// CLASSIFICATION" block) into month-by-month entries, and rolls those up
+// into the report-level DPD metrics our underwriting rules use.
+
+import { MONTHS, pad } from "./common.js";
+
+export const ASSET_CLASSES = ["STD", "SMA", "SUB", "DBT", "LSS", "XXX"];
+
+// When a cell only carries an asset class we still need a number to rank
+// it against DPD cells. SMA means "some overdue, under 90"; SUB/DBT/LSS are
+// NPA buckets, so they count as 90+ events.
+const CLASS_DPD_EQUIVALENT = { STD: 0, SMA: 1, SUB: 91, DBT: 181, LSS: 181, XXX: null };
+
+const fullYear = y => (String(y).length === 2 ? 2000 + Number(y) : Number(y));
+
+function monthKey(year, month) {
+  return `${year}-${pad(month)}`;
+}
+
+function shiftMonth(key, delta) {
+  const [y, m] = key.split("-").map(Number);
+  const idx = y * 12 + (m - 1) + delta;
+  return monthKey(Math.floor(idx / 12), (idx % 12) + 1);
+}
+
+function monthsBetween(fromKey, toKey) {
+  const [fy, fm] = fromKey.split("-").map(Number);
+  const [ty, tm] = toKey.split("-").map(Number);
+  return (ty * 12 + tm) - (fy * 12 + fm);
+}
+
+// "15-06-2021" / "2021-06-15" / Date → "2021-06"
+export function toMonthKey(value) {
+  if (!value) return null;
+  if (value instanceof Date) return monthKey(value.getFullYear(), value.getMonth() + 1);
+  const s = String(value);
+  let m = s.match(/\b(\d{4})[-/](\d{1,2})(?:[-/]\d{1,2})?\b/);
+  if (m) return monthKey(m[1], m[2]);
+  m = s.match(/\b\d{1,2}[-/](\d{1,2})[-/](\d{4})\b/);
+  if (m) return monthKey(m[2], m[1]);
+  return null;
+}
+
+function parseMonthToken(tok, yearContext) {
+  let m = tok.match(/^(\d{2})-(\d{2})$/); // 03-24 (CIBIL)
+  if (m && Number(m[1]) >= 1 && Number(m[1]) <= 12) return monthKey(fullYear(m[2]), m[1]);
+  m = tok.match(/^([A-Za-z]{3})[A-Za-z]*[-'’]?(\d{2}|\d{4})$/); // Mar-24 (CRIF)
+  if (m && MONTHS.includes(m[1].toLowerCase())) {
+    return monthKey(fullYear(m[2]), MONTHS.indexOf(m[1].toLowerCase()) + 1);
+  }
+  m = tok.match(/^([A-Za-z]{3})[A-Za-z]*$/); // Mar, under a "2024:" year label
+  if (m && yearContext && MONTHS.includes(m[1].toLowerCase())) {
+    return monthKey(yearContext, MONTHS.indexOf(m[1].toLowerCase()) + 1);
+  }
+  return null;
+}
+
+// A grid cell: "000", "30", "STD", "030/SMA", "XXX"
+function parseCell(tok) {
+  const t = tok.toUpperCase();
+  const m = t.match(/^(\d{1,3}|[A-Z]{3})(?:\/([A-Z]{3}))?$/);
+  if (!m) return null;
+
+  let dpd = null;
+  let assetClass = null;
+  for (const part of [m[1], m[2]].filter(Boolean)) {
+    if (/^\d+$/.test(part)) dpd = parseInt(part, 10);
+    else if (ASSET_CLASSES.includes(part)) assetClass = part;
+    else return null;
+  }
+
+  if (!assetClass) assetClass = classifyDpd(dpd);
+  if (dpd === null && assetClass === "STD") dpd = 0;
+  return { dpd, assetClass };
+}
+
+// RBI-style bucket for a bare DPD number
+export function classifyDpd(dpd) {
+  if (dpd == null) return "XXX";
+  if (dpd === 0) return "STD";
+  if (dpd <= 90) return "SMA";
+  return "SUB";
+}
+
+// =====================================================
+// PUBLIC — grid text → [{ month, dpd, assetClass }]
+// =====================================================
+// Entries come back newest first. `reportedDate` anchors grids that print no
+// month headers (the first cell is the reported month, older to the right).
+export function parsePaymentHistory(raw, { reportedDate = null } = {}) {
+  if (Array.isArray(raw)) return raw;
+  if (!raw) return [];
+  const text = String(raw).replace(/\s+/g, " ").trim();
+  const byMonth = new Map();
+  const add = (month, cell) => {
+    if (month && cell && !byMonth.has(month)) byMonth.set(month, { month, ...cell });
+  };
+
+  // 1) Explicit "2024-03:030" / "2024-03: STD" pairs (AI output, Frontend format)
+  const pairRe = /(\d{4})[-/](\d{1,2})\s*:\s*(\d{1,3}(?:\/[A-Za-z]{3})?|[A-Za-z]{3}(?:\/[A-Za-z]{3})?)/g;
+  let m;
+  while ((m = pairRe.exec(text)) !== null) add(monthKey(m[1], m[2]), parseCell(m[3]));
+
+  if (!byMonth.size) {
+    // 2) Month header tokens and cell tokens, zipped in reading order
+    const months = [];
+    const cells = [];
+    let yearContext = null;
+    for (const tok of text.split(" ")) {
+      const year = tok.match(/^(\d{4}):?$/);
+      if (year && Number(year[1]) > 1990) {
+        yearContext = Number(year[1]);
+        continue;
+      }
+      const month = parseMonthToken(tok, yearContext);
+      if (month) {
+        months.push(month);
+        continue;
+      }
+      // Some PDFs run 3-digit cells together: "000030000"
+      if (/^\d{6,}$/.test(tok) && tok.length % 3 === 0) {
+        for (const chunk of tok.match(/\d{3}/g)) cells.push(parseCell(chunk));
+        continue;
+      }
+      const cell = parseCell(tok);
+      if (cell) cells.push(cell);
+    }
+
+    if (months.length && months.length === cells.length) {
+      months.forEach((month, i) => add(month, cells[i]));
+    } else if (cells.length) {
+      // Without usable headers, count back from the newest known month
+      const anchor = months[0] || toMonthKey(reportedDate);
+      if (anchor) cells.forEach((cell, i) => add(shiftMonth(anchor, -i), cell));
+    }
+  }
+
+  return [...byMonth.values()].sort((a, b) => (a.month < b.month ? 1 : -1));
+}
+
+// Serialize back to the "YYYY-MM:DPD" string the Frontend's
+// getMaxDpdFromHistory understands.
+export function formatPaymentHistory(entries) {
+  return (entries || [])
+    .map(e => `${e.month}:${e.dpd != null ? String(e.dpd).padStart(3, "0") : e.assetClass}`)
+    .join(", ");
+}
+
+// A cell's days past due, ranking class-only cells by CLASS_DPD_EQUIVALENT
+export function effectiveDpd(entry) {
+  if (entry.dpd != null) {
+    return Math.max(entry.dpd, CLASS_DPD_EQUIVALENT[entry.assetClass] ?? 0);
+  }
+  return CLASS_DPD_EQUIVALENT[entry.assetClass] ?? null;
+}
+
+const ASSET_CLASS_SEVERITY = ["XXX", "STD", "SMA", "SUB", "DBT", "LSS"];
+
+// =====================================================
+// PUBLIC — report-level metrics across all accounts
+// =====================================================
+// Windows are counted back from `asOf` (defaults to the latest month any
+// account reports). Event counts are account-months over the whole grid.
+export function computeDpdMetrics(loans, { asOf = null } = {}) {
+  const entries = [];
+  for (const l of loans || []) {
+    for (const e of l.details?.paymentHistory || []) entries.push(e);
+  }
+
+  const latest = entries.reduce((max, e) => (!max || e.month > max ? e.month : max), null);
+  const asOfKey = toMonthKey(asOf) || latest;
+
+  const metrics = {
+    asOfMonth: asOfKey,
+    monthsOfHistory: new Set(entries.map(e => e.month)).size,
+    maxDpd6M: 0,
+    maxDpd12M: 0,
+    maxDpd24M: 0,
+    maxDpdEver: 0,
+    monthsSinceLastDelinquency: null,
+    dpd30PlusCount: 0,
+    dpd60PlusCount: 0,
+    dpd90PlusCount: 0,
+    worstAssetClass: entries.length ? "STD" : null
+  };
+  if (!asOfKey) return metrics;
+
+  for (const e of entries) {
+    const dpd = effectiveDpd(e);
+    const age = monthsBetween(e.month, asOfKey);
+
+    if (ASSET_CLASS_SEVERITY.indexOf(e.assetClass) > ASSET_CLASS_SEVERITY.indexOf(metrics.worstAssetClass)) {
+      metrics.worstAssetClass = e.assetClass;
+    }
+    if (dpd == null || age < 0) continue;
+
+    if (age < 6) metrics.maxDpd6M = Math.max(metrics.maxDpd6M, dpd);
+    if (age < 12) metrics.maxDpd12M = Math.max(metrics.maxDpd12M, dpd);
+    if (age < 24) metrics.maxDpd24M = Math.max(metrics.maxDpd24M, dpd);
+    metrics.maxDpdEver = Math.max(metrics.maxDpdEver, dpd);
+
+    if (dpd > 0 && (metrics.monthsSinceLastDelinquency === null || age < metrics.monthsSinceLastDelinquency)) {
+      metrics.monthsSinceLastDelinquency = age;
+    }
+    if (dpd >= 30) metrics.dpd30PlusCount++;
+    if (dpd >= 60) metrics.dpd60PlusCount++;
+    if (dpd >= 90) metrics.dpd90PlusCount++;
+  }
+
+  return metrics;
+}
+
+// Short human summary in the spirit of the AI's `dpd` string
+export function summariseDpdMetrics(metrics, overdueAccounts = 0) {
+  const parts = [];
+  if (metrics.maxDpdEver > 0) {
+    parts.push(
+      `Max DPD ${metrics.maxDpd12M} (12M) / ${metrics.maxDpdEver} (ever)`,
+      `${metrics.dpd30PlusCount}x 30+, ${metrics.dpd60PlusCount}x 60+, ${metrics.dpd90PlusCount}x 90+`,
+      `last delinquency ${metrics.monthsSinceLastDelinquency} month(s) ago`
+    );
+  }
+  if (metrics.worstAssetClass && !["STD", "XXX"].includes(metrics.worstAssetClass)) {
+    parts.push(`worst asset class ${metrics.worstAssetClass}`);
+  }
+  if (overdueAccounts) parts.push(`${overdueAccounts} account(s) currently overdue`);
+  return parts.length ? parts.join("; ") : "0 - Clean";
+}
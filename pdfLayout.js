@@ -0,0 +1,233 @@
+// pdfLayout.js
+//
+// Position-aware text extraction with pdfjs-dist. pdf-parse glues the items
+// of a line together ("50,000.0060,000.00"), which is how table columns get
+// lost. Here every text item keeps its page, x/y and font; lines are rebuilt
+// from the y positions and tables from the x positions of their header
+// cells, so each value can point back to the page it was printed on.
+
+import path from "path";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+let pdfjs = null;
+
+// pdfjs-dist's legacy (Node) build, loaded on first use. @napi-rs/canvas
+// supplies the browser globals pdf.js expects when it renders pages.
+export function loadPdfjs() {
+  if (!pdfjs) {
+    try {
+      const canvas = require("@napi-rs/canvas");
+      for (const name of ["Path2D", "DOMMatrix", "ImageData"]) {
+        if (!globalThis[name] && canvas[name]) globalThis[name] = canvas[name];
+      }
+    } catch (e) {
+      // Text extraction works without it; only rendering (OCR) needs it
+    }
+    pdfjs = require("pdfjs-dist/legacy/build/pdf.js");
+  }
+  return pdfjs;
+}
+
+export const STANDARD_FONT_DATA_URL = path.join(
+  path.dirname(require.resolve("pdfjs-dist/package.json")),
+  "standard_fonts/"
+);
+
+const round1 = n => Math.round(n * 10) / 10;
+
+// =====================================================
+// PUBLIC — PDF → positioned text items per page
+// =====================================================
+// Coordinates are in PDF points with the origin at the top-left of the page
+// (y grows downwards, as it reads).
+export async function extractLayout(buffer, { password = null } = {}) {
+  const lib = loadPdfjs();
+  const doc = await lib.getDocument({
+    data: new Uint8Array(buffer),
+    password: password || undefined,
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    disableFontFace: true,
+    isEvalSupported: false
+  }).promise;
+
+  try {
+    const pages = [];
+    for (let p = 1; p <= doc.numPages; p++) {
+      const page = await doc.getPage(p);
+      const viewport = page.getViewport({ scale: 1 });
+      const content = await page.getTextContent();
+
+      const items = [];
+      for (const it of content.items) {
+        if (!it.str || !it.str.trim()) continue;
+        const [a, b, , d, e, f] = it.transform;
+        const fontSize = round1(Math.abs(d) || Math.hypot(a, b));
+        items.push({
+          page: p,
+          str: it.str,
+          x: round1(e),
+          y: round1(viewport.height - f),
+          width: round1(it.width),
+          height: round1(it.height || fontSize),
+          font: it.fontName,
+          fontFamily: content.styles?.[it.fontName]?.fontFamily || null,
+          fontSize
+        });
+      }
+
+      pages.push({ page: p, width: round1(viewport.width), height: round1(viewport.height), items });
+      page.cleanup();
+    }
+    return { numPages: doc.numPages, pages };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+// ---------- Lines and cells ----------
+
+// Items whose baselines are this close (relative to font size) share a line
+const LINE_TOLERANCE = 0.45;
+
+// A horizontal gap wider than this many font sizes separates two cells
+const CELL_GAP = 0.9;
+
+// =====================================================
+// PUBLIC — items → lines of cells, top to bottom
+// =====================================================
+// Each line is { page, y, cells: [{ text, x0, x1 }] } with cells left to right.
+export function groupLines(items) {
+  const sorted = [...items].sort((p, q) => p.y - q.y || p.x - q.x);
+  const lines = [];
+
+  for (const item of sorted) {
+    const last = lines[lines.length - 1];
+    const tolerance = Math.max(1.5, (item.fontSize || 8) * LINE_TOLERANCE);
+    if (last && last.page === item.page && Math.abs(item.y - last.y) <= tolerance) {
+      last.items.push(item);
+    } else {
+      lines.push({ page: item.page, y: item.y, items: [item] });
+    }
+  }
+
+  return lines.map(line => ({ page: line.page, y: line.y, cells: toCells(line.items) }));
+}
+
+function toCells(items) {
+  const cells = [];
+  for (const item of [...items].sort((p, q) => p.x - q.x)) {
+    const last = cells[cells.length - 1];
+    const gap = last ? item.x - last.x1 : Infinity;
+    const size = item.fontSize || 8;
+    if (last && gap < size * CELL_GAP) {
+      // Items split mid-word sit flush; anything wider is a word space
+      last.text += (gap > size * 0.15 && !/\s$/.test(last.text) ? " " : "") + item.str;
+      last.x1 = Math.max(last.x1, item.x + item.width);
+    } else {
+      cells.push({ text: item.str, x0: item.x, x1: item.x + item.width });
+    }
+  }
+  return cells.map(c => ({ ...c, text: c.text.replace(/\s+/g, " ").trim() })).filter(c => c.text);
+}
+
+// =====================================================
+// PUBLIC — layout → plain text that keeps column gaps
+// =====================================================
+// Cells are separated by two spaces, so "50,000.00  60,000.00" no longer
+// runs together; pages are separated by a blank line like pdf-parse's.
+export function layoutText(layout) {
+  return layout.pages
+    .map(p => groupLines(p.items).map(l => l.cells.map(c => c.text).join("  ")).join("\n"))
+    .join("\n\n");
+}
+
+// ---------- Tables ----------
+
+// Column i owns the x-range between the midpoints to its neighbours' header
+// edges, so right-aligned amounts still land under their header.
+function columnBounds(headerCells) {
+  return headerCells.map((c, i) => {
+    const prev = headerCells[i - 1];
+    const next = headerCells[i + 1];
+    return {
+      name: c.text,
+      x0: prev ? (prev.x1 + c.x0) / 2 : -Infinity,
+      x1: next ? (c.x1 + next.x0) / 2 : Infinity
+    };
+  });
+}
+
+function assignCells(cells, columns) {
+  const out = {};
+  for (const cell of cells) {
+    const centre = (cell.x0 + cell.x1) / 2;
+    const col = columns.find(c => centre >= c.x0 && centre < c.x1) || columns[columns.length - 1];
+    out[col.name] = out[col.name] ? `${out[col.name]} ${cell.text}` : cell.text;
+  }
+  return out;
+}
+
+// A second header line ("Amt." under "Withdrawal") has no digits and every
+// cell sits under an existing header cell
+function isHeaderContinuation(line, headerCells) {
+  if (!line || line.cells.some(c => /\d/.test(c.text))) return false;
+  return line.cells.every(c => headerCells.some(h => c.x0 < h.x1 + 2 && c.x1 > h.x0 - 2));
+}
+
+// =====================================================
+// PUBLIC — rebuild tables from a layout
+// =====================================================
+// `isHeader(texts)` gets the cell texts of a line and says whether it is the
+// table's header row. Rows below a header are split into its columns; a
+// page without its own header keeps using the previous page's columns.
+// `isEnd(texts)` (optional) closes the table.
+//
+// Returns [{ page, columns: [names], rows: [{ page, y, cells: { name: text } }] }]
+export function findTables(layout, { isHeader, isEnd = () => false, minColumns = 3 }) {
+  const tables = [];
+  let current = null;
+
+  for (const page of layout.pages) {
+    const lines = groupLines(page.items);
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const texts = line.cells.map(c => c.text);
+
+      if (line.cells.length >= minColumns && isHeader(texts)) {
+        let headerCells = line.cells.map(c => ({ ...c }));
+        while (isHeaderContinuation(lines[i + 1], headerCells)) {
+          for (const c of lines[++i].cells) {
+            const h = headerCells.find(hc => c.x0 < hc.x1 + 2 && c.x1 > hc.x0 - 2);
+            h.text = `${h.text} ${c.text}`;
+          }
+        }
+        headerCells = headerCells.map(c => ({ ...c, text: c.text.replace(/\s+/g, " ").trim() }));
+
+        const columns = columnBounds(headerCells);
+        const names = columns.map(c => c.name).join("|");
+        // The same header repeated on the next page continues the table
+        if (!current || current.columns.map(c => c.name).join("|") !== names) {
+          current = { page: page.page, columns, rows: [] };
+          tables.push(current);
+        }
+        continue;
+      }
+
+      if (!current) continue;
+      if (isEnd(texts)) {
+        current = null;
+        continue;
+      }
+      current.rows.push({ page: page.page, y: line.y, cells: assignCells(line.cells, current.columns) });
+    }
+  }
+
+  return tables.map(t => ({ page: t.page, columns: t.columns.map(c => c.name), rows: t.rows }));
+}
+
+// Find the first column whose header matches, skipping any excluded one
+export function pickColumn(columns, re, exclude = null) {
+  return columns.find(c => re.test(c) && !(exclude && exclude.test(c))) || null;
+}
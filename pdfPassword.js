@@ -0,0 +1,140 @@
+// pdfPassword.js
+//
+// Opening encrypted PDFs. Bank e-statements and many bureau downloads are
+// locked with something derived from the customer's DOB, PAN, name or
+// mobile number, so besides an explicit password we can try the usual
+// patterns built from applicant details before asking the user.
+
+import pdf from "pdf-parse";
+import { MONTHS, pad } from "./common.js";
+
+export const PDF_PASSWORD_REQUIRED = "PDF_PASSWORD_REQUIRED";
+export const PDF_PASSWORD_INCORRECT = "PDF_PASSWORD_INCORRECT";
+
+// Upper bound on automatic attempts; each one re-opens the document
+const MAX_CANDIDATES = 40;
+
+// "15-06-1990" / "15/06/1990" / "1990-06-15" / "15 Jun 1990" → { d, m, y }
+function parseDob(value) {
+  if (!value) return null;
+  const s = String(value).trim();
+  let m = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (m) return { d: pad(m[3]), m: pad(m[2]), y: m[1] };
+  m = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+  if (m) return { d: pad(m[1]), m: pad(m[2]), y: m[3] };
+  m = s.match(/^(\d{1,2})[-\s]([A-Za-z]{3})[A-Za-z]*[-\s,]*(\d{4})$/);
+  if (m && MONTHS.includes(m[2].toLowerCase())) {
+    return { d: pad(m[1]), m: pad(MONTHS.indexOf(m[2].toLowerCase()) + 1), y: m[3] };
+  }
+  m = s.match(/^(\d{2})(\d{2})(\d{4})$/);
+  if (m) return { d: m[1], m: m[2], y: m[3] };
+  return null;
+}
+
+// Password patterns issuers use, keyed so callers can narrow the list
+const PATTERNS = {
+  DOB_DDMMYYYY: ({ dob }) => dob && `${dob.d}${dob.m}${dob.y}`,
+  DOB_DDMMYY: ({ dob }) => dob && `${dob.d}${dob.m}${dob.y.slice(2)}`,
+  DOB_YYYYMMDD: ({ dob }) => dob && `${dob.y}${dob.m}${dob.d}`,
+  PAN: ({ pan }) => pan,
+  PAN_LOWER: ({ pan }) => pan && pan.toLowerCase(),
+  PAN_PREFIX: ({ pan }) => pan && pan.slice(0, 5),
+  PAN_PREFIX_LOWER: ({ pan }) => pan && pan.slice(0, 5).toLowerCase(),
+  PAN_PREFIX_DOB_DDMM: ({ pan, dob }) => pan && dob && `${pan.slice(0, 5).toLowerCase()}${dob.d}${dob.m}`,
+  NAME4_DDMM: ({ name, dob }) => name && dob && `${name.slice(0, 4).toLowerCase()}${dob.d}${dob.m}`,
+  NAME4_DDMM_UPPER: ({ name, dob }) => name && dob && `${name.slice(0, 4).toUpperCase()}${dob.d}${dob.m}`,
+  NAME4_DDMMYYYY: ({ name, dob }) => name && dob && `${name.slice(0, 4).toLowerCase()}${dob.d}${dob.m}${dob.y}`,
+  MOBILE_LAST5_DDMMYY: ({ mobile, dob }) => mobile && dob && `${mobile.slice(-5)}${dob.d}${dob.m}${dob.y.slice(2)}`,
+  MOBILE_LAST4: ({ mobile }) => mobile && mobile.slice(-4),
+  MOBILE: ({ mobile }) => mobile
+};
+
+export const PASSWORD_PATTERNS = Object.keys(PATTERNS);
+
+// =====================================================
+// PUBLIC — applicant details → candidate passwords
+// =====================================================
+// `patterns` restricts (and orders) the patterns tried; defaults to all.
+export function buildCandidatePasswords({ dob, pan, name, mobile } = {}, patterns = PASSWORD_PATTERNS) {
+  const details = {
+    dob: parseDob(dob),
+    pan: pan ? String(pan).replace(/\s+/g, "").toUpperCase() : null,
+    name: name ? String(name).replace(/[^A-Za-z]/g, "") || null : null,
+    mobile: mobile ? String(mobile).replace(/\D/g, "").slice(-10) || null : null
+  };
+
+  const out = [];
+  for (const key of patterns) {
+    const value = PATTERNS[key]?.(details);
+    if (value && !out.includes(value)) out.push(value);
+  }
+  return out.slice(0, MAX_CANDIDATES);
+}
+
+function passwordError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const isPasswordException = e => e?.name === "PasswordException";
+
+// =====================================================
+// PUBLIC — pdf-parse with password handling
+// =====================================================
+// Tries `password` if given, otherwise each candidate in turn. Resolves to
+// pdf-parse's result plus `encrypted`, `passwordSource` ("provided" /
+// "candidate" / null) and `passwordUsed` (for re-opening the file; never
+// log it). Rejects with err.code PDF_PASSWORD_INCORRECT when the
+// given password is wrong, PDF_PASSWORD_REQUIRED when none was given and no
+// candidate opened the file.
+export async function openPdf(buffer, { password = null, candidates = [], options = undefined } = {}) {
+  // A fresh copy per attempt: pdf.js reads the whole underlying
+  // ArrayBuffer, and small Buffers are views into Node's shared pool
+  const attempt = pw => pdf({ data: new Uint8Array(buffer), password: pw || undefined }, options);
+
+  try {
+    return {
+      ...(await attempt(password)),
+      encrypted: !!password,
+      passwordSource: password ? "provided" : null,
+      passwordUsed: password || null
+    };
+  } catch (e) {
+    if (!isPasswordException(e)) throw e;
+    if (password) throw passwordError(PDF_PASSWORD_INCORRECT, "The PDF password is incorrect");
+  }
+
+  for (const pw of candidates) {
+    try {
+      return { ...(await attempt(pw)), encrypted: true, passwordSource: "candidate", passwordUsed: pw };
+    } catch (e) {
+      if (!isPasswordException(e)) throw e;
+    }
+  }
+
+  throw passwordError(
+    PDF_PASSWORD_REQUIRED,
+    candidates.length
+      ? "The PDF is password protected and no password built from the applicant details opened it; please provide its password"
+      : "The PDF is password protected; please provide its password"
+  );
+}
+
+// Pull password / applicant fields out of a multipart body
+export function passwordOptionsFromRequest(body = {}) {
+  const patterns = body.passwordPatterns
+    ? String(body.passwordPatterns)
+        .replace(/[[\]"\s]/g, "")
+        .split(",")
+        .filter(p => PATTERNS[p])
+    : PASSWORD_PATTERNS;
+
+  return {
+    password: body.password ? String(body.password) : null,
+    candidates: buildCandidatePasswords(
+      { dob: body.dob, pan: body.pan, name: body.applicantName || body.name, mobile: body.mobile },
+      patterns
+    )
+  };
+}
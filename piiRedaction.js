@@ -0,0 +1,269 @@
+// piiRedaction.js
+//
+// Personal identifiers (PAN, Aadhaar, phone, email, account numbers,
+// addresses) never leave the server in a prompt and never reach the logs.
+//
+// Before an LLM call the gateway swaps each identifier for a stable token
+// ("[PAN_1]", "[ACCOUNT_2]" — the same value always gets the same token
+// within a call), and swaps the tokens in the reply back: to the original
+// where the result needs it (account numbers drive tradeline matching) or
+// to a masked form otherwise. The policy — which types are redacted and how
+// each is restored — lives in policies/redaction.json (REDACTION_POLICY_FILE),
+// and every redaction is appended to an audit log that records the policy
+// version and per-type counts, never the values.
+//
+// installLogMasking() masks the same identifiers in everything written
+// through console.*.
+
+import fs from "fs";
+import path from "path";
+import util from "util";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const POLICY_FILE =
+  process.env.REDACTION_POLICY_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "policies", "redaction.json");
+
+const AUDIT_FILE = process.env.REDACTION_AUDIT_FILE || path.join(process.cwd(), "data", "audit", "redaction.jsonl");
+
+export const PII_TYPES = ["pan", "aadhaar", "phone", "email", "accountNumber", "address"];
+const RESTORE_MODES = ["original", "masked"];
+
+const TOKEN_PREFIX = {
+  pan: "PAN",
+  aadhaar: "AADHAAR",
+  phone: "PHONE",
+  email: "EMAIL",
+  accountNumber: "ACCOUNT",
+  address: "ADDRESS"
+};
+const PREFIX_TYPE = Object.fromEntries(Object.entries(TOKEN_PREFIX).map(([type, prefix]) => [prefix, type]));
+const TOKEN_RE = new RegExp(`\\[(${Object.values(TOKEN_PREFIX).join("|")})_(\\d+)\\]`, "g");
+const IS_TOKEN = new RegExp(TOKEN_RE.source);
+
+// ---------- Policy ----------
+
+let cached = null;
+
+function validatePolicy(policy) {
+  for (const [type, rule] of Object.entries(policy.types || {})) {
+    if (!PII_TYPES.includes(type)) throw new Error(`Unknown PII type in redaction policy: ${type}`);
+    if (rule.restore && !RESTORE_MODES.includes(rule.restore)) {
+      throw new Error(`Redaction policy: ${type}.restore must be one of ${RESTORE_MODES.join(", ")}`);
+    }
+  }
+  return policy;
+}
+
+// A broken edit keeps the last good policy in force, as with eligibility
+export function loadRedactionPolicy() {
+  const { mtimeMs } = fs.statSync(POLICY_FILE);
+  if (!cached || cached.mtimeMs !== mtimeMs) {
+    try {
+      const raw = fs.readFileSync(POLICY_FILE, "utf8");
+      cached = {
+        mtimeMs,
+        policy: validatePolicy(JSON.parse(raw)),
+        hash: crypto.createHash("sha256").update(raw).digest("hex").slice(0, 16)
+      };
+    } catch (e) {
+      if (!cached) throw e;
+      console.error("Redaction policy reload failed, keeping the previous one:", e.message);
+    }
+  }
+  return cached;
+}
+
+const ruleFor = (policy, type) => policy.types?.[type] || {};
+
+// ---------- Detection ----------
+
+const digitCount = s => (s.match(/\d/g) || []).length;
+
+const ACCOUNT_LABEL_RE = /\b(?:account\s*(?:no|number|num|#)|a\/c\s*(?:no|number)?|acct\.?\s*(?:no|number)?)\.?\s*[:\-]?\s*([A-Z0-9][A-Z0-9\-\/]{5,})/gi;
+const ADDRESS_LABEL_RE = /\b(?:address|addr)\b[^\n:]{0,30}[:\-]\s*([^\n]{6,})/gi;
+
+// Each detector hands `replace(type, value)` every match; labelled
+// detectors replace only the value after the label. Order matters:
+// labelled account numbers before the bare digit runs, phones before the
+// long-number sweep. `use` limits a detector to prompts or to logs: in a
+// prompt a bare run of 11-18 digits is only an account number with an
+// account / A/c label earlier on its line — elsewhere it is a UPI, NEFT or
+// IMPS reference the analysis needs intact — while logs mask every such run.
+const DETECTORS = [
+  { type: "email", re: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { type: "pan", re: /\b[A-Z]{3}[ABCFGHLJPTK][A-Z]\d{4}[A-Z]\b/g },
+  { type: "aadhaar", re: /\b[2-9]\d{3}[\s-]\d{4}[\s-]\d{4}\b/g },
+  { type: "aadhaar", re: /\b(?:aadhaar|aadhar|uid)\b[^\n\d]{0,20}([2-9]\d{11})\b/gi, group: 1 },
+  // Already-masked numbers ("XXXXXXX3345") carry no identity and are left alone
+  { type: "accountNumber", re: ACCOUNT_LABEL_RE, group: 1, accept: v => digitCount(v) > 4 && !/X{3,}/i.test(v) },
+  { type: "phone", re: /(?:\+91[\s-]?|(?<!\d)0?)[6-9]\d{9}(?!\d)/g },
+  { type: "phone", re: /\+91[\s-]?[6-9]\d{4}[\s-]\d{5}\b/g },
+  { type: "accountNumber", re: /(?<=\b(?:account|a\/c|acct)\b[^\n]{0,40}?)\b\d{11,18}\b/gi, use: "prompt" },
+  { type: "accountNumber", re: /\b\d{11,18}\b/g, use: "logs" },
+  { type: "address", re: ADDRESS_LABEL_RE, group: 1 }
+];
+
+function scan(text, types, replace, use) {
+  let out = String(text);
+  for (const d of DETECTORS) {
+    if (!types.has(d.type) || (d.use && d.use !== use)) continue;
+    out = out.replace(d.re, (match, ...groups) => {
+      const value = d.group ? groups[d.group - 1] : match;
+      if (!value || IS_TOKEN.test(value) || (d.accept && !d.accept(value))) return match;
+      const replacement = replace(d.type, value.trim());
+      return d.group ? match.replace(value.trim(), replacement) : replacement;
+    });
+  }
+  return out;
+}
+
+// ---------- Masking ----------
+
+export function maskValue(type, value) {
+  const s = String(value);
+  const digits = s.replace(/\D/g, "");
+  switch (type) {
+    case "pan":
+      return s.length === 10 ? `XXXXX${s.slice(5, 9)}X` : "X".repeat(s.length);
+    case "aadhaar":
+      return `XXXX XXXX ${digits.slice(-4)}`;
+    case "phone":
+      return `XXXXXX${digits.slice(-4)}`;
+    case "email": {
+      const [user, domain] = s.split("@");
+      return `${user.slice(0, 1)}***@${domain}`;
+    }
+    case "accountNumber":
+      return `${"X".repeat(Math.max(s.length - 4, 0))}${s.slice(-4)}`;
+    case "address":
+      return "[address withheld]";
+    default:
+      return "X".repeat(s.length);
+  }
+}
+
+// =====================================================
+// PUBLIC — tokenise before an external call
+// =====================================================
+// Returns { vault, redact(value) } for one call: redact() walks strings,
+// arrays and plain objects (prompt strings or message lists) and swaps
+// identifiers for tokens, remembering each one in the vault; pass the vault
+// to restoreTokens() on the way back. Null when the policy is disabled or
+// the task is exempt.
+export function createRedactor(task) {
+  const { policy, hash } = loadRedactionPolicy();
+  if (!policy.enabled || (policy.exemptTasks || []).includes(task)) return null;
+
+  const types = new Set(PII_TYPES.filter(t => ruleFor(policy, t).redact));
+  const vault = { policyVersion: policy.version || null, policyHash: hash, byValue: new Map(), byToken: new Map(), counts: {} };
+
+  const tokenFor = (type, value) => {
+    const key = `${type}:${value}`;
+    if (!vault.byValue.has(key)) {
+      const n = (vault.counts[type] || 0) + 1;
+      vault.counts[type] = n;
+      const token = `[${TOKEN_PREFIX[type]}_${n}]`;
+      vault.byValue.set(key, token);
+      vault.byToken.set(token, { type, value });
+    }
+    return vault.byValue.get(key);
+  };
+
+  const redact = value => {
+    if (typeof value === "string") return scan(value, types, tokenFor, "prompt");
+    if (Array.isArray(value)) return value.map(redact);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v)]));
+    }
+    return value;
+  };
+
+  return { vault, redact };
+}
+
+// =====================================================
+// PUBLIC — put identifiers back into a reply
+// =====================================================
+// Each token becomes the original value or its masked form, per the
+// policy's `restore` for that type; tokens the model invented are masked.
+// Takes reply text or a parsed reply (strings, arrays, plain objects).
+export function restoreTokens(value, vault) {
+  if (!vault || !vault.byToken.size) return value;
+  const { policy } = loadRedactionPolicy();
+  const restore = v => {
+    if (typeof v === "string") {
+      return v.replace(TOKEN_RE, (token, prefix) => {
+        const entry = vault.byToken.get(token);
+        const type = PREFIX_TYPE[prefix];
+        if (!entry) return maskValue(type, "XXXX");
+        return ruleFor(policy, type).restore === "original" ? entry.value : maskValue(type, entry.value);
+      });
+    }
+    if (Array.isArray(v)) return v.map(restore);
+    if (v && typeof v === "object") return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, restore(x)]));
+    return v;
+  };
+  return restore(value);
+}
+
+// Per-type counts for a response or the audit log; never the values
+export function redactionSummary(vault) {
+  if (!vault) return null;
+  return { policyVersion: vault.policyVersion, policyHash: vault.policyHash, counts: { ...vault.counts } };
+}
+
+// =====================================================
+// PUBLIC — audit trail
+// =====================================================
+export async function recordRedaction(task, vault) {
+  const entry = { at: new Date().toISOString(), task, ...redactionSummary(vault) };
+  try {
+    await fs.promises.mkdir(path.dirname(AUDIT_FILE), { recursive: true });
+    await fs.promises.appendFile(AUDIT_FILE, JSON.stringify(entry) + "\n");
+  } catch (e) {
+    console.error("Redaction audit write failed:", e.message);
+  }
+  return entry;
+}
+
+// Newest first
+export async function readRedactionAudit({ limit = 100 } = {}) {
+  let raw;
+  try {
+    raw = await fs.promises.readFile(AUDIT_FILE, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  return raw
+    .split("\n")
+    .filter(Boolean)
+    .slice(-limit)
+    .reverse()
+    .map(line => JSON.parse(line));
+}
+
+// =====================================================
+// PUBLIC — masking for logs
+// =====================================================
+// Every type is masked in logs, whatever the policy says about prompts.
+const ALL_TYPES = new Set(PII_TYPES);
+
+export function maskPii(text) {
+  return scan(text, ALL_TYPES, maskValue, "logs");
+}
+
+let logMaskingInstalled = false;
+
+// Routes console.log / info / warn / error / debug through maskPii. Args
+// are formatted first (objects included), so nested values are masked too.
+export function installLogMasking() {
+  if (logMaskingInstalled) return;
+  logMaskingInstalled = true;
+  for (const method of ["log", "info", "warn", "error", "debug"]) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => original(maskPii(util.format(...args)));
+  }
+}
@@ -0,0 +1,277 @@
+// reconcile.js
+//
+// Field-by-field merge of the AI bureau result with the rule-based one from
+// parser.js. Every merged field carries a `source` and `confidence`, and
+// anything the two paths disagree on is listed in `discrepancies` so a loan
+// officer can see exactly what to double-check.
+
+import {
+  computeDpdMetrics,
+  summariseDpdMetrics
+} from "./paymentHistory.js";
+import { matchAccounts } from "./accountMatch.js";
+import { computeTotals } from "./parser.js";
+
+// Confidence we attach to a field depending on how it was obtained
+const CONFIDENCE = {
+  agreed: 0.95,
+  reportTotal: 0.9,
+  aiOnly: 0.7,
+  ruleOnly: 0.6,
+  disputed: 0.4
+};
+
+// Amounts within 1% (or ₹1) of each other are treated as the same value
+const AMOUNT_TOLERANCE = 0.01;
+
+const DETAIL_FIELDS = [
+  "lender",
+  "accountType",
+  "accountNumber",
+  "ownership",
+  "accountStatus",
+  "dateOpened",
+  "dateReported",
+  "dateClosed",
+  "sanctionAmount",
+  "currentBalance",
+  "amountOverdue",
+  "emiAmount",
+  "securityOrCollateral",
+  "dpdHistory",
+  "rateOfInterest",
+  "repaymentTenure",
+  "totalWriteOffAmount",
+  "principalWriteOff",
+  "settlementAmount"
+];
+
+// Per-account fields worth raising as discrepancies when the paths disagree
+const DISPUTED_DETAIL_FIELDS = [
+  "sanctionAmount",
+  "currentBalance",
+  "amountOverdue",
+  "emiAmount",
+  "dateOpened",
+  "dateClosed"
+];
+
+function isBlank(v) {
+  return v == null || v === "" || (typeof v === "number" && !Number.isFinite(v));
+}
+
+// 0 from the AI normaliser usually means "not found", not a real zero
+function isMissing(v) {
+  return isBlank(v) || v === 0;
+}
+
+export function sameValue(a, b, exact = false) {
+  if (typeof a === "number" && typeof b === "number") {
+    if (exact) return a === b;
+    const diff = Math.abs(a - b);
+    return diff <= 1 || diff <= Math.max(Math.abs(a), Math.abs(b)) * AMOUNT_TOLERANCE;
+  }
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+// Merge one scalar. AI wins a dispute unless `prefer` says otherwise;
+// `exact` turns off the amount tolerance (scores, counts).
+function mergeField(path, aiVal, ruleVal, discrepancies, { prefer = "ai", exact = false } = {}) {
+  const hasAi = !isMissing(aiVal);
+  const hasRule = !isMissing(ruleVal);
+
+  if (hasAi && hasRule) {
+    if (sameValue(aiVal, ruleVal, exact)) {
+      return { value: aiVal, source: "ai+rule", confidence: CONFIDENCE.agreed };
+    }
+    const value = prefer === "rule" ? ruleVal : aiVal;
+    discrepancies.push({ field: path, ai: aiVal, rule: ruleVal, chosen: prefer });
+    return { value, source: prefer, confidence: CONFIDENCE.disputed };
+  }
+  if (hasAi) return { value: aiVal, source: "ai", confidence: CONFIDENCE.aiOnly };
+  if (hasRule) return { value: ruleVal, source: "rule", confidence: CONFIDENCE.ruleOnly };
+
+  // Neither found anything; keep whatever "empty" the AI used (0 / null)
+  return { value: isBlank(aiVal) ? ruleVal ?? null : aiVal, source: "none", confidence: 0 };
+}
+
+// ---------- Account merging ----------
+
+// Page a rule-parsed field was read from, when the layout told us
+function withPage(entry, loan, field) {
+  const page = loan?.fieldPages?.[field] ?? loan?.page;
+  return page != null ? { ...entry, page } : entry;
+}
+
+function tagAll(loan, source, confidence) {
+  const fieldSources = {};
+  for (const f of DETAIL_FIELDS) {
+    if (!isMissing(loan.details?.[f])) {
+      fieldSources[f] = source === "rule" ? withPage({ source, confidence }, loan, f) : { source, confidence };
+    }
+  }
+  return { ...loan, source, fieldSources };
+}
+
+function mergeLoan({ ai, rule }, index, discrepancies) {
+  if (!rule) return tagAll(ai, "ai", CONFIDENCE.aiOnly);
+
+  const details = { ...ai.details };
+  const fieldSources = {};
+
+  for (const f of DETAIL_FIELDS) {
+    const local = [];
+    const merged = mergeField(`loans[${index}].details.${f}`, ai.details?.[f], rule.details?.[f], local);
+    details[f] = merged.value;
+    if (merged.source !== "none") {
+      const entry = { source: merged.source, confidence: merged.confidence };
+      fieldSources[f] = merged.source === "ai" ? entry : withPage(entry, rule, f);
+    }
+    if (DISPUTED_DETAIL_FIELDS.includes(f)) {
+      for (const d of local) discrepancies.push({ ...d, account: ai.details?.accountNumber || null });
+    }
+  }
+
+  // Month-by-month history: the parsed grid beats the AI's transcription
+  const ruleHistory = rule.details?.paymentHistory || [];
+  const aiHistory = ai.details?.paymentHistory || [];
+  details.paymentHistory = ruleHistory.length ? ruleHistory : aiHistory;
+  if (details.paymentHistory.length) {
+    fieldSources.paymentHistory = ruleHistory.length
+      ? { source: "rule", confidence: CONFIDENCE.ruleOnly }
+      : { source: "ai", confidence: CONFIDENCE.aiOnly };
+  }
+
+  return { ...ai, details, source: "ai+rule", fieldSources, page: rule.page ?? ai.page ?? null };
+}
+
+// =====================================================
+// PUBLIC — merge AI + rule-based bureau results
+// =====================================================
+// `ai` may be null when the AI path failed; `rule` may be null when the
+// report layout wasn't recognised. `reportTotalOutstanding` is the
+// "Total Current Bal. amt" printed on the report, if any.
+export function reconcileBureauResults({ ai, rule, reportTotalOutstanding = 0 }) {
+  if (!ai && !rule) throw new Error("Nothing to reconcile");
+
+  const discrepancies = [];
+  const fieldSources = {};
+  const a = ai || {};
+  const r = rule || {};
+
+  const set = (path, merged) => {
+    fieldSources[path] = { source: merged.source, confidence: merged.confidence };
+    return merged.value;
+  };
+
+  // Score: the bureau-specific regex reads the printed score directly, so it
+  // wins a dispute; the AI sometimes picks a sub-score or a version number.
+  const score = set("score", mergeField("score", a.score, r.score, discrepancies, {
+    prefer: r.bureau ? "rule" : "ai",
+    exact: true
+  }));
+
+  // DPD summaries are free text, so we only compare clean vs. not clean
+  const isClean = v => !v || /^0\b|clean/i.test(v);
+  const dpd = ai ? a.dpd || "0 - Clean" : r.dpd || "0 - Clean";
+  if (ai && rule) {
+    const agree = isClean(a.dpd) === isClean(r.dpd);
+    fieldSources.dpd = agree
+      ? { source: "ai+rule", confidence: CONFIDENCE.agreed }
+      : { source: "ai", confidence: CONFIDENCE.disputed };
+    if (!agree) discrepancies.push({ field: "dpd", ai: a.dpd, rule: r.dpd, chosen: "ai" });
+  } else {
+    fieldSources.dpd = ai
+      ? { source: "ai", confidence: CONFIDENCE.aiOnly }
+      : { source: "rule", confidence: CONFIDENCE.ruleOnly };
+  }
+
+  // ---------- Accounts ----------
+  const aiLoans = Array.isArray(a.loans) ? a.loans : [];
+  // Loans from the generic keyword fallback have no details to merge
+  const ruleLoans = Array.isArray(r.loans) ? r.loans.filter(l => l.details) : [];
+  // Each AI account pairs with at most one rule account (accountMatch.js)
+  const matched = matchAccounts(aiLoans, ruleLoans);
+  const pairs = matched.pairs.map(p => ({ ai: p.loan, rule: p.match }));
+  const ruleOnly = matched.unmatched;
+  const loans = [
+    ...pairs.map((p, i) => mergeLoan(p, i, discrepancies)),
+    ...ruleOnly.map(l => tagAll(l, "rule", CONFIDENCE.ruleOnly))
+  ];
+
+  if (ai && rule && ruleLoans.length && aiLoans.length !== ruleLoans.length) {
+    discrepancies.push({
+      field: "loans.length",
+      ai: aiLoans.length,
+      rule: ruleLoans.length,
+      chosen: "union",
+      unmatchedRuleAccounts: ruleOnly.map(l => l.details?.accountNumber || l.line)
+    });
+  }
+  const allMatched = ruleLoans.length > 0 && !ruleOnly.length && pairs.every(p => p.rule);
+  fieldSources.loans = allMatched
+    ? { source: "ai+rule", confidence: CONFIDENCE.agreed }
+    : aiLoans.length
+      ? { source: "ai", confidence: CONFIDENCE.aiOnly }
+      : { source: "rule", confidence: CONFIDENCE.ruleOnly };
+
+  // ---------- Enquiries ----------
+  const aiEnquiries = Array.isArray(a.enquiries) ? a.enquiries : [];
+  const ruleEnquiries = Array.isArray(r.enquiries) ? r.enquiries : [];
+  const enquiries = aiEnquiries.length ? aiEnquiries : ruleEnquiries;
+  const enquiryCount = set(
+    "enquiryCount",
+    mergeField("enquiryCount", a.enquiryCount, r.enquiryCount, discrepancies, { exact: true })
+  ) || 0;
+  fieldSources.enquiries = aiEnquiries.length
+    ? { source: "ai", confidence: CONFIDENCE.aiOnly }
+    : { source: ruleEnquiries.length ? "rule" : "none", confidence: ruleEnquiries.length ? CONFIDENCE.ruleOnly : 0 };
+
+  // ---------- Totals ----------
+  const aiTotals = a.totals || {};
+  // With detailed rule accounts in the merge, the totals are summed again
+  // over the merged accounts — each side may have seen only some of them,
+  // and computeTotals leaves closed accounts out of the sanctioned amounts
+  // and limits, which the AI's rough totals often don't — and that sum wins
+  // a dispute. Keyword-fallback totals are too rough to argue with the AI.
+  const ruleTotals = ruleLoans.length ? computeTotals(loans.filter(l => l.details)) : !ai ? r.totals || {} : {};
+  const prefer = ruleLoans.length ? "rule" : "ai";
+  const totals = {};
+  for (const key of ["loanSanctioned", "loanOutstanding", "cardLimit", "cardOutstanding"]) {
+    totals[key] = set(`totals.${key}`, mergeField(`totals.${key}`, aiTotals[key], ruleTotals[key], discrepancies, { prefer })) || 0;
+  }
+
+  // The report's own printed total beats both computed sums
+  if (reportTotalOutstanding) {
+    if (totals.loanOutstanding && !sameValue(totals.loanOutstanding, reportTotalOutstanding)) {
+      discrepancies.push({
+        field: "totals.loanOutstanding",
+        computed: totals.loanOutstanding,
+        report: reportTotalOutstanding,
+        chosen: "report"
+      });
+    }
+    totals.loanOutstanding = reportTotalOutstanding;
+    fieldSources["totals.loanOutstanding"] = { source: "report-total", confidence: CONFIDENCE.reportTotal };
+  }
+
+  // Underwriting metrics come from the merged month-by-month grids
+  const dpdMetrics = computeDpdMetrics(loans);
+  const overdueAccounts = loans.filter(l => l.details?.amountOverdue > 0).length;
+
+  return {
+    ...a,
+    bureau: r.bureau || a.bureau || null,
+    score,
+    enquiryCount,
+    dpd,
+    dpdSummary: summariseDpdMetrics(dpdMetrics, overdueAccounts),
+    dpdMetrics,
+    totals,
+    loans,
+    enquiries,
+    sources: { ai: !!ai, rule: !!rule && (ruleLoans.length > 0 || r.score != null) },
+    fieldSources,
+    discrepancies
+  };
+}
@@ -0,0 +1,221 @@
+// reportStore.js
+//
+// Parsed bureau and bank results, kept against an applicant so a case can
+// be reopened without re-uploading the PDF (and paying for another AI
+// call). Two NeDB datastores — applicants and reports — live as
+// append-only files under STORE_DIR.
+//
+// An applicant is found by the caller's own applicantId (e.g. the loan
+// application number) or, failing that, by PAN; only a hash and a masked
+// form of the PAN are stored.
+//
+// Applicants and reports belong to the tenant whose API key created them
+// (tenants.js). Every lookup, list and delete takes that `tenantId` and
+// never sees another tenant's records: to a partner DSA, our applicant with
+// the same loan number or PAN simply doesn't exist. `tenantId` null (auth
+// turned off) is a scope of its own.
+
+import path from "path";
+import crypto from "crypto";
+import Datastore from "@seald-io/nedb";
+
+const STORE_DIR = process.env.STORE_DIR || path.join(process.cwd(), "data", "store");
+
+export const APPLICANT_NOT_FOUND = "APPLICANT_NOT_FOUND";
+export const REPORT_NOT_FOUND = "REPORT_NOT_FOUND";
+export const REPORT_KINDS = ["bureau", "bank"];
+
+function storeError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+let dbs = null;
+
+// Datastores are opened on first use, so importing this module never
+// touches the disk
+async function open() {
+  if (!dbs) {
+    dbs = (async () => {
+      const applicants = new Datastore({ filename: path.join(STORE_DIR, "applicants.db"), timestampData: true });
+      const reports = new Datastore({ filename: path.join(STORE_DIR, "reports.db"), timestampData: true });
+      await Promise.all([applicants.loadDatabaseAsync(), reports.loadDatabaseAsync()]);
+      // externalId is unique per tenant only (checked in resolveApplicant);
+      // drop the store-wide unique index older versions created
+      await applicants.removeIndexAsync("externalId");
+      await applicants.ensureIndexAsync({ fieldName: "externalId", sparse: true });
+      await applicants.ensureIndexAsync({ fieldName: "panHash", sparse: true });
+      await reports.ensureIndexAsync({ fieldName: "applicantId" });
+      return { applicants, reports };
+    })();
+  }
+  return dbs;
+}
+
+const scope = tenantId => ({ tenantId: tenantId ?? null });
+
+// ---------- Shapes ----------
+
+const cleanPan = pan => (pan ? String(pan).replace(/\s+/g, "").toUpperCase() : null);
+const hashPan = pan => crypto.createHash("sha256").update(pan).digest("hex");
+const maskPan = pan => (pan.length === 10 ? `XXXXX${pan.slice(5, 9)}X` : "X".repeat(pan.length));
+
+function toApplicant(doc) {
+  if (!doc) return null;
+  const { _id, panHash, tenantId, ...rest } = doc;
+  return { id: _id, ...rest };
+}
+
+function toReport(doc) {
+  if (!doc) return null;
+  const { _id, payload, tenantId, ...rest } = doc;
+  return payload === undefined ? { id: _id, ...rest } : { id: _id, ...rest, data: JSON.parse(payload) };
+}
+
+// The few numbers an officer scans a report list for
+function summarise(kind, data) {
+  if (kind === "bureau") {
+    const r = data?.result || {};
+    return {
+      bureau: r.bureau || null,
+      score: r.score ?? null,
+      accounts: Array.isArray(r.loans) ? r.loans.length : 0,
+      enquiryCount: r.enquiryCount ?? 0,
+      totals: r.totals || null
+    };
+  }
+  const txns = Array.isArray(data?.transactions) ? data.transactions : [];
+  return {
+    bank: data?.bank || null,
+    transactions: txns.length,
+    from: txns[0]?.date || null,
+    to: txns[txns.length - 1]?.date || null,
+    totalCredits: data?.totalCredits ?? null,
+    totalDebits: data?.totalDebits ?? null,
+    closingBalance: data?.closingBalance ?? null
+  };
+}
+
+// Pull applicant fields out of a multipart body (the same fields the PDF
+// password candidates are built from)
+export function applicantFromRequest(body = {}) {
+  return {
+    applicantId: body.applicantId ? String(body.applicantId).trim() : null,
+    name: body.applicantName || body.name || null,
+    pan: body.pan || null,
+    mobile: body.mobile || null
+  };
+}
+
+// =====================================================
+// PUBLIC — find or create the applicant a report belongs to
+// =====================================================
+export async function resolveApplicant({ applicantId = null, name = null, pan = null, mobile = null } = {}, { tenantId = null } = {}) {
+  const { applicants } = await open();
+  const panClean = cleanPan(pan);
+
+  let doc = null;
+  if (applicantId) {
+    doc = await findApplicant(applicants, applicantId, tenantId);
+  } else if (panClean) {
+    doc = await applicants.findOneAsync({ ...scope(tenantId), panHash: hashPan(panClean) });
+  }
+
+  const details = {};
+  if (name) details.name = String(name).trim();
+  if (panClean) Object.assign(details, { panHash: hashPan(panClean), panMasked: maskPan(panClean) });
+  if (mobile) details.mobileLast4 = String(mobile).replace(/\D/g, "").slice(-4) || null;
+
+  if (doc) {
+    // Fill in whatever this upload told us that the record lacks
+    const missing = Object.fromEntries(Object.entries(details).filter(([k]) => doc[k] == null));
+    if (Object.keys(missing).length) {
+      await applicants.updateAsync({ _id: doc._id }, { $set: missing });
+      doc = { ...doc, ...missing };
+    }
+    return toApplicant(doc);
+  }
+
+  const created = await applicants.insertAsync({
+    ...scope(tenantId),
+    externalId: applicantId || undefined,
+    name: null,
+    panMasked: null,
+    mobileLast4: null,
+    ...details
+  });
+  return toApplicant(created);
+}
+
+// By our id or the caller's own applicantId, within the tenant
+async function findApplicant(applicants, id, tenantId) {
+  return (
+    (await applicants.findOneAsync({ ...scope(tenantId), _id: id })) ||
+    (await applicants.findOneAsync({ ...scope(tenantId), externalId: id }))
+  );
+}
+
+export async function getApplicant(id, { tenantId = null } = {}) {
+  const { applicants } = await open();
+  const doc = await findApplicant(applicants, id, tenantId);
+  if (!doc) throw storeError(APPLICANT_NOT_FOUND, "Applicant not found");
+  return toApplicant(doc);
+}
+
+// =====================================================
+// PUBLIC — reports
+// =====================================================
+// `data` is exactly what /analyze (bureau) or /analyze-bank (bank) returned.
+export async function saveReport({ applicantId, kind, fileName = null, data, meta = {} }, { tenantId = null } = {}) {
+  if (!REPORT_KINDS.includes(kind)) throw new Error(`Unknown report kind: ${kind}`);
+  const { reports } = await open();
+  const doc = await reports.insertAsync({
+    ...scope(tenantId),
+    applicantId,
+    kind,
+    fileName,
+    summary: summarise(kind, data),
+    meta,
+    // Stored as a string: results carry keys like "totals.loanOutstanding",
+    // and NeDB field names can't contain dots
+    payload: JSON.stringify(data)
+  });
+  return toReport(doc);
+}
+
+// Newest first, without the (large) result bodies
+export async function listReports(applicantId, { kind = null, tenantId = null } = {}) {
+  const applicant = await getApplicant(applicantId, { tenantId });
+  const { reports } = await open();
+  const query = { ...scope(tenantId), applicantId: applicant.id };
+  if (kind) query.kind = kind;
+  const docs = await reports.findAsync(query).sort({ createdAt: -1 }).projection({ payload: 0 });
+  return { applicant, reports: docs.map(toReport) };
+}
+
+export async function getReport(id, { tenantId = null } = {}) {
+  const { reports } = await open();
+  const doc = await reports.findOneAsync({ ...scope(tenantId), _id: id });
+  if (!doc) throw storeError(REPORT_NOT_FOUND, "Report not found");
+  return toReport(doc);
+}
+
+export async function deleteReport(id, { tenantId = null } = {}) {
+  const { reports } = await open();
+  const removed = await reports.removeAsync({ ...scope(tenantId), _id: id }, {});
+  if (!removed) throw storeError(REPORT_NOT_FOUND, "Report not found");
+  // NeDB only appends; compact so deleted data really leaves the disk
+  await reports.compactDatafileAsync();
+  return { deleted: removed };
+}
+
+// Removes the applicant and every report filed under them
+export async function deleteApplicant(id, { tenantId = null } = {}) {
+  const applicant = await getApplicant(id, { tenantId });
+  const { applicants, reports } = await open();
+  const reportsRemoved = await reports.removeAsync({ ...scope(tenantId), applicantId: applicant.id }, { multi: true });
+  await applicants.removeAsync({ _id: applicant.id }, {});
+  await Promise.all([applicants.compactDatafileAsync(), reports.compactDatafileAsync()]);
+  return { deleted: 1, reportsDeleted: reportsRemoved };
+}
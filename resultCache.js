@@ -0,0 +1,173 @@
+// resultCache.js
+//
+// The same bureau PDF is often uploaded several times while a case is
+// worked; each upload would repeat pdf-parse, OCR and the AI call. Results
+// are cached under a SHA-256 of the file bytes plus the pipeline version
+// (parser, prompt and model — see bureauPipelineVersion() /
+// bankPipelineVersion()), so a changed parser or prompt never serves an old
+// result.
+//
+// Entries hold credit data, so they expire: RESULT_CACHE_TTL_HOURS
+// (default 24; 0 turns the cache off). Expired entries are purged from the
+// NeDB file under STORE_DIR by a sweeper, not just hidden.
+//
+// A password-protected PDF is only served from the cache to a caller who
+// can open it: the password is checked (a one-page open, no parsing)
+// before the cached result is returned.
+
+import path from "path";
+import crypto from "crypto";
+import Datastore from "@seald-io/nedb";
+import { openPdf } from "./pdfPassword.js";
+
+const STORE_DIR = process.env.STORE_DIR || path.join(process.cwd(), "data", "store");
+
+const TTL_HOURS = Number(process.env.RESULT_CACHE_TTL_HOURS ?? 24);
+export const RESULT_CACHE_ENABLED = TTL_HOURS > 0;
+const TTL_MS = TTL_HOURS * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = Number(process.env.RESULT_CACHE_SWEEP_INTERVAL_MS) || 15 * 60 * 1000;
+
+export const CACHE_ENTRY_NOT_FOUND = "CACHE_ENTRY_NOT_FOUND";
+
+function cacheError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+let db = null;
+
+// Opened on first use, like the report store
+async function open() {
+  if (!db) {
+    db = (async () => {
+      const store = new Datastore({ filename: path.join(STORE_DIR, "resultCache.db") });
+      await store.loadDatabaseAsync();
+      await store.ensureIndexAsync({ fieldName: "expiresAt", expireAfterSeconds: 0 });
+      // NeDB appends; compaction drops the superseded copies of replaced entries
+      store.setAutocompactionInterval(SWEEP_INTERVAL_MS);
+      return store;
+    })();
+  }
+  return db;
+}
+
+// The trailer (or cross-reference stream) of an encrypted PDF names its
+// /Encrypt dictionary; a false positive only costs a password check
+const isEncrypted = buffer => buffer.includes("/Encrypt");
+
+export function cacheKey(kind, buffer, version) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ kind, ...version }))
+    .update(crypto.createHash("sha256").update(buffer).digest())
+    .digest("hex");
+}
+
+// =====================================================
+// PUBLIC — analysis through the cache
+// =====================================================
+// `compute()` runs the pipeline on a miss (or with `bypass`, which also
+// replaces the entry). Only results `cacheable(value)` accepts are kept —
+// e.g. not a rule-based fallback after an AI failure. Resolves to
+// { value, cached, cacheKey }. A cache that can't be read or written is
+// logged and skipped, never fatal.
+export async function withResultCache({ kind, buffer, version, passwords = {}, bypass = false, cacheable = () => true }, compute) {
+  if (!RESULT_CACHE_ENABLED) return { value: await compute(), cached: false, cacheKey: null };
+
+  const key = cacheKey(kind, buffer, version);
+  const encrypted = isEncrypted(buffer);
+
+  if (!bypass) {
+    let hit = null;
+    try {
+      const store = await open();
+      hit = await store.findOneAsync({ _id: key });
+    } catch (e) {
+      console.error("Result cache read failed:", e.message);
+    }
+    if (hit && hit.expiresAt > new Date()) {
+      // Rejects with the usual password codes when the caller can't open it
+      if (hit.encrypted) await openPdf(buffer, { ...passwords, options: { max: 1 } });
+      console.log(`⚡ ${kind} result served from cache (${key.slice(0, 8)}…)`);
+      (await open()).updateAsync({ _id: key }, { $inc: { hits: 1 } }).catch(() => {});
+      return { value: JSON.parse(hit.payload), cached: true, cacheKey: key };
+    }
+  }
+
+  const value = await compute();
+  if (cacheable(value)) {
+    try {
+      const store = await open();
+      const now = new Date();
+      await store.updateAsync(
+        { _id: key },
+        { _id: key, kind, version, encrypted, payload: JSON.stringify(value), hits: 0, createdAt: now, expiresAt: new Date(now.getTime() + TTL_MS) },
+        { upsert: true }
+      );
+    } catch (e) {
+      console.error("Result cache write failed:", e.message);
+    }
+  }
+  return { value, cached: false, cacheKey: key };
+}
+
+// Bypass with "Cache-Control: no-cache" or ?cache=bypass (or a cache=bypass
+// form field)
+export function cacheBypassRequested(req) {
+  return /\bno-(cache|store)\b/i.test(req.get("cache-control") || "") || req.query.cache === "bypass" || req.body?.cache === "bypass";
+}
+
+// =====================================================
+// PUBLIC — invalidation and housekeeping
+// =====================================================
+export async function invalidateCacheEntry(key) {
+  const store = await open();
+  const removed = await store.removeAsync({ _id: key }, {});
+  if (!removed) throw cacheError(CACHE_ENTRY_NOT_FOUND, "No cached result under that key");
+  await store.compactDatafileAsync();
+  return removed;
+}
+
+// Everything, or one kind ("bureau" / "bank"). Returns how many went.
+export async function clearResultCache({ kind = null } = {}) {
+  const store = await open();
+  const removed = await store.removeAsync(kind ? { kind } : {}, { multi: true });
+  await store.compactDatafileAsync();
+  return removed;
+}
+
+export async function resultCacheStats() {
+  const store = await open();
+  const entries = await store.findAsync({ expiresAt: { $gt: new Date() } }, { kind: 1, hits: 1, createdAt: 1 });
+  const byKind = {};
+  for (const e of entries) {
+    const k = (byKind[e.kind] ||= { entries: 0, hits: 0 });
+    k.entries++;
+    k.hits += e.hits || 0;
+  }
+  return { enabled: RESULT_CACHE_ENABLED, ttlHours: TTL_HOURS, entries: entries.length, byKind };
+}
+
+// Drops expired entries and compacts the file, so expired credit data
+// doesn't linger on disk. Runs now and every SWEEP_INTERVAL_MS; never keeps
+// the process up.
+export function startResultCacheSweeper() {
+  if (!RESULT_CACHE_ENABLED) return null;
+  const run = async () => {
+    try {
+      const store = await open();
+      const removed = await store.removeAsync({ expiresAt: { $lte: new Date() } }, { multi: true });
+      if (removed) {
+        await store.compactDatafileAsync();
+        console.log(`🧹 Removed ${removed} expired cached result(s)`);
+      }
+    } catch (e) {
+      console.error("Result cache sweep failed:", e);
+    }
+  };
+  run();
+  const timer = setInterval(run, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
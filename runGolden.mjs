@@ -0,0 +1,453 @@
+// runGolden.mjs
+//
+// Golden-file regression run for bureau and bank parsing.
+//
+//   golden/bureau/<case>.txt            anonymised report text
+//   golden/bureau/<case>.expected.json  what a correct parse says
+//   golden/bank/<case>.txt              statement text, pages split by \f
+//   golden/bank/<case>.layout.json      optional pdfLayout.extractLayout
+//                                       output, for the table-column path
+//   golden/bank/<case>.expected.json
+//   golden/redaction/<case>.txt         text with raw PAN / phone / account
+//   golden/redaction/<case>.expected.json  numbers
+//   golden/recordings/                  recorded AI responses (replayed);
+//                                       "synthetic": true marks hand-written
+//                                       ones, not real model output
+//   golden/baseline.json                accuracy of the last accepted run
+//
+// Every bureau case runs through parseBureauReport (rule), analyzeWithAI
+// (ai, replayed from golden/recordings) and reconcileBureauResults (final);
+// extractTotalCurrentBalance is scored on its own. Bank cases run through
+// the /analyze-bank pipeline, with the layout when the case has one.
+// Redaction cases check what a prompt keeps and tokenises (createRedactor)
+// and what maskPii leaves in a log line. Each field is scored per case —
+// exact match for scores and counts, recall for accounts, a tolerance for
+// amounts — and compared with the baseline, so a prompt or regex change
+// shows which fields it improved or regressed.
+//
+// While any recorded bureau response is synthetic, ai and final are not
+// scored: a hand-written answer measures nothing about the model. The
+// merge is scored from the rule parse alone instead (merge), until
+// --record replaces the recordings with real ones.
+//
+//   node runGolden.mjs [case …]     run (all cases, or those named)
+//     --update-baseline             accept this run as the new baseline
+//     --record                      call the real model and re-record
+//     --json                        print the full report as JSON
+//     --verbose                     keep the pipelines' own logging
+//
+// Exits 1 when any field regressed against the baseline.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "golden");
+const BASELINE_FILE = path.join(ROOT, "baseline.json");
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter(a => a.startsWith("--")));
+const only = args.filter(a => !a.startsWith("--"));
+
+// AI calls replay recorded responses unless we're re-recording them; set
+// before the gateway is loaded
+process.env.LLM_PROVIDER = flags.has("--record") ? "record" : "replay";
+process.env.LLM_REPLAY_DIR = path.join(ROOT, "recordings");
+
+const { parseBureauReport, extractTotalCurrentBalance } = await import("./parser.js");
+const { analyzeWithAI } = await import("./bureauAI.js");
+const { reconcileBureauResults } = await import("./reconcile.js");
+const { analyzeStatementPages } = await import("./bankPipeline.js");
+const { matchAccounts } = await import("./accountMatch.js");
+const { createRedactor, maskPii } = await import("./piiRedaction.js");
+
+const print = console.log.bind(console);
+if (!flags.has("--verbose")) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+// Amounts within ₹1 or 0.5% count as a match unless a case says otherwise
+const DEFAULT_TOLERANCE = { absolute: 1, relative: 0.005 };
+
+const ACCOUNT_AMOUNTS = ["sanctionAmount", "currentBalance", "amountOverdue", "emiAmount"];
+const TOTALS = ["loanSanctioned", "loanOutstanding", "cardLimit", "cardOutstanding"];
+
+// ---------- Scoring ----------
+
+const num = v => (v == null || v === "" ? null : Number(v));
+
+function withinTolerance(actual, expected, tolerance) {
+  const a = num(actual) ?? 0;
+  const e = num(expected) ?? 0;
+  return Math.abs(a - e) <= Math.max(tolerance.absolute, Math.abs(e) * tolerance.relative);
+}
+
+const norm = s => String(s ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+function exact(actual, expected) {
+  return { score: norm(actual) === norm(expected) ? 1 : 0, expected, actual: actual ?? null };
+}
+
+function amount(actual, expected, tolerance) {
+  return { score: withinTolerance(actual, expected, tolerance) ? 1 : 0, expected, actual: actual ?? null };
+}
+
+// Same account: the last four digits of the (masked) number, else lender
+// and product type
+function sameAccount(actual, expected) {
+  const d = actual.details || {};
+  const last4 = v => String(v || "").replace(/\D/g, "").slice(-4);
+  if (expected.accountNumber && last4(d.accountNumber)) {
+    return last4(d.accountNumber) === last4(expected.accountNumber);
+  }
+  return norm(d.lender) === norm(expected.lender) && norm(actual.type) === norm(expected.type);
+}
+
+function pairWithExpected(actualLoans, expectedAccounts) {
+  const found = (actualLoans || []).filter(l => l.details);
+  return matchAccounts(expectedAccounts, found, (expected, actual) => sameAccount(actual, expected))
+    .pairs.map(p => ({ expected: p.loan, actual: p.match }));
+}
+
+// Accounts: recall over expected accounts, precision over what was found,
+// then each amount field across the matched ones
+function scoreAccounts(loans, expectedAccounts, tolerance) {
+  const found = (loans || []).filter(l => l.details);
+  const pairs = pairWithExpected(found, expectedAccounts);
+  const matched = pairs.filter(p => p.actual);
+  const fields = {
+    "accounts.recall": {
+      score: expectedAccounts.length ? matched.length / expectedAccounts.length : 1,
+      expected: expectedAccounts.length,
+      actual: matched.length,
+      missing: pairs.filter(p => !p.actual).map(p => p.expected.accountNumber || p.expected.lender)
+    },
+    "accounts.precision": {
+      score: found.length ? matched.length / found.length : expectedAccounts.length ? 0 : 1,
+      expected: expectedAccounts.length,
+      actual: found.length
+    }
+  };
+
+  if (!matched.length) return fields;
+
+  const perField = (key, ok, value) => {
+    const misses = matched.filter(p => !ok(p)).map(p => ({
+      account: p.expected.accountNumber || p.expected.lender,
+      expected: p.expected[key],
+      actual: value(p)
+    }));
+    fields[`accounts.${key}`] = { score: 1 - misses.length / matched.length, misses };
+  };
+  for (const key of ACCOUNT_AMOUNTS) {
+    if (!matched.some(p => key in p.expected)) continue;
+    perField(key, p => !(key in p.expected) || withinTolerance(p.actual.details[key], p.expected[key], tolerance), p => p.actual.details[key] ?? null);
+  }
+  perField("type", p => !p.expected.type || norm(p.actual.type) === norm(p.expected.type), p => p.actual.type);
+  perField("status", p => !p.expected.status || norm(p.actual.status) === norm(p.expected.status), p => p.actual.status);
+  return fields;
+}
+
+function scoreBureauResult(result, expected, tolerance, { totals = false } = {}) {
+  const fields = {
+    score: exact(result.score, expected.score),
+    enquiryCount: exact(result.enquiryCount, expected.enquiryCount),
+    ...scoreAccounts(result.loans, expected.accounts || [], tolerance)
+  };
+  if (expected.bureau && "bureau" in result) fields.bureau = exact(result.bureau, expected.bureau);
+  if (totals && expected.totals) {
+    for (const key of TOTALS) {
+      if (key in expected.totals) fields[`totals.${key}`] = amount(result.totals?.[key], expected.totals[key], tolerance);
+    }
+  }
+  return fields;
+}
+
+// ---------- Recordings ----------
+
+// { synthetic, recorded } response counts; any synthetic one turns off the
+// ai and final scores
+function countRecordings() {
+  const counts = { synthetic: 0, recorded: 0 };
+  const dir = path.join(ROOT, "recordings");
+  if (!fs.existsSync(dir)) return counts;
+  for (const task of fs.readdirSync(dir)) {
+    for (const f of fs.readdirSync(path.join(dir, task)).filter(f => f.endsWith(".json"))) {
+      const saved = JSON.parse(fs.readFileSync(path.join(dir, task, f), "utf8"));
+      counts[saved.synthetic ? "synthetic" : "recorded"]++;
+    }
+  }
+  return counts;
+}
+
+// ---------- Cases ----------
+
+function loadCases(kind) {
+  const dir = path.join(ROOT, kind);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter(f => f.endsWith(".txt"))
+    .map(f => f.replace(/\.txt$/, ""))
+    .filter(name => !only.length || only.includes(name))
+    .sort()
+    .map(name => {
+      const layoutFile = path.join(dir, `${name}.layout.json`);
+      return {
+        kind,
+        name,
+        text: fs.readFileSync(path.join(dir, `${name}.txt`), "utf8"),
+        layout: fs.existsSync(layoutFile) ? JSON.parse(fs.readFileSync(layoutFile, "utf8")) : null,
+        expected: JSON.parse(fs.readFileSync(path.join(dir, `${name}.expected.json`), "utf8"))
+      };
+    });
+}
+
+async function runBureauCase({ text, expected }, { scoreAi }) {
+  const tolerance = { ...DEFAULT_TOLERANCE, ...expected.tolerance };
+  const sources = {};
+  const errors = {};
+
+  let rule = null;
+  try {
+    rule = parseBureauReport(text);
+    sources.rule = scoreBureauResult(rule, expected, tolerance);
+  } catch (e) {
+    errors.rule = e.message;
+  }
+
+  const reportTotalOutstanding = extractTotalCurrentBalance(text);
+  if ("totalCurrentBalance" in expected) {
+    sources.extract = { totalCurrentBalance: amount(reportTotalOutstanding, expected.totalCurrentBalance, tolerance) };
+  }
+
+  if (!scoreAi) {
+    if (rule) {
+      const merged = reconcileBureauResults({ ai: null, rule, reportTotalOutstanding });
+      sources.merge = scoreBureauResult(merged, expected, tolerance, { totals: true });
+    }
+    return { sources, errors };
+  }
+
+  let ai = null;
+  try {
+    ai = await analyzeWithAI(text);
+    sources.ai = scoreBureauResult(ai, expected, tolerance);
+  } catch (e) {
+    errors.ai = e.code === "LLM_REPLAY_MISS" ? "no recorded response (run with --record)" : e.message;
+  }
+
+  if (rule || ai) {
+    const final = reconcileBureauResults({ ai, rule, reportTotalOutstanding });
+    sources.final = scoreBureauResult(final, expected, tolerance, { totals: true });
+  }
+
+  return { sources, errors };
+}
+
+async function runBankCase({ text, layout, expected }) {
+  const tolerance = { ...DEFAULT_TOLERANCE, ...expected.tolerance };
+  const pages = text.split("\f").map(p => p.replace(/^\n/, ""));
+
+  let data;
+  try {
+    data = await analyzeStatementPages(pages, { layout });
+  } catch (e) {
+    return { sources: {}, errors: { pipeline: e.message } };
+  }
+
+  const fields = {};
+  const e = expected;
+  if ("bank" in e) fields.bank = exact(data.bank, e.bank);
+  if ("extractionMethod" in e) fields.extractionMethod = exact(data.extractionMethod, e.extractionMethod);
+  if ("transactionCount" in e) fields.transactionCount = exact(data.transactions.length, e.transactionCount);
+  for (const key of ["openingBalance", "closingBalance", "totalCredits", "totalDebits"]) {
+    if (key in e) fields[key] = amount(data[key], e[key], tolerance);
+  }
+  if ("emiBounceCount" in e) fields.emiBounceCount = exact(data.emiBounceCount, e.emiBounceCount);
+  if ("cashflowMonths" in e) fields.cashflowMonths = exact(data.cashflow?.length, e.cashflowMonths);
+  if (e.salary) {
+    fields["salary.isSalaried"] = exact(data.salaryDetection?.isSalaried, e.salary.isSalaried);
+    if ("amount" in e.salary) fields["salary.amount"] = amount(data.salaryDetection?.salaryAmount, e.salary.amount, tolerance);
+  }
+  if (e.emis) {
+    const found = data.latestMonthEMIs || [];
+    const hit = e.emis.filter(x => found.some(f => withinTolerance(f.amount, x.amount, tolerance)));
+    fields["emis.recall"] = {
+      score: e.emis.length ? hit.length / e.emis.length : found.length ? 0 : 1,
+      expected: e.emis,
+      actual: found.map(f => ({ lender: f.lender, amount: f.amount }))
+    };
+  }
+
+  return { sources: { pipeline: fields }, errors: {} };
+}
+
+// Share of `values` for which `ok(value)` holds
+function share(values, ok) {
+  const missed = values.filter(v => !ok(v));
+  return { score: values.length ? 1 - missed.length / values.length : 1, missing: missed };
+}
+
+function runRedactionCase({ text, expected }) {
+  const redactor = createRedactor(expected.task || "bureau");
+  if (!redactor) return { sources: {}, errors: { prompt: "redaction is disabled for this task" } };
+  const prompt = redactor.redact(text);
+  const vaulted = [...redactor.vault.byToken.values()];
+  const masked = maskPii(text);
+
+  const fields = {};
+  for (const [type, values] of Object.entries(expected.tokenised || {})) {
+    fields[`prompt.tokenised.${type}`] = share(values, v => !prompt.includes(v) && vaulted.some(t => t.type === type && t.value === v));
+  }
+  if (expected.keptInPrompt) fields["prompt.kept"] = share(expected.keptInPrompt, v => prompt.includes(v));
+  if (expected.masked) {
+    fields["logs.masked"] = share(Object.keys(expected.masked), v => !masked.includes(v) && masked.includes(expected.masked[v]));
+  }
+  return { sources: { pipeline: fields }, errors: {} };
+}
+
+// ---------- Report ----------
+
+const pct = v => (v == null ? "   –  " : `${(v * 100).toFixed(1).padStart(5)}%`);
+
+// Per field: mean score over the cases that produced it
+function aggregate(cases) {
+  const sums = {};
+  for (const c of cases) {
+    for (const [source, fields] of Object.entries(c.sources)) {
+      for (const [field, r] of Object.entries(fields)) {
+        const key = `${c.kind}.${source}.${field}`;
+        sums[key] = sums[key] || { total: 0, n: 0 };
+        sums[key].total += r.score;
+        sums[key].n += 1;
+      }
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(sums)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, s]) => [key, Math.round((s.total / s.n) * 1000) / 1000])
+  );
+}
+
+function caseScores(cases) {
+  return Object.fromEntries(
+    cases.map(c => [
+      `${c.kind}/${c.name}`,
+      Object.fromEntries(
+        Object.entries(c.sources).flatMap(([source, fields]) =>
+          Object.entries(fields).map(([field, r]) => [`${source}.${field}`, Math.round(r.score * 1000) / 1000])
+        )
+      )
+    ])
+  );
+}
+
+function compare(current, baseline) {
+  const changes = [];
+  for (const [key, value] of Object.entries(current)) {
+    const before = baseline?.[key];
+    if (before == null) changes.push({ key, before: null, after: value, status: "new" });
+    else if (value > before) changes.push({ key, before, after: value, status: "improved" });
+    else if (value < before) changes.push({ key, before, after: value, status: "regressed" });
+  }
+  for (const key of Object.keys(baseline || {})) {
+    if (!(key in current)) changes.push({ key, before: baseline[key], after: null, status: "missing" });
+  }
+  return changes;
+}
+
+function printReport(cases, fields, fieldChanges, caseChanges, baseline, recordings, scoreAi) {
+  print(`Golden run: ${cases.length} case(s)${baseline ? `, baseline from ${baseline.generatedAt}` : ", no baseline yet"}`);
+  print(`AI responses: ${recordings.recorded} recorded, ${recordings.synthetic} synthetic`);
+  if (!scoreAi) print("ai / final not scored while any response is synthetic; merge uses the rule parse alone (--record to fix)");
+  print("");
+
+  const changeOf = Object.fromEntries(fieldChanges.map(c => [c.key, c]));
+  const mark = { improved: "▲ improved", regressed: "▼ REGRESSED", new: "+ new", missing: "- missing" };
+  const width = Math.max(...Object.keys(fields).map(k => k.length), 10);
+  print(`${"field".padEnd(width)}  accuracy  baseline`);
+  for (const [key, value] of Object.entries(fields)) {
+    const change = changeOf[key];
+    print(`${key.padEnd(width)}  ${pct(value)}    ${pct(baseline?.fields?.[key])}  ${change ? mark[change.status] : ""}`);
+  }
+  for (const c of fieldChanges.filter(c => c.status === "missing")) {
+    print(`${c.key.padEnd(width)}     –       ${pct(c.before)}  ${mark.missing}`);
+  }
+
+  const failures = [];
+  for (const c of cases) {
+    for (const [source, error] of Object.entries(c.errors)) failures.push(`${c.kind}/${c.name} ${source}: ${error}`);
+    for (const [source, fields] of Object.entries(c.sources)) {
+      for (const [field, r] of Object.entries(fields)) {
+        if (r.score >= 1) continue;
+        const detail = r.misses
+          ? r.misses.map(m => `${m.account}: expected ${JSON.stringify(m.expected)}, got ${JSON.stringify(m.actual)}`).join("; ")
+          : r.missing?.length
+            ? `missing ${r.missing.join(", ")}`
+            : `expected ${JSON.stringify(r.expected)}, got ${JSON.stringify(r.actual)}`;
+        failures.push(`${c.kind}/${c.name} ${source}.${field}: ${detail}`);
+      }
+    }
+  }
+  if (failures.length) {
+    print("\nMismatches:");
+    for (const f of failures) print(`  ${f}`);
+  }
+
+  const moved = caseChanges.filter(c => c.status === "improved" || c.status === "regressed");
+  if (moved.length) {
+    print("\nChanged since baseline:");
+    for (const c of moved) print(`  ${c.status === "regressed" ? "▼" : "▲"} ${c.key}: ${c.before} → ${c.after}`);
+  }
+}
+
+// =====================================================
+// RUN
+// =====================================================
+const recordings = countRecordings();
+const scoreAi = flags.has("--record") || !recordings.synthetic;
+
+const cases = [];
+for (const c of loadCases("bureau")) cases.push({ ...c, ...(await runBureauCase(c, { scoreAi })) });
+for (const c of loadCases("bank")) cases.push({ ...c, ...(await runBankCase(c)) });
+for (const c of loadCases("redaction")) cases.push({ ...c, ...runRedactionCase(c) });
+
+if (!cases.length) {
+  print("No golden cases found" + (only.length ? ` matching ${only.join(", ")}` : ""));
+  process.exit(1);
+}
+
+const fields = aggregate(cases);
+const perCase = caseScores(cases);
+const baseline = fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE, "utf8")) : null;
+
+// A partial run only compares the cases it ran
+const baselineFields = only.length ? null : baseline?.fields;
+const fieldChanges = baselineFields ? compare(fields, baselineFields) : [];
+const caseChanges = Object.entries(perCase).flatMap(([name, scores]) =>
+  baseline?.cases?.[name]
+    ? compare(scores, baseline.cases[name]).map(c => ({ ...c, key: `${name} ${c.key}` }))
+    : []
+);
+
+if (flags.has("--json")) {
+  print(JSON.stringify({ fields, cases, fieldChanges, caseChanges, recordings, scoreAi }, null, 2));
+} else {
+  printReport(cases, fields, fieldChanges, caseChanges, baselineFields ? baseline : null, recordings, scoreAi);
+}
+
+if (flags.has("--update-baseline")) {
+  if (only.length) {
+    print("\n--update-baseline needs a full run; baseline not written");
+    process.exit(1);
+  }
+  fs.writeFileSync(BASELINE_FILE, JSON.stringify({ generatedAt: new Date().toISOString(), fields, cases: perCase }, null, 2) + "\n");
+  print(`\nBaseline written to ${path.relative(process.cwd(), BASELINE_FILE)}`);
+}
+
+const regressed = [...fieldChanges, ...caseChanges].some(c => c.status === "regressed" || c.status === "missing");
+process.exit(regressed && !flags.has("--update-baseline") ? 1 : 0);
@@ -9,646 +9,896 @@
    IMPORTS (CLEAN + Render Safe)
    =========================================================== */
 import express from "express";
-import multer from "multer";
 import cors from "cors";
-import fs from "fs";
-import OpenAI from "openai";
-import pdf from "pdf-parse"; // ✔ Use ONLY this for bank statements
-
-// NO pdfjs-dist required unless you extract page layout manually
-// REMOVE all pdfjsLib and worker imports
+import { analyzeBureauPdf, bureauPipelineVersion } from "./bureauPipeline.js";
+import { PDF_UNREADABLE, AI_PARSE_FAILED } from "./common.js";
+import { analyzeBankPdf, bankPipelineVersion } from "./bankPipeline.js";
+import {
+  registerJobHandler,
+  createJob,
+  getJob,
+  startJobQueue,
+  JOB_NOT_FOUND,
+  JOB_TYPE_UNKNOWN,
+  CALLBACK_URL_INVALID,
+  WEBHOOK_SECRET_MISSING,
+  sweepJobUploads,
+  sweepFinishedJobs
+} from "./jobQueue.js";
+import { acceptPdf, missingUpload, sendUploadError, isUploadError, startUploadSweeper } from "./uploads.js";
+import {
+  passwordOptionsFromRequest,
+  PDF_PASSWORD_REQUIRED,
+  PDF_PASSWORD_INCORRECT
+} from "./pdfPassword.js";
+import {
+  applicantFromRequest,
+  resolveApplicant,
+  getApplicant,
+  saveReport,
+  listReports,
+  getReport,
+  deleteReport,
+  deleteApplicant,
+  APPLICANT_NOT_FOUND,
+  REPORT_NOT_FOUND,
+  REPORT_KINDS
+} from "./reportStore.js";
+import { compareBureauResults, COMPARE_INPUT_INVALID } from "./bureauDiff.js";
+import { consolidateBureauResults } from "./bureauConsolidate.js";
+import {
+  evaluateEligibility,
+  loadPolicy,
+  normaliseCustomerType,
+  ELIGIBILITY_INPUT_INVALID,
+  POLICY_NOT_FOUND
+} from "./eligibility.js";
+import {
+  evaluateCreditPolicy,
+  evaluateAllCreditPolicies,
+  listCreditPolicies,
+  CREDIT_POLICY_NOT_FOUND,
+  CREDIT_POLICY_INVALID
+} from "./creditPolicy.js";
+import { buildCam, renderCamPdf, CAM_INPUT_INVALID } from "./camReport.js";
+import {
+  buildExportSections,
+  sectionToCsv,
+  sectionsToXlsx,
+  EXPORT_FORMATS,
+  EXPORT_INPUT_INVALID
+} from "./dataExport.js";
+import { installLogMasking, loadRedactionPolicy, readRedactionAudit } from "./piiRedaction.js";
+import {
+  corsOptions,
+  authenticate,
+  requireAdmin,
+  issueApiKey,
+  listApiKeys,
+  revokeApiKey,
+  loadTenants,
+  quotaUsage,
+  sendTenantError,
+  isTenantError,
+  AUTH_DISABLED
+} from "./tenants.js";
+import {
+  meterRequest,
+  currentMeter,
+  withMeter,
+  usageReport,
+  budgetStatus,
+  LLM_BUDGET_EXCEEDED,
+  USAGE_INPUT_INVALID
+} from "./usageMeter.js";
+import {
+  withResultCache,
+  cacheBypassRequested,
+  invalidateCacheEntry,
+  clearResultCache,
+  resultCacheStats,
+  startResultCacheSweeper,
+  CACHE_ENTRY_NOT_FOUND
+} from "./resultCache.js";
+import { generate } from "./modelGateway.js";
+
+// pdfjs-dist is used through pdfLayout.js (text positions) and ocr.js
+// (page rendering), via bureauPipeline.js / bankPipeline.js; no worker setup
+// is needed in Node
 
 import path from "path";
 import { fileURLToPath } from "url";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// PAN, Aadhaar, phone, email, account numbers and addresses are masked in
+// every console line from here on (piiRedaction.js)
+installLogMasking();
+
 const app = express();
-app.use(cors());
+
+// Every route but the health check needs a tenant API key; CORS, rate
+// limits and daily quotas are per tenant (tenants.js). Limits are checked
+// before any body is parsed, so a refused upload is never read.
+if (AUTH_DISABLED) console.warn("AUTH_DISABLED is set – API keys, CORS allow-lists and quotas are off");
+app.use(cors(corsOptions()));
+app.use(authenticate({ publicPaths: ["GET /"] }));
+// LLM tokens and cost are charged to this request from here on (usageMeter.js)
+app.use(meterRequest());
 app.use(express.json({ limit: "20mb" }));
 app.use(express.urlencoded({ limit: "20mb", extended: true }));
 
-// File upload handler
-const upload = multer({ dest: "uploads/" });
+// Uploads are held in memory, size / type checked (uploads.js)
 
-// OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// LLM calls go through modelGateway.js (model/provider per task, retries,
+// record/replay)
 
 // optional future use
 const GOVT_VECTOR_ID = process.env.GOVT_SCHEMES_VECTOR_STORE_ID;
 
-// Helper to pull plain text out of Responses API output
-function extractResponseText(resp) {
-  if (!resp || !resp.output) return "";
-  const chunks = [];
-  for (const item of resp.output) {
-    if (!item.content) continue;
-    for (const c of item.content) {
-      // new style
-      if (c.type === "output_text" && c.text?.value) {
-        chunks.push(c.text.value);
-      }
-      // fallback
-      else if (c.type === "text" && typeof c.text === "string") {
-        chunks.push(c.text);
-      }
-    }
+// Stored applicants, reports and jobs belong to the caller's tenant; every
+// store call takes this scope
+const tenantScope = req => ({ tenantId: req.tenant?.id ?? null });
+
+// Save a result against its applicant. A storage failure is logged but
+// never costs the caller the result itself.
+async function storeAnalysis(kind, applicant, fileName, data, { tenantId = null } = {}) {
+  try {
+    const owner = await resolveApplicant(applicant, { tenantId });
+    const report = await saveReport({ applicantId: owner.id, kind, fileName, data }, { tenantId });
+    return { applicantId: owner.id, reportId: report.id };
+  } catch (e) {
+    console.error("Report store error:", e);
+    return { applicantId: null, reportId: null };
   }
-  return chunks.join("\n\n");
 }
 
-// ---------- Utility Helpers ----------
-function parseAmount(str) {
-  if (str == null) return 0;
-  const s = String(str).trim();
-  const m = s.match(/-?\d+(\.\d+)?/);
-  if (m) {
-    const num = parseFloat(m[0]);
-    return Number.isFinite(num) ? num : 0;
-  }
-  const cleaned = s.replace(/[^0-9.-]/g, "");
-  const num = parseFloat(cleaned);
-  return Number.isFinite(num) ? num : 0;
+// Pipelines through the result cache (resultCache.js): a repeat upload of
+// the same PDF skips parsing, OCR and the AI call. A rule-based fallback
+// after an AI failure isn't cached, so the next upload tries the AI again.
+function cachedBureauAnalysis(buffer, { passwords, bypass = false, onStage } = {}) {
+  return withResultCache(
+    { kind: "bureau", buffer, version: bureauPipelineVersion(), passwords, bypass, cacheable: a => !a.aiError },
+    () => analyzeBureauPdf(buffer, { passwords, onStage })
+  );
 }
 
-// Normalize tenure string to integer months where possible
-function parseTenureToMonths(val) {
-  if (val == null) return null;
-  if (typeof val === "number" && Number.isFinite(val)) return Math.round(val);
-  const s = String(val).trim().toLowerCase();
-  let m = s.match(/(\d+)\s*(yr|year|years)/);
-  if (m) return parseInt(m[1], 10) * 12;
-  m = s.match(/(\d+)\s*(m|mo|month|months)/);
-  if (m) return parseInt(m[1], 10);
-  m = s.match(/^(\d+)$/);
-  if (m) return parseInt(m[1], 10);
-  m = s.match(/(\d+(\.\d+)?)/);
-  if (m) return Math.round(parseFloat(m[1]));
-  return null;
+function cachedBankAnalysis(buffer, { passwords, bypass = false, onStage } = {}) {
+  return withResultCache(
+    { kind: "bank", buffer, version: bankPipelineVersion(), passwords, bypass },
+    () => analyzeBankPdf(buffer, { passwords, onStage })
+  );
 }
 
-// ---------- OCR SPACE ----------
-async function performOcrOnPdf(filePath) {
-  const apiKey = process.env.OCR_SPACE_API_KEY;
-  if (!apiKey) {
-    console.warn("OCR_SPACE_API_KEY not configured – skipping OCR");
-    return "";
-  }
-
-  const buffer = await fs.promises.readFile(filePath);
-  const blob = new Blob([buffer], { type: "application/pdf" });
+// =====================================================
+// MAIN ENDPOINT: /analyze
+// =====================================================
+app.post("/analyze", acceptPdf("pdf"), async (req, res) => {
+  try {
+    if (!req.file) return sendUploadError(res, missingUpload());
 
-  const formData = new FormData();
-  formData.append("apikey", apiKey);
-  formData.append("file", blob, "bureau.pdf");
-  formData.append("language", "eng");
-  formData.append("isOverlayRequired", "false");
+    let analysis, cache;
+    try {
+      const { value, ...cacheInfo } = await cachedBureauAnalysis(req.file.buffer, {
+        passwords: passwordOptionsFromRequest(req.body),
+        bypass: cacheBypassRequested(req)
+      });
+      analysis = value;
+      cache = cacheInfo;
+    } catch (pipelineErr) {
+      if (isUploadError(pipelineErr)) return sendUploadError(res, pipelineErr);
+      if (pipelineErr.code === PDF_PASSWORD_REQUIRED || pipelineErr.code === PDF_PASSWORD_INCORRECT) {
+        return res.json({ success: false, code: pipelineErr.code, message: pipelineErr.message });
+      }
+      if (pipelineErr.code === PDF_UNREADABLE || pipelineErr.code === AI_PARSE_FAILED) {
+        return res.json({ success: false, message: pipelineErr.message });
+      }
+      if (pipelineErr.code === LLM_BUDGET_EXCEEDED) {
+        return res.status(429).json({ success: false, code: pipelineErr.code, message: pipelineErr.message });
+      }
+      throw pipelineErr;
+    }
 
-  const res = await fetch("https://api.ocr.space/parse/image", {
-    method: "POST",
-    body: formData,
-  });
+    const stored = await storeAnalysis("bureau", applicantFromRequest(req.body), req.file.originalname, analysis, tenantScope(req));
 
-  if (!res.ok) {
-    console.error("OCR HTTP error:", res.status, await res.text());
-    throw new Error("OCR API error");
+    res.json({ success: true, ...analysis, ...stored, ...cache });
+  } catch (e) {
+    console.error("Fatal error in /analyze:", e);
+    res.json({ success: false, message: "Error parsing PDF" });
   }
+});
+// =====================================================
+// SEVERAL BUREAUS, ONE APPLICANT: /analyze-multi
+// =====================================================
+// Up to five bureau PDFs (field "pdfs") for the same applicant. Each is
+// analysed and saved like an /analyze upload, then merged into one
+// consolidated view. A file that fails is reported and left out.
+const MAX_MULTI_REPORTS = 5;
 
-  const data = await res.json();
-
-  if (data.OCRExitCode !== 1 || !data.ParsedResults?.length) {
-    console.error("OCR bad response:", data);
-    throw new Error("OCR failed");
-  }
+app.post("/analyze-multi", acceptPdf("pdfs", { maxFiles: MAX_MULTI_REPORTS }), async (req, res) => {
+  const files = req.files || [];
+  try {
+    if (!files.length) return sendUploadError(res, missingUpload("No PDFs provided"));
 
-  return data.ParsedResults.map((r) => r.ParsedText || "").join("\n");
-}
+    const applicant = applicantFromRequest(req.body);
+    const passwords = passwordOptionsFromRequest(req.body);
+    const bypass = cacheBypassRequested(req);
+    const reports = [];
+    const inputs = [];
 
-// ---------- Extract Total Current Bal. amt ----------
-function extractTotalCurrentBalance(text) {
-  const t = text.replace(/\r/g, "").replace(/\u00a0/g, " ");
+    // One at a time: each report may need OCR and an AI call
+    for (const file of files) {
+      try {
+        const { value: analysis, cached } = await cachedBureauAnalysis(file.buffer, { passwords, bypass });
+        const stored = await storeAnalysis("bureau", applicant, file.originalname, analysis, tenantScope(req));
+        // Later files land on the applicant the first one created
+        if (stored.applicantId) applicant.applicantId = stored.applicantId;
+        reports.push({ fileName: file.originalname, success: true, bureau: analysis.result.bureau || null, aiError: analysis.aiError, cached, ...stored });
+        inputs.push({ result: analysis.result, reportId: stored.reportId });
+      } catch (e) {
+        console.error(`Bureau analysis failed for ${file.originalname}:`, e.message);
+        reports.push({ fileName: file.originalname, success: false, code: e.code || null, message: e.message });
+      }
+    }
 
-  const patterns = [
-    /Total\s+Current\s+Bal\.?\s*amt[^\d]{0,30}([\d,]+)/i,
-    /Total\s+Current\s+Balance[^\d]{0,30}([\d,]+)/i,
-  ];
+    if (!inputs.length) {
+      return res.json({ success: false, message: "None of the reports could be parsed", reports });
+    }
 
-  for (const re of patterns) {
-    const m = t.match(re);
-    if (m && m[1]) return parseAmount(m[1]);
+    res.json({
+      success: true,
+      applicantId: applicant.applicantId || null,
+      reports,
+      consolidated: consolidateBureauResults(inputs)
+    });
+  } catch (e) {
+    console.error("Fatal error in /analyze-multi:", e);
+    res.json({ success: false, message: "Error parsing PDFs" });
   }
+});
 
-  return 0;
-}
+// ================================================
+// 📌 BANK STATEMENT ANALYZER API (FIXED)
+// ================================================
+app.post("/analyze-bank", acceptPdf("pdf"), async (req, res) => {
+  try {
+    if (!req.file) return sendUploadError(res, missingUpload("No PDF uploaded"));
 
-// =====================================================
-// AI PARSER — SCORE, LOANS (WITH DETAILS), ENQUIRIES
-// =====================================================
-async function analyzeWithAI(extractedText) {
-  if (!process.env.OPENAI_API_KEY) {
-    throw new Error("OPENAI_API_KEY missing");
-  }
-
-  const prompt = `
-You are an expert reader of Indian credit bureau reports (Experian/CIBIL/CRIF/Equifax).
-
-Extract the following strictly in JSON:
-
-1) score — the main bureau score only.
-2) enquiryCount — total credit enquiries.
-3) dpd — a short summary of delinquencies / overdues.
-4) loans[] — one item per credit facility, using:
-   - "SUMMARY: CREDIT ACCOUNT INFORMATION"
-   - "CREDIT ACCOUNT INFORMATION DETAILS"
-   For each loan, include a details object. In addition to the usual fields,
-   attempt to extract these if present in the credit account details:
-     - rateOfInterest: numeric rate of interest (e.g. "Rate of Interest 12.050" or "Rate of Interest 12.05%")
-     - repaymentTenure: remaining / reported repayment tenure (string or numeric; months preferred)
-     - totalWriteOffAmount: numeric (if the loan has been written off, total write-off amount)
-     - principalWriteOff: numeric (principal portion that was written off)
-     - settlementAmount: numeric (settlement / compromise amount if listed)
-
-5) enquiries[] — from "CREDIT ENQUIRIES".
-6) totals — rough values (backend/frontend may override parts).
-
-For each loan, include "details" with (where available):
-  lender, accountType, accountNumber, ownership, accountStatus,
-  dateOpened, dateReported, dateClosed, sanctionAmount, currentBalance,
-  amountOverdue, emiAmount, securityOrCollateral, dpdHistory,
-  rateOfInterest, repaymentTenure, totalWriteOffAmount, principalWriteOff, settlementAmount
-
-STRICT JSON shape (loans.details properties above may be null when absent):
-
-{
-  "score": number,
-  "enquiryCount": number,
-  "dpd": string,
-  "totals": {
-    "loanSanctioned": number,
-    "loanOutstanding": number,
-    "cardLimit": number,
-    "cardOutstanding": number
-  },
-  "loans": [
-    {
-      "type": string,
-      "status": string,
-      "line": string,
-      "details": {
-        "lender": string | null,
-        "accountType": string | null,
-        "accountNumber": string | null,
-        "ownership": string | null,
-        "accountStatus": string | null,
-        "dateOpened": string | null,
-        "dateReported": string | null,
-        "dateClosed": string | null,
-        "sanctionAmount": number | null,
-        "currentBalance": number | null,
-        "amountOverdue": number | null,
-        "emiAmount": number | null,
-        "securityOrCollateral": string | null,
-        "dpdHistory": string | null,
-        "rateOfInterest": number | null,
-        "repaymentTenure": string | null,
-        "totalWriteOffAmount": number | null,
-        "principalWriteOff": number | null,
-        "settlementAmount": number | null
+    console.log("📄 Bank PDF Uploaded:", req.file.originalname);
+
+    let json, cache;
+    try {
+      const { value, ...cacheInfo } = await cachedBankAnalysis(req.file.buffer, {
+        passwords: passwordOptionsFromRequest(req.body),
+        bypass: cacheBypassRequested(req)
+      });
+      json = value;
+      cache = cacheInfo;
+    } catch (pipelineErr) {
+      if (isUploadError(pipelineErr)) return sendUploadError(res, pipelineErr);
+      if (pipelineErr.code === PDF_PASSWORD_REQUIRED || pipelineErr.code === PDF_PASSWORD_INCORRECT) {
+        return res.json({ success: false, code: pipelineErr.code, message: pipelineErr.message });
       }
+      if (pipelineErr.code === PDF_UNREADABLE) {
+        return res.json({ success: false, message: pipelineErr.message });
+      }
+      if (pipelineErr.code === AI_PARSE_FAILED) {
+        return res.status(500).json({ error: pipelineErr.message });
+      }
+      if (pipelineErr.code === LLM_BUDGET_EXCEEDED) {
+        return res.status(429).json({ success: false, code: pipelineErr.code, message: pipelineErr.message });
+      }
+      throw pipelineErr;
     }
-  ],
-  "enquiries": [
-    {
-      "institution": string,
-      "enquiryType": string,
-      "date": string,
-      "amount": number,
-      "status": string
-    }
-  ]
-}
 
-REPORT TEXT:
-${extractedText}
-`;
+    console.log("✅ Parsed Bank Summary:", {
+      bank: json.bank,
+      transactions: json.transactions.length,
+      totalCredits: json.totalCredits,
+      totalDebits: json.totalDebits,
+      extractionMethod: json.extractionMethod
+    });
 
-  const response = await openai.responses.create({
-    model: "gpt-4.1-mini",
-    input: prompt,
-    text: {
-      format: {
-        type: "json_schema",
-        name: "bureau_summary_with_details_v2_fixed",
-        schema: {
-          type: "object",
-          properties: {
-            score: { type: "number" },
-            enquiryCount: { type: "number" },
-            dpd: { type: "string" },
-            totals: {
-              type: "object",
-              properties: {
-                loanSanctioned: { type: "number" },
-                loanOutstanding: { type: "number" },
-                cardLimit: { type: "number" },
-                cardOutstanding: { type: "number" },
-              },
-              required: [
-                "loanSanctioned",
-                "loanOutstanding",
-                "cardLimit",
-                "cardOutstanding",
-              ],
-              additionalProperties: false,
-            },
-            loans: {
-              type: "array",
-              items: {
-                type: "object",
-                properties: {
-                  type: { type: "string" },
-                  status: { type: "string" },
-                  line: { type: "string" },
-                  details: {
-                    type: "object",
-                    properties: {
-                      lender: { type: ["string", "null"] },
-                      accountType: { type: ["string", "null"] },
-                      accountNumber: { type: ["string", "null"] },
-                      ownership: { type: ["string", "null"] },
-                      accountStatus: { type: ["string", "null"] },
-                      dateOpened: { type: ["string", "null"] },
-                      dateReported: { type: ["string", "null"] },
-                      dateClosed: { type: ["string", "null"] },
-                      sanctionAmount: { type: ["number", "null"] },
-                      currentBalance: { type: ["number", "null"] },
-                      amountOverdue: { type: ["number", "null"] },
-                      emiAmount: { type: ["number", "null"] },
-                      securityOrCollateral: { type: ["string", "null"] },
-                      dpdHistory: { type: ["string", "null"] },
-
-                      // NEW optional fields (allow null)
-                      rateOfInterest: { type: ["number", "null"] },
-                      repaymentTenure: { type: ["string", "null"] },
-                      totalWriteOffAmount: { type: ["number", "null"] },
-                      principalWriteOff: { type: ["number", "null"] },
-                      settlementAmount: { type: ["number", "null"] }
-                    },
-                    // REQUIRED must include every key declared in properties per API validation
-                    required: [
-                      "lender",
-                      "accountType",
-                      "accountNumber",
-                      "ownership",
-                      "accountStatus",
-                      "dateOpened",
-                      "dateReported",
-                      "dateClosed",
-                      "sanctionAmount",
-                      "currentBalance",
-                      "amountOverdue",
-                      "emiAmount",
-                      "securityOrCollateral",
-                      "dpdHistory",
-                      "rateOfInterest",
-                      "repaymentTenure",
-                      "totalWriteOffAmount",
-                      "principalWriteOff",
-                      "settlementAmount"
-                    ],
-                    additionalProperties: false,
-                  },
-                },
-                required: ["type", "status", "line", "details"],
-                additionalProperties: false,
-              },
-            },
-            enquiries: {
-              type: "array",
-              items: {
-                type: "object",
-                properties: {
-                  institution: { type: "string" },
-                  enquiryType: { type: "string" },
-                  date: { type: "string" },
-                  amount: { type: "number" },
-                  status: { type: "string" },
-                },
-                required: [
-                  "institution",
-                  "enquiryType",
-                  "date",
-                  "amount",
-                  "status",
-                ],
-                additionalProperties: false,
-              },
-            },
-          },
-          required: [
-            "score",
-            "enquiryCount",
-            "dpd",
-            "totals",
-            "loans",
-            "enquiries",
-          ],
-          additionalProperties: false,
-        },
+    const stored = await storeAnalysis("bank", applicantFromRequest(req.body), req.file.originalname, json, tenantScope(req));
+
+    res.json({
+      success: true,
+      data: json,
+      ...stored,
+      ...cache
+    });
+
+  } catch (err) {
+    console.error("❌ Error analyzing bank:", err);
+    res.status(500).json({ error: "Server error analyzing bank statement" });
+  }
+});
+
+// ================================================
+// ASYNC JOBS — queue a PDF, poll or get a webhook
+// ================================================
+// Same pipelines as /analyze and /analyze-bank; the job's result is what
+// those routes would have returned, saved to the report store the same way.
+// LLM usage is charged to the request that queued the job.
+registerJobHandler("bureau", (buffer, input, onStage, job) =>
+  withMeter(job.meter, async () => {
+    const { value: analysis, cached } = await cachedBureauAnalysis(buffer, { passwords: input.passwords, bypass: input.bypassCache, onStage });
+    return { ...analysis, cached, ...(await storeAnalysis("bureau", input.applicant || {}, input.fileName, analysis, job)) };
+  })
+);
+registerJobHandler("bank", (buffer, input, onStage, job) =>
+  withMeter(job.meter, async () => {
+    const { value: data, cached } = await cachedBankAnalysis(buffer, { passwords: input.passwords, bypass: input.bypassCache, onStage });
+    return { data, cached, ...(await storeAnalysis("bank", input.applicant || {}, input.fileName, data, job)) };
+  })
+);
+
+app.post("/jobs", acceptPdf("pdf"), async (req, res) => {
+  if (!req.file) return sendUploadError(res, missingUpload());
+  try {
+    const job = await createJob({
+      type: String(req.body.type || "bureau").toLowerCase(),
+      buffer: req.file.buffer,
+      input: {
+        passwords: passwordOptionsFromRequest(req.body),
+        applicant: applicantFromRequest(req.body),
+        fileName: req.file.originalname,
+        bypassCache: cacheBypassRequested(req)
       },
-    },
-  });
+      meter: currentMeter(),
+      callbackUrl: req.body.callbackUrl || null,
+      ...tenantScope(req)
+    });
+    res.status(202).json({ success: true, jobId: job.id, stage: job.stage, statusUrl: `/jobs/${job.id}` });
+  } catch (e) {
+    if ([JOB_TYPE_UNKNOWN, CALLBACK_URL_INVALID, WEBHOOK_SECRET_MISSING].includes(e.code)) {
+      return res.status(400).json({ success: false, code: e.code, message: e.message });
+    }
+    console.error("Job creation error:", e);
+    res.status(500).json({ success: false, message: "Could not queue job" });
+  }
+});
 
-  // The responses.create with json_schema returns structured output; attempt to read raw
-  const raw = response.output?.[0]?.content?.[0]?.text || extractResponseText(response);
-  let parsed = {};
+app.get("/jobs/:id", (req, res) => {
   try {
-    parsed = JSON.parse(raw);
+    res.json({ success: true, job: getJob(req.params.id, tenantScope(req)) });
   } catch (e) {
-    const candidate = raw.match(/\{[\s\S]*\}$/m);
-    if (candidate) {
-      try {
-        parsed = JSON.parse(candidate[0]);
-      } catch (e2) {
-        console.error("Failed to parse AI output as JSON:", e2);
-        throw new Error("AI output parse failure");
-      }
-    } else {
-      console.error("AI output not parseable as JSON:", raw);
-      throw new Error("AI returned non-JSON output");
+    if (e.code === JOB_NOT_FOUND) {
+      return res.status(404).json({ success: false, code: e.code, message: e.message });
     }
+    console.error("Job lookup error:", e);
+    res.status(500).json({ success: false, message: "Could not read job" });
   }
+});
 
-  // Normalize and coerce numeric fields
-  parsed.score = typeof parsed.score === "number" ? parsed.score : 0;
-  parsed.enquiryCount =
-    typeof parsed.enquiryCount === "number" ? parsed.enquiryCount : 0;
-  parsed.dpd = parsed.dpd || "0 - Clean";
 
-  if (!parsed.totals) {
-    parsed.totals = {
-      loanSanctioned: 0,
-      loanOutstanding: 0,
-      cardLimit: 0,
-      cardOutstanding: 0,
-    };
+
+// ================================================
+// APPLICANTS & REPORTS — reopen saved results
+// ================================================
+function sendStoreError(res, e) {
+  if (e.code === APPLICANT_NOT_FOUND || e.code === REPORT_NOT_FOUND) {
+    return res.status(404).json({ success: false, code: e.code, message: e.message });
   }
+  console.error("Report store error:", e);
+  res.status(500).json({ success: false, message: "Report store error" });
+}
 
-  parsed.totals.loanSanctioned = parseAmount(parsed.totals.loanSanctioned);
-  parsed.totals.loanOutstanding = parseAmount(parsed.totals.loanOutstanding);
-  parsed.totals.cardLimit = parseAmount(parsed.totals.cardLimit);
-  parsed.totals.cardOutstanding = parseAmount(
-    parsed.totals.cardOutstanding
-  );
+app.get("/applicants/:id", async (req, res) => {
+  try {
+    res.json({ success: true, applicant: await getApplicant(req.params.id, tenantScope(req)) });
+  } catch (e) {
+    sendStoreError(res, e);
+  }
+});
 
-  parsed.loans = Array.isArray(parsed.loans) ? parsed.loans : [];
-  parsed.enquiries = Array.isArray(parsed.enquiries)
-    ? parsed.enquiries
-    : [];
-
-  // Ensure each loan has a details object and parse newly requested fields
-  parsed.loans = parsed.loans.map((l) => {
-    const details = l.details || {};
-
-    const normalized = {
-      lender: details.lender || null,
-      accountType: details.accountType || null,
-      accountNumber: details.accountNumber || null,
-      ownership: details.ownership || null,
-      accountStatus: details.accountStatus || null,
-      dateOpened: details.dateOpened || null,
-      dateReported: details.dateReported || null,
-      dateClosed: details.dateClosed || null,
-      sanctionAmount: parseAmount(details.sanctionAmount),
-      currentBalance: parseAmount(details.currentBalance),
-      amountOverdue: parseAmount(details.amountOverdue),
-      emiAmount: parseAmount(details.emiAmount),
-      securityOrCollateral: details.securityOrCollateral || null,
-      dpdHistory: details.dpdHistory || null,
-
-      // NEW fields (coerced)
-      rateOfInterest: (() => {
-        // accept numeric or numeric-in-string
-        const val = details.rateOfInterest ?? details.rate_of_interest ?? details['Rate of Interest'] ?? null;
-        return val == null ? null : parseAmount(val);
-      })(),
-      repaymentTenureRaw: details.repaymentTenure ?? details.repayment_tenure ?? details.tenure ?? null,
-      repaymentTenure: (() => {
-        const t = details.repaymentTenure ?? details.repayment_tenure ?? details.tenure ?? null;
-        const months = parseTenureToMonths(t);
-        return months !== null ? months : (t ? String(t) : null);
-      })(),
-      totalWriteOffAmount: (() => {
-        const val = details.totalWriteOffAmount ?? details.total_write_off_amount ?? details.totalWriteoffAmount ?? null;
-        return val == null ? 0 : parseAmount(val);
-      })(),
-      principalWriteOff: (() => {
-        const val = details.principalWriteOff ?? details.principal_write_off ?? details.principalWriteoff ?? null;
-        return val == null ? 0 : parseAmount(val);
-      })(),
-      settlementAmount: (() => {
-        const val = details.settlementAmount ?? details.settlement_amount ?? details.settlement ?? null;
-        return val == null ? 0 : parseAmount(val);
-      })()
-    };
+app.get("/applicants/:id/reports", async (req, res) => {
+  const kind = req.query.kind ? String(req.query.kind) : null;
+  if (kind && !REPORT_KINDS.includes(kind)) {
+    return res.status(400).json({ success: false, message: `kind must be one of ${REPORT_KINDS.join(", ")}` });
+  }
+  try {
+    res.json({ success: true, ...(await listReports(req.params.id, { kind, ...tenantScope(req) })) });
+  } catch (e) {
+    sendStoreError(res, e);
+  }
+});
 
+app.delete("/applicants/:id", async (req, res) => {
+  try {
+    res.json({ success: true, ...(await deleteApplicant(req.params.id, tenantScope(req))) });
+  } catch (e) {
+    sendStoreError(res, e);
+  }
+});
+
+app.get("/reports/:id", async (req, res) => {
+  try {
+    res.json({ success: true, report: await getReport(req.params.id, tenantScope(req)) });
+  } catch (e) {
+    sendStoreError(res, e);
+  }
+});
+
+// Each side is a stored bureau report id, or a bureau result posted inline
+// (the /analyze response or just its `result`)
+async function bureauResultFrom(side, label, scope) {
+  if (typeof side === "string") {
+    const report = await getReport(side, scope);
+    if (report.kind !== "bureau") {
+      throw Object.assign(new Error(`${label} is a ${report.kind} report, not a bureau report`), { code: COMPARE_INPUT_INVALID });
+    }
     return {
-      ...l,
-      details: normalized,
+      result: report.data?.result || {},
+      bureau: report.summary?.bureau || null,
+      reportId: report.id,
+      pulledAt: report.createdAt
     };
-  });
-
-  return parsed;
+  }
+  const result = side?.result || side;
+  if (!result || typeof result !== "object" || !Array.isArray(result.loans)) {
+    throw Object.assign(new Error(`${label} must be a bureau report id or a bureau result with loans[]`), {
+      code: COMPARE_INPUT_INVALID
+    });
+  }
+  return { result, bureau: result.bureau || null, reportId: null, pulledAt: null };
 }
 
-// =====================================================
-// MAIN ENDPOINT: /analyze
-// =====================================================
-app.post("/analyze", upload.single("pdf"), async (req, res) => {
-  let filePath;
+app.post("/reports/compare", async (req, res) => {
   try {
-    if (!req.file) {
-      return res.json({ success: false, message: "No PDF provided" });
+    const before = await bureauResultFrom(req.body?.before, "before", tenantScope(req));
+    const after = await bureauResultFrom(req.body?.after, "after", tenantScope(req));
+    res.json({
+      success: true,
+      before: { reportId: before.reportId, pulledAt: before.pulledAt },
+      after: { reportId: after.reportId, pulledAt: after.pulledAt },
+      changes: compareBureauResults(before.result, after.result)
+    });
+  } catch (e) {
+    if (e.code === COMPARE_INPUT_INVALID) {
+      return res.status(400).json({ success: false, code: e.code, message: e.message });
     }
+    sendStoreError(res, e);
+  }
+});
 
-    filePath = req.file.path;
-
-    const dataBuffer = fs.readFileSync(filePath);
-    const pdfData = await pdf(dataBuffer);
-    let extractedText = pdfData.text || "";
-
-    console.log("Initial PDF text length:", extractedText.length);
-
-    // If PDF text too short → try OCR, but don't crash if OCR fails
-    if (!extractedText || extractedText.trim().length < 300) {
-      console.log("Text short, attempting OCR...");
-      try {
-        const ocrText = await performOcrOnPdf(filePath);
-        if (ocrText && ocrText.trim().length > 100) {
-          extractedText = ocrText;
-          console.log("OCR text length:", extractedText.length);
-        } else {
-          console.warn(
-            "OCR returned too little text, keeping original extracted text"
-          );
-        }
-      } catch (ocrErr) {
-        console.error("OCR Error:", ocrErr);
-        // Continue with whatever pdf-parse gave us
+// `reports` lists stored bureau report ids and/or inline results; with only
+// an `applicantId`, that applicant's latest report from each bureau is used
+app.post("/reports/consolidate", async (req, res) => {
+  try {
+    let sides = Array.isArray(req.body?.reports) ? req.body.reports : [];
+    if (!sides.length && req.body?.applicantId) {
+      const { reports } = await listReports(String(req.body.applicantId), { kind: "bureau", ...tenantScope(req) });
+      const latest = new Map();
+      for (const r of reports) {
+        const bureau = r.summary?.bureau || r.id;
+        if (!latest.has(bureau)) latest.set(bureau, r.id);
       }
+      sides = [...latest.values()];
     }
-
-    if (!extractedText || extractedText.trim().length < 100) {
-      return res.json({
+    if (!sides.length) {
+      return res.status(400).json({
         success: false,
-        message:
-          "Unreadable PDF. Please upload the original bureau report downloaded as PDF.",
+        code: COMPARE_INPUT_INVALID,
+        message: "Provide reports[] (report ids or bureau results) or an applicantId with saved bureau reports"
       });
     }
 
-    // 1) AI extraction: score / loans / enquiries / rough totals
-    let ai;
-    try {
-      ai = await analyzeWithAI(extractedText);
-    } catch (aiErr) {
-      console.error("AI parsing error:", aiErr);
-      let msg =
-        aiErr.response?.data?.error?.message ||
-        aiErr.message ||
-        "Unknown AI error";
-
-      if (msg.includes("Rate limit")) {
-        msg =
-          "Our AI engine is temporarily busy. Please wait 20–30 seconds and try again.";
-      }
+    const inputs = [];
+    for (const [i, side] of sides.entries()) inputs.push(await bureauResultFrom(side, `reports[${i}]`, tenantScope(req)));
+    res.json({ success: true, consolidated: consolidateBureauResults(inputs) });
+  } catch (e) {
+    if (e.code === COMPARE_INPUT_INVALID) {
+      return res.status(400).json({ success: false, code: e.code, message: e.message });
+    }
+    sendStoreError(res, e);
+  }
+});
 
-      return res.json({
+app.delete("/reports/:id", async (req, res) => {
+  try {
+    res.json({ success: true, ...(await deleteReport(req.params.id, tenantScope(req))) });
+  } catch (e) {
+    sendStoreError(res, e);
+  }
+});
+
+
+
+// ================================================
+// ELIGIBILITY — FOIR / DSCR per product (policies/eligibility.json)
+// ================================================
+// Body: { result | reportId, customerType, monthlyIncome | annualIncome,
+//         products: [{ productId, amount?, tenure? }], existingMonthlyEmi?,
+//         asOf?, cardSegment? }
+app.post("/eligibility", async (req, res) => {
+  const body = req.body || {};
+  try {
+    let result = body.result?.result || body.result || null;
+    if (!result && body.reportId) {
+      ({ result } = await bureauResultFrom(String(body.reportId), "reportId", tenantScope(req)));
+    }
+    const products = Array.isArray(body.products)
+      ? body.products
+      : body.productId
+        ? [{ productId: body.productId, amount: body.amount, tenure: body.tenure }]
+        : [];
+    res.json({ success: true, ...evaluateEligibility({ ...body, result, products }) });
+  } catch (e) {
+    if ([ELIGIBILITY_INPUT_INVALID, COMPARE_INPUT_INVALID].includes(e.code)) {
+      return res.status(400).json({ success: false, code: e.code, message: e.message });
+    }
+    if (e.code === POLICY_NOT_FOUND) {
+      return res.status(422).json({ success: false, code: e.code, message: e.message });
+    }
+    if (e.code === REPORT_NOT_FOUND) return sendStoreError(res, e);
+    console.error("Eligibility error:", e);
+    res.status(500).json({ success: false, message: "Could not compute eligibility" });
+  }
+});
+
+app.get("/eligibility/policy", (req, res) => {
+  try {
+    res.json({ success: true, policy: loadPolicy() });
+  } catch (e) {
+    console.error("Eligibility policy error:", e);
+    res.status(500).json({ success: false, message: "Could not read eligibility policy" });
+  }
+});
+
+
+
+// ================================================
+// CREDIT POLICY — lender rules over a bureau result (policies/lenders/)
+// ================================================
+// Body: { result | reportId, lender? ("all" for every lender), asOf? }
+app.post("/credit-policy/evaluate", async (req, res) => {
+  const body = req.body || {};
+  try {
+    let result = body.result?.result || body.result || null;
+    if (!result && body.reportId) {
+      ({ result } = await bureauResultFrom(String(body.reportId), "reportId", tenantScope(req)));
+    }
+    if (!result || !Array.isArray(result.loans)) {
+      return res.status(400).json({
         success: false,
-        message: "AI parsing error: " + msg,
+        code: COMPARE_INPUT_INVALID,
+        message: "Provide a bureau result (with loans[]) or a reportId"
       });
     }
 
-    // 2) Override OUTSTANDING total with Total Current Bal. amt
-    const totalCurrentBal = extractTotalCurrentBalance(extractedText);
-    if (!ai.totals) ai.totals = {};
-    ai.totals.loanOutstanding =
-      totalCurrentBal || ai.totals.loanOutstanding || 0;
+    if (body.lender === "all") {
+      const lenders = evaluateAllCreditPolicies(result, { asOf: body.asOf });
+      return res.json({ success: true, lenders });
+    }
+    res.json({ success: true, ...evaluateCreditPolicy(result, { lender: body.lender, asOf: body.asOf }) });
+  } catch (e) {
+    if (e.code === CREDIT_POLICY_NOT_FOUND) {
+      return res.status(404).json({ success: false, code: e.code, message: e.message });
+    }
+    if (e.code === COMPARE_INPUT_INVALID) {
+      return res.status(400).json({ success: false, code: e.code, message: e.message });
+    }
+    if (e.code === CREDIT_POLICY_INVALID) {
+      return res.status(422).json({ success: false, code: e.code, message: e.message });
+    }
+    if (e.code === REPORT_NOT_FOUND) return sendStoreError(res, e);
+    console.error("Credit policy error:", e);
+    res.status(500).json({ success: false, message: "Could not evaluate credit policy" });
+  }
+});
 
-    res.json({
-      success: true,
-      message: "PDF parsed successfully",
-      result: ai,
-    });
+app.get("/credit-policy/lenders", (req, res) => {
+  try {
+    res.json({ success: true, lenders: listCreditPolicies() });
   } catch (e) {
-    console.error("Fatal error in /analyze:", e);
-    res.json({ success: false, message: "Error parsing PDF" });
-  } finally {
-    if (filePath) {
-      try {
-        fs.unlinkSync(filePath);
-      } catch (cleanupErr) {
-        console.error("File cleanup error:", cleanupErr);
-      }
+    if (e.code === CREDIT_POLICY_INVALID) {
+      return res.status(422).json({ success: false, code: e.code, message: e.message });
     }
+    console.error("Credit policy error:", e);
+    res.status(500).json({ success: false, message: "Could not read credit policies" });
   }
 });
+
+
+
 // ================================================
-// 📌 BANK STATEMENT ANALYZER API (FIXED)
+// CAM — credit appraisal memo PDF for a stored report
 // ================================================
-app.post("/analyze-bank", upload.single("pdf"), async (req, res) => {
+// `:id` is a bureau or bank report; the other kind comes from
+// bureauReportId / bankReportId in the body, else the applicant's latest.
+// Body: { analyst?, remarks?, recommendation?, customerType?, monthlyIncome?,
+// annualIncome?, products?, lender?, asOf? }. Eligibility is included when a
+// customerType is given; a salaried income defaults to the detected salary.
+// ?format=json returns the memo data instead of the PDF.
+async function camReportOf(kind, id, applicantId, scope) {
+  if (id) {
+    const report = await getReport(String(id), scope);
+    if (report.kind !== kind) {
+      throw Object.assign(new Error(`${kind}ReportId must be a ${kind} report`), { code: CAM_INPUT_INVALID });
+    }
+    return report;
+  }
+  const { reports } = await listReports(applicantId, { kind, ...scope });
+  return reports.length ? getReport(reports[0].id, scope) : null;
+}
+
+app.post("/reports/:id/cam", async (req, res) => {
+  const body = req.body || {};
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No PDF uploaded" });
+    const scope = tenantScope(req);
+    const report = await getReport(req.params.id, scope);
+    const applicant = await getApplicant(report.applicantId, scope);
+    const bureau = report.kind === "bureau" ? report : await camReportOf("bureau", body.bureauReportId, applicant.id, scope);
+    const bank = report.kind === "bank" ? report : await camReportOf("bank", body.bankReportId, applicant.id, scope);
+    if (bureau && bank && bureau.applicantId !== bank.applicantId) {
+      return res.status(400).json({
+        success: false,
+        code: CAM_INPUT_INVALID,
+        message: "Bureau and bank reports belong to different applicants"
+      });
     }
+    const result = bureau?.data?.result || null;
+
+    let eligibility = null;
+    if (body.customerType) {
+      const salary = bank?.data?.salaryDetection;
+      const salaried = normaliseCustomerType(body.customerType) === "salaried";
+      eligibility = evaluateEligibility({
+        result,
+        customerType: body.customerType,
+        monthlyIncome: body.monthlyIncome ?? (salaried && !body.annualIncome && salary?.isSalaried ? salary.averageSalary : null),
+        annualIncome: body.annualIncome,
+        existingMonthlyEmi: body.existingMonthlyEmi,
+        products: Array.isArray(body.products) ? body.products : [],
+        asOf: body.asOf
+      });
+    }
+    const policy = result ? evaluateCreditPolicy(result, { lender: body.lender, asOf: body.asOf }) : null;
+
+    const cam = buildCam({
+      applicant,
+      bureau,
+      bank,
+      eligibility,
+      policy,
+      analyst: body.analyst,
+      remarks: body.remarks,
+      recommendation: body.recommendation
+    });
+    if (req.query.format === "json") return res.json({ success: true, cam });
 
-    console.log("📄 Bank PDF Uploaded:", req.file.originalname);
+    const pdf = await renderCamPdf(cam);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="cam-${applicant.externalId || applicant.id}.pdf"`
+    });
+    res.send(pdf);
+  } catch (e) {
+    if ([CAM_INPUT_INVALID, ELIGIBILITY_INPUT_INVALID].includes(e.code)) {
+      return res.status(400).json({ success: false, code: e.code, message: e.message });
+    }
+    if (e.code === CREDIT_POLICY_NOT_FOUND) {
+      return res.status(404).json({ success: false, code: e.code, message: e.message });
+    }
+    if ([POLICY_NOT_FOUND, CREDIT_POLICY_INVALID].includes(e.code)) {
+      return res.status(422).json({ success: false, code: e.code, message: e.message });
+    }
+    if (e.code === APPLICANT_NOT_FOUND || e.code === REPORT_NOT_FOUND) return sendStoreError(res, e);
+    console.error("CAM error:", e);
+    res.status(500).json({ success: false, message: "Could not build the credit appraisal memo" });
+  }
+});
 
-    // --------------------------
-// 1️⃣ Extract PDF → TEXT
-// --------------------------
-const dataBuffer = fs.readFileSync(req.file.path);
-const pdfData = await pdf(dataBuffer);
-const fullText = pdfData.text || "";
 
-console.log("📘 Extracted PDF text length:", fullText.length);
 
-if (!fullText || fullText.trim().length < 50) {
-  return res.json({
-    success: false,
-    message: "Unable to read bank statement text"
+// ================================================
+// EXPORT — results as XLSX (every section) or CSV (one section)
+// ================================================
+// ?format=xlsx (default) | csv, and for CSV ?section=summary | accounts |
+// dpd | enquiries | transactions | cashflow
+async function sendExport(res, { bureau, bank, format = "xlsx", section = null, baseName }) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw Object.assign(new Error(`format must be one of ${EXPORT_FORMATS.join(", ")}`), { code: EXPORT_INPUT_INVALID });
+  }
+  const sections = buildExportSections({ bureau, bank });
+
+  if (format === "csv") {
+    if (!section) {
+      throw Object.assign(new Error(`CSV needs a section: ${sections.map(s => s.id).join(", ")}`), { code: EXPORT_INPUT_INVALID });
+    }
+    const csv = sectionToCsv(sections, section);
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${baseName}-${section}.csv"`
+    });
+    return res.send(csv);
+  }
+
+  const xlsx = await sectionsToXlsx(sections);
+  res.set({
+    "Content-Type": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "Content-Disposition": `attachment; filename="${baseName}.xlsx"`
   });
+  res.send(xlsx);
+}
+
+function sendExportError(res, e) {
+  if (e.code === EXPORT_INPUT_INVALID) {
+    return res.status(400).json({ success: false, code: e.code, message: e.message });
+  }
+  if (e.code === REPORT_NOT_FOUND) return sendStoreError(res, e);
+  console.error("Export error:", e);
+  res.status(500).json({ success: false, message: "Could not build the export" });
 }
 
+app.get("/reports/:id/export", async (req, res) => {
+  try {
+    const report = await getReport(req.params.id, tenantScope(req));
+    await sendExport(res, {
+      bureau: report.kind === "bureau" ? report.data?.result : null,
+      bank: report.kind === "bank" ? report.data : null,
+      format: req.query.format || "xlsx",
+      section: req.query.section || null,
+      baseName: `${report.kind}-${report.id}`
+    });
+  } catch (e) {
+    sendExportError(res, e);
+  }
+});
 
+// Body: { bureau?: /analyze result, bank?: /analyze-bank result, format?, section? }
+app.post("/export", async (req, res) => {
+  const body = req.body || {};
+  try {
+    await sendExport(res, {
+      bureau: body.bureau?.result || body.bureau || null,
+      bank: body.bank || null,
+      format: body.format || req.query.format || "xlsx",
+      section: body.section || req.query.section || null,
+      baseName: "export"
+    });
+  } catch (e) {
+    sendExportError(res, e);
+  }
+});
 
-    console.log("📘 Extracted PDF text length:", fullText.length);
 
-    if (!fullText || fullText.trim().length < 50) {
-      return res.json({
-        success: false,
-        message: "Unable to read bank statement text"
-      });
-    }
+// ================================================
+// REDACTION — the PII policy in force and its audit trail (admin)
+// ================================================
+app.get("/redaction/policy", requireAdmin, (req, res) => {
+  try {
+    const { policy, hash } = loadRedactionPolicy();
+    res.json({ success: true, hash, policy });
+  } catch (e) {
+    console.error("Redaction policy error:", e);
+    res.status(500).json({ success: false, message: "Could not read redaction policy" });
+  }
+});
 
-    // --------------------------
-    // 2️⃣ GPT — Analysis
-    // --------------------------
-    const prompt = `
-You are an expert bank statement analyzer.  
-Extract the following only from this bank statement text:
-
-{
-  "totalCredits": number,
-  "emiBounceCount": number,
-  "latestMonthEMIs": [
-    { "lender": string, "amount": number, "emiDate": string }
-  ],
-  "avgBalance12M": number,
-  "cashflow": [
-    { "month": "Jan-2024", "credits": number, "debits": number }
-  ],
-  "salaryDetection": {
-    "isSalaried": boolean,
-    "salaryBank": string | null
-  },
-  "odUsage": {
-    "used": boolean,
-    "maxOverdraft": number
+// Newest first; ?limit= (default 100)
+app.get("/redaction/audit", requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    res.json({ success: true, entries: await readRedactionAudit({ limit }) });
+  } catch (e) {
+    console.error("Redaction audit error:", e);
+    res.status(500).json({ success: false, message: "Could not read redaction audit" });
   }
+});
+
+
+// ================================================
+// ADMIN — tenants and their API keys (admin tenants / ADMIN_API_KEY only)
+// ================================================
+function sendAdminError(res, e) {
+  if (isTenantError(e)) return sendTenantError(res, e);
+  console.error("Admin route error:", e);
+  res.status(500).json({ success: false, message: "Admin request failed" });
 }
 
-TEXT:
-${fullText}
-`;
+// Tenants with their limits and today's quota use
+app.get("/admin/tenants", requireAdmin, async (req, res) => {
+  try {
+    const tenants = await Promise.all(
+      Object.values(loadTenants()).map(async t => ({ ...t, quotaUsage: await quotaUsage(t.id) }))
+    );
+    res.json({ success: true, tenants });
+  } catch (e) {
+    sendAdminError(res, e);
+  }
+});
 
-    const ai = await openai.chat.completions.create({
-      model: "gpt-4.1-mini",
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0
-    });
+// Body: { tenantId, label? }. The key itself is in this response only.
+app.post("/admin/keys", requireAdmin, async (req, res) => {
+  try {
+    const { tenantId, label } = req.body || {};
+    if (!tenantId) return res.status(400).json({ success: false, message: "tenantId is required" });
+    res.status(201).json({ success: true, apiKey: await issueApiKey({ tenantId, label }) });
+  } catch (e) {
+    sendAdminError(res, e);
+  }
+});
 
-    let json;
-    try {
-      json = JSON.parse(ai.choices[0].message.content);
-    } catch (e) {
-      return res.status(500).json({ error: "LLM returned non-JSON output" });
-    }
+// ?tenantId= to filter; never includes the keys themselves
+app.get("/admin/keys", requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, apiKeys: await listApiKeys({ tenantId: req.query.tenantId || null }) });
+  } catch (e) {
+    sendAdminError(res, e);
+  }
+});
 
-    console.log("✅ Parsed Bank Summary:", json);
+// Revokes; the record stays for the audit trail
+app.delete("/admin/keys/:id", requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, apiKey: await revokeApiKey(req.params.id) });
+  } catch (e) {
+    sendAdminError(res, e);
+  }
+});
 
-    // --------------------------
-    // 3️⃣ Return Final JSON
-    // --------------------------
-    res.json({
-      success: true,
-      data: json
-    });
 
-  } catch (err) {
-    console.error("❌ Error analyzing bank:", err);
-    res.status(500).json({ error: "Server error analyzing bank statement" });
+// ================================================
+// RESULT CACHE — stats and invalidation (admin)
+// ================================================
+// Uploads bypass the cache with "Cache-Control: no-cache" or ?cache=bypass;
+// these routes drop entries for good.
+app.get("/cache", requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await resultCacheStats()) });
+  } catch (e) {
+    console.error("Result cache stats error:", e);
+    res.status(500).json({ success: false, message: "Could not read result cache" });
+  }
+});
+
+// ?kind=bureau|bank, or everything
+app.delete("/cache", requireAdmin, async (req, res) => {
+  try {
+    const kind = req.query.kind || null;
+    if (kind && !REPORT_KINDS.includes(kind)) {
+      return res.status(400).json({ success: false, message: `kind must be one of ${REPORT_KINDS.join(", ")}` });
+    }
+    res.json({ success: true, removed: await clearResultCache({ kind }) });
+  } catch (e) {
+    console.error("Result cache clear error:", e);
+    res.status(500).json({ success: false, message: "Could not clear result cache" });
+  }
+});
+
+// :key is the cacheKey returned with an analysis
+app.delete("/cache/:key", requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, removed: await invalidateCacheEntry(req.params.key) });
+  } catch (e) {
+    if (e.code === CACHE_ENTRY_NOT_FOUND) return res.status(404).json({ success: false, code: e.code, message: e.message });
+    console.error("Result cache invalidate error:", e);
+    res.status(500).json({ success: false, message: "Could not invalidate cache entry" });
+  }
+});
+// ================================================
+// USAGE — LLM tokens and estimated cost by day and route
+// ================================================
+// ?from=&to= (YYYY-MM-DD, default the last 7 days), ?requestId= for the
+// calls of one request (its X-Request-Id). A tenant sees its own usage;
+// admins see everyone's, or one tenant's with ?tenantId=.
+app.get("/usage", async (req, res) => {
+  try {
+    const admin = AUTH_DISABLED || !!req.tenant?.admin;
+    const tenantId = admin ? req.query.tenantId || null : req.tenant.id;
+    const report = await usageReport({
+      from: req.query.from || null,
+      to: req.query.to || null,
+      tenantId,
+      requestId: req.query.requestId || null
+    });
+    res.json({ success: true, tenantId, ...report, budget: await budgetStatus(tenantId) });
+  } catch (e) {
+    if (e.code === USAGE_INPUT_INVALID) return res.status(400).json({ success: false, code: e.code, message: e.message });
+    console.error("Usage report error:", e);
+    res.status(500).json({ success: false, message: "Could not build usage report" });
   }
 });
 
@@ -679,8 +929,7 @@ app.post("/govt-schemes-chat", async (req, res) => {
     // -----------------------------
     // 1️⃣ RAW DOCUMENT EXTRACTION
     // -----------------------------
-    const rawResponse = await openai.responses.create({
-      model: "gpt-4.1-mini",
+    const rawResponse = await generate("govtExtract", {
       input: [
         {
           role: "system",
@@ -704,11 +953,11 @@ STRICT RULES:
         }
       ],
       temperature: 0,
-      max_output_tokens: 1200
+      maxOutputTokens: 1200
     });
 
     const rawAnswer =
-      rawResponse.output_text ||
+      rawResponse.text ||
       "I don't see this clearly mentioned in the scheme documents.";
 
     // -----------------------------
@@ -738,18 +987,17 @@ IMPORTANT:
 - If source says information missing, keep that statement
 `;
 
-    const refined = await openai.responses.create({
-      model: "gpt-4.1-mini",
+    const refined = await generate("govtRewrite", {
       input: [
         { role: "system", content: rewritePrompt },
         { role: "user", content: rawAnswer }
       ],
       temperature: 0.2,
-      max_output_tokens: 600
+      maxOutputTokens: 600
     });
 
     const finalAnswer =
-      refined.output_text || rawAnswer;
+      refined.text || rawAnswer;
 
     // -----------------------------
     // 3️⃣ FOLLOW-UP QUESTIONS
@@ -762,24 +1010,36 @@ Rules:
 - Practical questions only
 `;
 
-    const followUpsRes = await openai.responses.create({
-      model: "gpt-4.1-mini",
-      input: [
-        { role: "system", content: followUpPrompt },
-        { role: "user", content: finalAnswer }
-      ],
-      temperature: 0.3,
-      max_output_tokens: 120
-    });
+    // Optional: skipped once the tenant is past its soft AI budget
+    let followUps = "";
+    const degraded = [];
+    try {
+      const followUpsRes = await generate("govtFollowUps", {
+        input: [
+          { role: "system", content: followUpPrompt },
+          { role: "user", content: finalAnswer }
+        ],
+        temperature: 0.3,
+        maxOutputTokens: 120
+      });
+      followUps = followUpsRes.text || "";
+    } catch (e) {
+      if (e.code !== LLM_BUDGET_EXCEEDED) throw e;
+      degraded.push("followUps");
+    }
 
     res.json({
       success: true,
       language: lang,
       answer: finalAnswer,
-      followUps: followUpsRes.output_text || ""
+      followUps,
+      ...(degraded.length ? { degraded } : {})
     });
 
   } catch (err) {
+    if (err.code === LLM_BUDGET_EXCEEDED) {
+      return res.status(429).json({ success: false, code: err.code, message: err.message });
+    }
     console.error("Govt scheme chat error:", err);
     res.json({
       success: false,
@@ -791,8 +1051,7 @@ app.get("/govt-vector-test", async (req, res) => {
   try {
     const q = req.query.q || "CGTMSE eligibility criteria";
 
-    const search = await openai.responses.create({
-      model: "gpt-4.1-mini",
+    const search = await generate("govtSearch", {
       input: q,
       tools: [
         {
@@ -800,11 +1059,11 @@ app.get("/govt-vector-test", async (req, res) => {
           vector_store_ids: [process.env.GOVT_VECTOR_ID]
         }
       ],
-      max_output_tokens: 300
+      maxOutputTokens: 300
     });
 
     const text =
-      search.output_text ||
+      search.text ||
       JSON.stringify(search.output, null, 2);
 
     res.json({
@@ -826,4 +1085,7 @@ app.get("/", (req, res) =>
 
 // ---------- Start Server ----------
 const PORT = process.env.PORT || 5000;
+startJobQueue().catch(e => console.error("Job queue recovery failed:", e));
+startUploadSweeper([sweepJobUploads, sweepFinishedJobs]);
+startResultCacheSweeper();
 app.listen(PORT, () => console.log("Server running on", PORT));
@@ -0,0 +1,231 @@
+// statementChecks.js
+//
+// Tampering / integrity checks for uploaded bank statements. Runs over the
+// transactions from bankParser.js plus the PDF itself (metadata, page
+// footers, incremental saves) and rolls the findings into a risk level.
+
+// Producers/creators that mean the file went through an editor rather than
+// the bank's statement generator
+const EDITING_TOOLS = [
+  /ilovepdf/i,
+  /smallpdf/i,
+  /sejda/i,
+  /pdfescape/i,
+  /pdf-?xchange/i,
+  /foxit\s*(phantom|editor)/i,
+  /nitro/i,
+  /soda\s*pdf/i,
+  /pdfelement|wondershare/i,
+  /pdf24/i,
+  /pdfsam/i,
+  /pdffiller/i,
+  /canva/i,
+  /photoshop|illustrator|inkscape|gimp/i,
+  /microsoft.*word|libreoffice|openoffice|google\s+docs|wps\s+office/i,
+  /acrobat\s+(pro|standard|dc)|adobe\s+acrobat(?!\s+distiller)/i
+];
+
+const SEVERITY_WEIGHT = { high: 3, medium: 2, low: 1 };
+
+// Total weight at which the overall risk moves up a level
+const RISK_THRESHOLDS = { high: 4, medium: 2 };
+
+// An active account with no transaction for this many days is suspicious
+const MAX_SILENT_DAYS = 45;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// "D:20240405123000+05'30'" → Date
+export function parsePdfDate(value) {
+  if (!value) return null;
+  const m = String(value).match(/D?:?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/);
+  if (!m) return null;
+  const [, y, mo = "01", d = "01", h = "00", mi = "00", s = "00", tz, tzh = "00", tzm = "00"] = m;
+  let iso = `${y}-${mo}-${d}T${h}:${mi}:${s}`;
+  iso += tz && tz !== "Z" && tz !== "z" ? `${tz}${tzh}:${tzm}` : "Z";
+  const dt = new Date(iso);
+  return isNaN(dt.getTime()) ? null : dt;
+}
+
+// ---------- Individual checks ----------
+
+// opening + credits − debits must equal every printed running balance
+function checkBalanceContinuity({ transactions, openingBalance }) {
+  const breaks = [];
+  let prev = openingBalance;
+  let checked = 0;
+
+  for (let i = 0; i < transactions.length; i++) {
+    const t = transactions[i];
+    if (t.balance == null) continue;
+    if (prev != null) {
+      const expected = round2(prev + (t.credit || 0) - (t.debit || 0));
+      checked++;
+      if (Math.abs(expected - t.balance) > 0.5) {
+        breaks.push({
+          index: i,
+          date: t.date,
+          narration: t.narration,
+          expectedBalance: expected,
+          printedBalance: t.balance,
+          difference: round2(t.balance - expected)
+        });
+      }
+    }
+    prev = t.balance;
+  }
+
+  return { checked, breaks };
+}
+
+// Dates going backwards and long silent stretches (pages cut out)
+function checkDates(transactions) {
+  const outOfOrder = [];
+  const gaps = [];
+  if (transactions.length < 2) return { outOfOrder, gaps };
+
+  // Some banks print newest first; judge order against the majority direction
+  const first = transactions[0].date;
+  const last = transactions[transactions.length - 1].date;
+  const descending = first > last;
+
+  for (let i = 1; i < transactions.length; i++) {
+    const a = transactions[i - 1].date;
+    const b = transactions[i].date;
+    if (descending ? b > a : b < a) {
+      outOfOrder.push({ index: i, previousDate: a, date: b });
+    }
+    const days = Math.abs(new Date(b) - new Date(a)) / (24 * 60 * 60 * 1000);
+    if (days > MAX_SILENT_DAYS) gaps.push({ index: i, from: descending ? b : a, to: descending ? a : b, days });
+  }
+
+  return { outOfOrder, gaps };
+}
+
+// "Page 3 of 10" footers: missing numbers, or a total that disagrees with
+// the PDF's actual page count
+function checkPages(text, numPages) {
+  const seen = new Set();
+  const totals = new Set();
+  const re = /page\s*(?:no\.?\s*)?:?\s*(\d{1,4})\s*(?:of|\/)\s*(\d{1,4})/gi;
+  let m;
+  while ((m = re.exec(text || "")) !== null) {
+    seen.add(Number(m[1]));
+    totals.add(Number(m[2]));
+  }
+
+  const declared = totals.size ? Math.max(...totals) : null;
+  const missing = [];
+  if (declared && seen.size) {
+    for (let p = 1; p <= declared; p++) if (!seen.has(p)) missing.push(p);
+  }
+
+  return {
+    declaredPages: declared,
+    actualPages: numPages || null,
+    missingPages: missing,
+    countMismatch: !!(declared && numPages && declared !== numPages)
+  };
+}
+
+function checkMetadata(info = {}) {
+  const producer = info.Producer || null;
+  const creator = info.Creator || null;
+  const created = parsePdfDate(info.CreationDate);
+  const modified = parsePdfDate(info.ModDate);
+
+  const editors = [producer, creator]
+    .filter(Boolean)
+    .filter(v => EDITING_TOOLS.some(re => re.test(v)));
+
+  // A statement generator stamps both dates at once; a later ModDate means
+  // somebody saved the file again
+  const modifiedAfterCreation = !!(created && modified && modified - created > 60 * 1000);
+
+  return {
+    producer,
+    creator,
+    creationDate: created ? created.toISOString() : null,
+    modDate: modified ? modified.toISOString() : null,
+    editingTools: editors,
+    modifiedAfterCreation
+  };
+}
+
+// Every incremental save appends another %%EOF trailer. A linearized
+// ("fast web view") file is written with two from the start: the first-page
+// trailer and the main one. Its /Linearized dictionary is the first object,
+// within the first kilobyte.
+function countRevisions(buffer) {
+  if (!buffer) return null;
+  const s = buffer.toString("latin1");
+  const trailers = (s.match(/%%EOF/g) || []).length;
+  const linearized = /\/Linearized\b/.test(s.slice(0, 1024));
+  return linearized ? Math.max(trailers - 1, 1) : trailers;
+}
+
+// =====================================================
+// PUBLIC — run all checks, return tamperSignals
+// =====================================================
+export function verifyStatement({ statement, text = "", pdfInfo = {}, numPages = null, pdfBuffer = null }) {
+  const transactions = statement?.transactions || [];
+  const signals = [];
+  const add = (code, severity, message, evidence) => signals.push({ code, severity, message, evidence });
+
+  const balance = checkBalanceContinuity({ transactions, openingBalance: statement?.openingBalance ?? null });
+  if (balance.breaks.length) {
+    add(
+      "BALANCE_DISCONTINUITY",
+      balance.breaks.length > 2 ? "high" : "medium",
+      `${balance.breaks.length} running balance(s) don't follow from the previous balance and the transaction amount`,
+      balance.breaks.slice(0, 20)
+    );
+  }
+
+  const dates = checkDates(transactions);
+  if (dates.outOfOrder.length) {
+    add("DATES_OUT_OF_ORDER", "medium", `${dates.outOfOrder.length} transaction(s) out of date order`, dates.outOfOrder.slice(0, 20));
+  }
+  if (dates.gaps.length) {
+    add("DATE_GAP", "low", `${dates.gaps.length} gap(s) of more than ${MAX_SILENT_DAYS} days without transactions`, dates.gaps);
+  }
+
+  const pages = checkPages(text, numPages);
+  if (pages.missingPages.length) {
+    add("MISSING_PAGES", "high", `Page footer numbering skips page(s) ${pages.missingPages.join(", ")}`, pages);
+  } else if (pages.countMismatch) {
+    add("PAGE_COUNT_MISMATCH", "medium", `Footers say ${pages.declaredPages} pages but the PDF has ${pages.actualPages}`, pages);
+  }
+
+  const metadata = checkMetadata(pdfInfo);
+  if (metadata.editingTools.length) {
+    add("EDITING_TOOL", "high", `PDF was produced or saved by an editing tool: ${metadata.editingTools.join(", ")}`, metadata);
+  }
+  if (metadata.modifiedAfterCreation) {
+    add("MODIFIED_AFTER_CREATION", "medium", "PDF modification date is later than its creation date", {
+      creationDate: metadata.creationDate,
+      modDate: metadata.modDate
+    });
+  }
+
+  const revisions = countRevisions(pdfBuffer);
+  if (revisions && revisions > 1) {
+    add("INCREMENTAL_UPDATES", "medium", `PDF has ${revisions - 1} incremental save(s) after it was first written`, { revisions });
+  }
+
+  const score = signals.reduce((s, sig) => s + SEVERITY_WEIGHT[sig.severity], 0);
+  const riskLevel = score >= RISK_THRESHOLDS.high ? "high" : score >= RISK_THRESHOLDS.medium ? "medium" : "low";
+
+  return {
+    riskLevel,
+    score,
+    signals,
+    checks: {
+      balanceContinuity: { checked: balance.checked, breaks: balance.breaks.length },
+      dates: { outOfOrder: dates.outOfOrder.length, gaps: dates.gaps.length },
+      pages,
+      metadata,
+      revisions
+    }
+  };
+}
@@ -0,0 +1,269 @@
+// statementChunks.js
+//
+// Map-reduce plumbing for long bank statements. A year of a busy current
+// account runs past 100 pages, far more than one prompt can hold, so the
+// text is kept per page, stripped of the header/footer lines every page
+// repeats, cut into page-aligned chunks, processed a few at a time and the
+// partial results merged back into one statement-level summary.
+
+import { openPdf } from "./pdfPassword.js";
+import { assertPageCount, MAX_PDF_PAGES } from "./uploads.js";
+import { MONTHS, pad, monthLabel } from "./common.js";
+
+// Characters of statement text per chunk; roughly 6-8k tokens
+export const DEFAULT_CHUNK_CHARS = Number(process.env.BANK_CHUNK_MAX_CHARS) || 24000;
+
+// How many chunks are in flight at once
+export const DEFAULT_CONCURRENCY = Number(process.env.BANK_CHUNK_CONCURRENCY) || 3;
+
+// A line printed on at least this share of pages is page furniture
+const REPEAT_SHARE = 0.5;
+
+const round2 = n => Math.round(n * 100) / 100;
+
+// Same rendering as pdf-parse's default, but keeps each page's text
+function renderPage(pages) {
+  return pageData =>
+    pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false }).then(content => {
+      let lastY;
+      let text = "";
+      for (const item of content.items) {
+        if (lastY == item.transform[5] || !lastY) text += item.str;
+        else text += "\n" + item.str;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex ?? pages.length] = text;
+      return text;
+    });
+}
+
+// =====================================================
+// PUBLIC — PDF buffer → whole text plus per-page text
+// =====================================================
+// `passwords` is { password, candidates } for encrypted statements.
+// Rejects with UPLOAD_TOO_MANY_PAGES past MAX_PDF_PAGES; only that many
+// pages are read before the check.
+export async function readPdfPages(buffer, passwords = {}) {
+  const pages = [];
+  const data = await openPdf(buffer, { ...passwords, options: { pagerender: renderPage(pages), max: MAX_PDF_PAGES } });
+  assertPageCount(data.numpages);
+  return { ...data, pages: Array.from({ length: data.numpages }, (_, i) => pages[i] || "") };
+}
+
+// Page numbers change from page to page, so compare footers without digits
+function lineKey(line) {
+  const s = line.replace(/\s+/g, " ").trim().toLowerCase();
+  return /^page\b/.test(s) ? s.replace(/\d+/g, "#") : s;
+}
+
+// Column headers, bank address blocks and "Page x of y" footers repeat on
+// every page. Keep them on the first page they appear on and drop the rest,
+// so they neither eat the prompt budget nor parse as transaction rows.
+export function stripRepeatedLines(pages) {
+  if (pages.length < 3) return { pages: [...pages], removed: [] };
+
+  const pageCount = new Map();
+  for (const page of pages) {
+    for (const key of new Set(page.split("\n").map(lineKey).filter(Boolean))) {
+      pageCount.set(key, (pageCount.get(key) || 0) + 1);
+    }
+  }
+
+  const repeated = new Set(
+    [...pageCount].filter(([, n]) => n >= Math.max(2, pages.length * REPEAT_SHARE)).map(([key]) => key)
+  );
+  const seen = new Set();
+  const cleaned = pages.map(page =>
+    page
+      .split("\n")
+      .filter(line => {
+        const key = lineKey(line);
+        if (!repeated.has(key)) return true;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .join("\n")
+  );
+
+  return { pages: cleaned, removed: [...repeated] };
+}
+
+// =====================================================
+// PUBLIC — pages → page-aligned chunks under a size budget
+// =====================================================
+// A page larger than the budget on its own is split on line boundaries.
+export function chunkPages(pages, { maxChars = DEFAULT_CHUNK_CHARS } = {}) {
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current && current.text.trim()) chunks.push(current);
+    current = null;
+  };
+
+  pages.forEach((page, i) => {
+    const pageNo = i + 1;
+    const parts = [];
+    if (page.length > maxChars) {
+      let part = "";
+      for (const line of page.split("\n")) {
+        if (part && part.length + line.length + 1 > maxChars) {
+          parts.push(part);
+          part = "";
+        }
+        part += (part ? "\n" : "") + line;
+      }
+      if (part) parts.push(part);
+    } else {
+      parts.push(page);
+    }
+
+    for (const part of parts) {
+      if (current && current.text.length + part.length + 2 > maxChars) flush();
+      if (!current) current = { index: chunks.length, fromPage: pageNo, toPage: pageNo, text: "" };
+      current.text += (current.text ? "\n\n" : "") + part;
+      current.toPage = pageNo;
+    }
+  });
+  flush();
+
+  return chunks;
+}
+
+// =====================================================
+// PUBLIC — run `fn` over items, at most `limit` at a time
+// =====================================================
+// Results keep the input order. A failing item rejects the whole run.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// ---------- Merging partial results ----------
+
+// "Apr-2024" / "April 2024" / "2024-04" → "2024-04"
+function monthKey(label) {
+  const s = String(label || "").trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}`;
+  m = s.match(/^([A-Za-z]{3})[A-Za-z]*[-\s']*(\d{4}|\d{2})$/);
+  if (m && MONTHS.includes(m[1].toLowerCase())) {
+    const year = m[2].length === 2 ? `20${m[2]}` : m[2];
+    return `${year}-${pad(MONTHS.indexOf(m[1].toLowerCase()) + 1)}`;
+  }
+  return null;
+}
+
+// "2024-04-05" / "05-04-2024" / "05/04/24" → "2024-04-05", which sorts
+// as a string (the day is "00" when the date has none)
+function dateDayKey(value) {
+  const s = String(value || "");
+  const iso = s.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?/);
+  if (iso) return `${iso[1]}-${iso[2]}-${iso[3] || "00"}`;
+  const m = s.match(/\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/);
+  if (!m) return null;
+  const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+  return `${year}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+}
+
+// Same dates → "2024-04"
+const dateMonthKey = value => dateDayKey(value)?.slice(0, 7) ?? null;
+
+const num = v => (Number.isFinite(Number(v)) ? Number(v) : 0);
+
+// =====================================================
+// PUBLIC — chunk results → one statement-level summary
+// =====================================================
+// Each partial covers a contiguous run of pages, in page order:
+//   { months: [{ month, credits, debits, closingBalance }], emiBounceCount,
+//     emis: [{ lender, amount, date }], salaryCredits: [{ date, amount,
+//     employer, bank }], maxOverdraft }
+// A month that straddles two chunks is summed; its closing balance comes
+// from whichever chunk holds the month's last transactions (the later one,
+// or the earlier one for statements printed newest first).
+export function mergeChunkResults(partials) {
+  const months = new Map();
+  const emis = [];
+  const salaryCredits = [];
+  let emiBounceCount = 0;
+  let maxOverdraft = 0;
+
+  const firstMonths = partials
+    .map(p => (p?.months || []).map(m => monthKey(m.month)).filter(Boolean).sort()[0])
+    .filter(Boolean);
+  const newestFirst = firstMonths.length > 1 && firstMonths[0] > firstMonths[firstMonths.length - 1];
+
+  for (const p of partials) {
+    if (!p) continue;
+    for (const m of p.months || []) {
+      const key = monthKey(m.month);
+      if (!key) continue;
+      const agg = months.get(key) || { credits: 0, debits: 0, closingBalance: null };
+      agg.credits = round2(agg.credits + num(m.credits));
+      agg.debits = round2(agg.debits + num(m.debits));
+      const hasBalance = m.closingBalance != null && Number.isFinite(Number(m.closingBalance));
+      if (hasBalance && !(newestFirst && agg.closingBalance != null)) {
+        agg.closingBalance = Number(m.closingBalance);
+      }
+      months.set(key, agg);
+    }
+    emiBounceCount += num(p.emiBounceCount);
+    maxOverdraft = Math.max(maxOverdraft, Math.abs(num(p.maxOverdraft)));
+    emis.push(...(p.emis || []));
+    salaryCredits.push(...(p.salaryCredits || []));
+  }
+
+  const keys = [...months.keys()].sort();
+  const cashflow = keys.map(k => ({ month: monthLabel(k), credits: months.get(k).credits, debits: months.get(k).debits }));
+  const balances = keys.slice(-12).map(k => months.get(k).closingBalance).filter(b => b != null);
+
+  // EMIs of the newest month any chunk saw, once per lender and amount
+  const emiMonth = emis.map(e => dateMonthKey(e.date)).filter(Boolean).sort().pop();
+  const latestMonthEMIs = [];
+  const seenEmi = new Set();
+  for (const e of emis) {
+    if (emiMonth && dateMonthKey(e.date) !== emiMonth) continue;
+    const id = `${String(e.lender || "").toLowerCase()}|${num(e.amount)}`;
+    if (seenEmi.has(id)) continue;
+    seenEmi.add(id);
+    latestMonthEMIs.push({ lender: e.lender || null, amount: num(e.amount), emiDate: e.date || null });
+  }
+
+  // Dates arrive as the statement printed them (DD-MM-YYYY), so compare them as ISO
+  const latestSalary = [...salaryCredits]
+    .sort((a, b) => (dateDayKey(a.date) || "").localeCompare(dateDayKey(b.date) || ""))
+    .pop();
+  const bankCounts = new Map();
+  for (const s of salaryCredits) if (s.bank) bankCounts.set(s.bank, (bankCounts.get(s.bank) || 0) + 1);
+  const salaryBank = [...bankCounts].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+  const salaryAmounts = salaryCredits.map(s => num(s.amount)).filter(a => a > 0);
+
+  return {
+    totalCredits: round2(cashflow.reduce((s, m) => s + m.credits, 0)),
+    totalDebits: round2(cashflow.reduce((s, m) => s + m.debits, 0)),
+    avgBalance12M: balances.length ? round2(balances.reduce((s, b) => s + b, 0) / balances.length) : 0,
+    cashflow,
+    emiBounceCount,
+    latestMonthEMIs,
+    salaryDetection: {
+      isSalaried: salaryCredits.length > 0,
+      salaryBank,
+      employer: latestSalary?.employer || null,
+      salaryAmount: latestSalary ? num(latestSalary.amount) : 0,
+      averageSalary: salaryAmounts.length ? round2(salaryAmounts.reduce((s, a) => s + a, 0) / salaryAmounts.length) : 0
+    },
+    odUsage: { used: maxOverdraft > 0, maxOverdraft: round2(maxOverdraft) }
+  };
+}
@@ -0,0 +1,308 @@
+// tenants.js
+//
+// Who is calling, and how much they may call. Every request (bar the
+// health check) carries an API key (X-API-Key, or Authorization: Bearer);
+// the key belongs to a tenant — our web app, a partner DSA, internal tools —
+// and the tenant's entry in policies/tenants.json (TENANTS_FILE) sets:
+//
+//   corsOrigins   browser origins allowed to use its keys
+//   rateLimit     { perMinute } across all routes
+//   dailyQuotas   { "POST /analyze": 300, "*": 5000 } per UTC day; "*" is
+//                 the tenant's total, a route missing from the map only
+//                 counts towards "*", and 0 shuts a route off
+//   budget        { dailyUsd, softDailyUsd } for LLM spend (usageMeter.js)
+//
+// Keys are issued and revoked through the admin routes, by a tenant with
+// "admin": true or with the bootstrap ADMIN_API_KEY. Only a SHA-256 of
+// each key is stored (NeDB, under STORE_DIR); quota counters live there
+// too so a restart doesn't reset them. AUTH_DISABLED=true turns all of
+// this off for local development.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import Datastore from "@seald-io/nedb";
+import { utcDay } from "./common.js";
+
+const TENANTS_FILE =
+  process.env.TENANTS_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "policies", "tenants.json");
+const STORE_DIR = process.env.STORE_DIR || path.join(process.cwd(), "data", "store");
+
+export const AUTH_DISABLED = /^(1|true|yes)$/i.test(process.env.AUTH_DISABLED || "");
+
+export const AUTH_REQUIRED = "AUTH_REQUIRED";
+export const API_KEY_INVALID = "API_KEY_INVALID";
+export const API_KEY_REVOKED = "API_KEY_REVOKED";
+export const API_KEY_NOT_FOUND = "API_KEY_NOT_FOUND";
+export const ORIGIN_NOT_ALLOWED = "ORIGIN_NOT_ALLOWED";
+export const RATE_LIMITED = "RATE_LIMITED";
+export const QUOTA_EXCEEDED = "QUOTA_EXCEEDED";
+export const ADMIN_REQUIRED = "ADMIN_REQUIRED";
+export const TENANT_NOT_FOUND = "TENANT_NOT_FOUND";
+
+const STATUS = {
+  [AUTH_REQUIRED]: 401,
+  [API_KEY_INVALID]: 401,
+  [API_KEY_REVOKED]: 401,
+  [API_KEY_NOT_FOUND]: 404,
+  [ORIGIN_NOT_ALLOWED]: 403,
+  [ADMIN_REQUIRED]: 403,
+  [TENANT_NOT_FOUND]: 404,
+  [RATE_LIMITED]: 429,
+  [QUOTA_EXCEEDED]: 429
+};
+
+const KEY_PREFIX = "kf_";
+const BOOTSTRAP_TENANT = { id: "bootstrap-admin", name: "Bootstrap admin (ADMIN_API_KEY)", admin: true, corsOrigins: [] };
+
+function tenantError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+export function sendTenantError(res, e) {
+  if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+  res.status(STATUS[e.code] || 400).json({ success: false, code: e.code, message: e.message });
+}
+
+export const isTenantError = e => !!STATUS[e?.code];
+
+// ---------- Tenant config ----------
+
+let cached = null;
+
+// A broken edit keeps the last good config in force, as with the policies
+export function loadTenants() {
+  const { mtimeMs } = fs.statSync(TENANTS_FILE);
+  if (!cached || cached.mtimeMs !== mtimeMs) {
+    try {
+      const { tenants = {} } = JSON.parse(fs.readFileSync(TENANTS_FILE, "utf8"));
+      cached = { mtimeMs, tenants: Object.fromEntries(Object.entries(tenants).map(([id, t]) => [id, { id, ...t }])) };
+    } catch (e) {
+      if (!cached) throw e;
+      console.error("Tenant config reload failed, keeping the previous one:", e.message);
+    }
+  }
+  return cached.tenants;
+}
+
+export function getTenant(id) {
+  const tenant = loadTenants()[id];
+  if (!tenant) throw tenantError(TENANT_NOT_FOUND, `Unknown tenant "${id}"`);
+  return tenant;
+}
+
+// ---------- Storage ----------
+
+let dbs = null;
+
+async function open() {
+  if (!dbs) {
+    dbs = (async () => {
+      const keys = new Datastore({ filename: path.join(STORE_DIR, "apiKeys.db"), timestampData: true });
+      const quotas = new Datastore({ filename: path.join(STORE_DIR, "quotas.db") });
+      await Promise.all([keys.loadDatabaseAsync(), quotas.loadDatabaseAsync()]);
+      await keys.ensureIndexAsync({ fieldName: "keyHash", unique: true });
+      // Only today's counters are ever read
+      await quotas.removeAsync({ day: { $lt: utcDay() } }, { multi: true });
+      return { keys, quotas };
+    })();
+  }
+  return dbs;
+}
+
+const hashKey = key => crypto.createHash("sha256").update(key).digest("hex");
+
+function toKey(doc) {
+  if (!doc) return null;
+  const { _id, keyHash, ...rest } = doc;
+  return { id: _id, ...rest };
+}
+
+// ---------- Keys ----------
+
+// =====================================================
+// PUBLIC — issue / list / revoke keys
+// =====================================================
+// The plain key is in the returned object only; it can't be shown again.
+export async function issueApiKey({ tenantId, label = null }) {
+  getTenant(tenantId);
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const { keys } = await open();
+  const doc = await keys.insertAsync({
+    tenantId,
+    label: label || null,
+    keyHash: hashKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    revokedAt: null,
+    lastUsedAt: null
+  });
+  return { ...toKey(doc), key };
+}
+
+export async function listApiKeys({ tenantId = null } = {}) {
+  const { keys } = await open();
+  const docs = await keys.findAsync(tenantId ? { tenantId } : {}).sort({ createdAt: -1 });
+  return docs.map(toKey);
+}
+
+export async function revokeApiKey(id) {
+  const { keys } = await open();
+  const doc = await keys.findOneAsync({ _id: id });
+  if (!doc) throw tenantError(API_KEY_NOT_FOUND, "API key not found");
+  if (doc.revokedAt) return toKey(doc);
+  const revokedAt = new Date().toISOString();
+  await keys.updateAsync({ _id: id }, { $set: { revokedAt } });
+  return toKey({ ...doc, revokedAt });
+}
+
+function presentedKey(req) {
+  const header = req.get("x-api-key");
+  if (header) return header.trim();
+  const m = (req.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// ---------- Limits ----------
+
+const windows = new Map();
+
+// Fixed one-minute window per tenant, in memory
+function takeRateToken(tenant, res) {
+  const limit = tenant.rateLimit?.perMinute;
+  if (!limit) return;
+  const now = Date.now();
+  const windowStart = now - (now % 60000);
+  let w = windows.get(tenant.id);
+  if (!w || w.start !== windowStart) {
+    w = { start: windowStart, count: 0 };
+    windows.set(tenant.id, w);
+  }
+  w.count++;
+  res.set("X-RateLimit-Limit", String(limit));
+  res.set("X-RateLimit-Remaining", String(Math.max(limit - w.count, 0)));
+  if (w.count > limit) {
+    const retryAfter = Math.ceil((windowStart + 60000 - now) / 1000);
+    throw tenantError(RATE_LIMITED, `Rate limit of ${limit} requests per minute reached`, { retryAfter });
+  }
+}
+
+const routeKey = req => `${req.method} ${req.path.replace(/\/+$/, "") || "/"}`;
+
+function secondsToMidnightUtc() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+// The route's own counter and the tenant total both have to have room;
+// a refused request is not counted
+async function takeQuota(tenant, req, res) {
+  const quotas = tenant.dailyQuotas || {};
+  const route = routeKey(req);
+  const day = utcDay();
+  const buckets = [route in quotas ? route : null, "*" in quotas ? "*" : null].filter(Boolean);
+  if (!buckets.length) return;
+
+  const { quotas: db } = await open();
+  const ids = buckets.map(b => ({ _id: `${tenant.id}|${day}|${b}`, tenantId: tenant.id, day, route: b }));
+  const counts = await Promise.all(ids.map(async ({ _id }) => (await db.findOneAsync({ _id }))?.count || 0));
+
+  for (let i = 0; i < buckets.length; i++) {
+    const limit = quotas[buckets[i]];
+    if (counts[i] >= limit) {
+      const what = buckets[i] === "*" ? "all routes" : buckets[i];
+      throw tenantError(QUOTA_EXCEEDED, limit === 0 ? `${what} is not enabled for this tenant` : `Daily quota of ${limit} for ${what} reached`, {
+        retryAfter: limit === 0 ? null : secondsToMidnightUtc()
+      });
+    }
+  }
+
+  await Promise.all(ids.map(id => db.updateAsync(id, { $inc: { count: 1 } }, { upsert: true })));
+  // Headers describe the route's own bucket when it has one, else the total
+  res.set("X-Quota-Limit", String(quotas[buckets[0]]));
+  res.set("X-Quota-Remaining", String(Math.max(quotas[buckets[0]] - counts[0] - 1, 0)));
+}
+
+// Today's counters for a tenant, for the admin view
+export async function quotaUsage(tenantId) {
+  const tenant = getTenant(tenantId);
+  const { quotas: db } = await open();
+  const docs = await db.findAsync({ tenantId, day: utcDay() });
+  const used = Object.fromEntries(docs.map(d => [d.route, d.count]));
+  return Object.entries(tenant.dailyQuotas || {}).map(([route, limit]) => ({ route, limit, used: used[route] || 0 }));
+}
+
+// =====================================================
+// PUBLIC — middleware
+// =====================================================
+// CORS options for the cors package: a preflight carries no key, so it is
+// answered for any origin some tenant allows; authenticate() then checks
+// the origin against the key's own tenant.
+export function corsOptions() {
+  return {
+    origin: (origin, callback) => {
+      if (AUTH_DISABLED || !origin) return callback(null, true);
+      const allowed = Object.values(loadTenants()).some(t => (t.corsOrigins || []).includes(origin));
+      callback(null, allowed);
+    }
+  };
+}
+
+// Resolves the key to req.tenant, then applies the tenant's origin list,
+// rate limit and daily quota. `publicPaths` are "METHOD /path" entries that
+// need no key.
+export function authenticate({ publicPaths = [] } = {}) {
+  const unauthenticated = new Set(publicPaths);
+  return async (req, res, next) => {
+    if (AUTH_DISABLED || req.method === "OPTIONS" || unauthenticated.has(routeKey(req))) return next();
+    try {
+      const key = presentedKey(req);
+      if (!key) throw tenantError(AUTH_REQUIRED, "An API key is required (X-API-Key header)");
+
+      let tenant;
+      if (process.env.ADMIN_API_KEY && safeEqual(key, process.env.ADMIN_API_KEY)) {
+        tenant = BOOTSTRAP_TENANT;
+      } else {
+        const { keys } = await open();
+        const doc = await keys.findOneAsync({ keyHash: hashKey(key) });
+        if (!doc) throw tenantError(API_KEY_INVALID, "API key not recognised");
+        if (doc.revokedAt) throw tenantError(API_KEY_REVOKED, "API key has been revoked");
+        tenant = loadTenants()[doc.tenantId];
+        if (!tenant) throw tenantError(API_KEY_INVALID, "API key belongs to a tenant that no longer exists");
+        req.apiKeyId = doc._id;
+        keys.updateAsync({ _id: doc._id }, { $set: { lastUsedAt: new Date().toISOString() } }).catch(() => {});
+      }
+
+      const origin = req.get("origin");
+      if (origin && tenant !== BOOTSTRAP_TENANT && !(tenant.corsOrigins || []).includes(origin)) {
+        throw tenantError(ORIGIN_NOT_ALLOWED, `Origin ${origin} is not allowed for this API key`);
+      }
+
+      req.tenant = tenant;
+      if (tenant !== BOOTSTRAP_TENANT) {
+        takeRateToken(tenant, res);
+        await takeQuota(tenant, req, res);
+      }
+      next();
+    } catch (e) {
+      if (isTenantError(e)) return sendTenantError(res, e);
+      next(e);
+    }
+  };
+}
+
+export function requireAdmin(req, res, next) {
+  if (AUTH_DISABLED || req.tenant?.admin) return next();
+  sendTenantError(res, tenantError(ADMIN_REQUIRED, "This route needs an admin API key"));
+}
@@ -0,0 +1,266 @@
+// uploads.js
+//
+// Every PDF upload goes through here. Files are held in memory (multer's
+// memory storage) rather than written to uploads/, checked for size and for
+// really being a PDF (magic bytes, not the client's Content-Type or file
+// name), and the page count is enforced when the pipeline opens them. The
+// only uploads that touch disk are queued jobs: those are written
+// AES-256-GCM encrypted (UPLOAD_ENCRYPTION_KEY) and removed when the job
+// finishes, and a sweeper clears anything left behind by a crash. The job
+// queue encrypts each job's input and result with the same key.
+//
+// Each rejection has its own code:
+//
+//   UPLOAD_MISSING          400  no file in the expected field
+//   UPLOAD_EMPTY            400  zero-byte file
+//   UPLOAD_UNEXPECTED_FIELD 400  file sent under another field name
+//   UPLOAD_TOO_MANY_FILES   400  more files than the route takes
+//   UPLOAD_TOO_LARGE        413  over MAX_UPLOAD_BYTES
+//   UPLOAD_NOT_PDF          415  content isn't a PDF (detected type named)
+//   UPLOAD_TOO_MANY_PAGES   422  over MAX_PDF_PAGES
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { AsyncResource } from "async_hooks";
+import multer from "multer";
+
+export const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 15 * 1024 * 1024;
+export const MAX_PDF_PAGES = Number(process.env.MAX_PDF_PAGES) || 150;
+
+// Files older than this in a temp area are orphans (a job's file lives only
+// while the job runs)
+const ORPHAN_AGE_MS = Number(process.env.UPLOAD_ORPHAN_AGE_MS) || 6 * 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = Number(process.env.UPLOAD_SWEEP_INTERVAL_MS) || 30 * 60 * 1000;
+
+// Where multer used to write; swept so files from older versions don't linger
+const LEGACY_UPLOAD_DIR = path.join(process.cwd(), "uploads");
+
+export const UPLOAD_MISSING = "UPLOAD_MISSING";
+export const UPLOAD_EMPTY = "UPLOAD_EMPTY";
+export const UPLOAD_UNEXPECTED_FIELD = "UPLOAD_UNEXPECTED_FIELD";
+export const UPLOAD_TOO_MANY_FILES = "UPLOAD_TOO_MANY_FILES";
+export const UPLOAD_TOO_LARGE = "UPLOAD_TOO_LARGE";
+export const UPLOAD_NOT_PDF = "UPLOAD_NOT_PDF";
+export const UPLOAD_TOO_MANY_PAGES = "UPLOAD_TOO_MANY_PAGES";
+export const UPLOAD_UNREADABLE = "UPLOAD_UNREADABLE";
+
+const STATUS = {
+  [UPLOAD_MISSING]: 400,
+  [UPLOAD_EMPTY]: 400,
+  [UPLOAD_UNEXPECTED_FIELD]: 400,
+  [UPLOAD_TOO_MANY_FILES]: 400,
+  [UPLOAD_TOO_LARGE]: 413,
+  [UPLOAD_NOT_PDF]: 415,
+  [UPLOAD_TOO_MANY_PAGES]: 422
+};
+
+export const isUploadError = e => !!STATUS[e?.code];
+
+function uploadError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+// ---------- File type ----------
+
+// Leading bytes of the formats people upload by mistake
+const SIGNATURES = [
+  { type: "pdf", bytes: "%PDF-" },
+  { type: "png", bytes: "\x89PNG" },
+  { type: "jpeg", bytes: "\xFF\xD8\xFF" },
+  { type: "gif", bytes: "GIF8" },
+  { type: "tiff", bytes: "II*\x00" },
+  { type: "tiff", bytes: "MM\x00*" },
+  { type: "zip (xlsx/docx)", bytes: "PK\x03\x04" },
+  { type: "ole (xls/doc)", bytes: "\xD0\xCF\x11\xE0" },
+  { type: "html", bytes: "<!DOCTYPE" },
+  { type: "html", bytes: "<html" }
+];
+
+// PDF readers accept a header anywhere in the first KB (some generators
+// prepend junk), so we do too
+const PDF_HEADER_WINDOW = 1024;
+
+export function detectFileType(buffer) {
+  if (!buffer?.length) return null;
+  if (buffer.subarray(0, PDF_HEADER_WINDOW).includes("%PDF-")) return "pdf";
+  const head = buffer.subarray(0, 16).toString("latin1");
+  return SIGNATURES.find(s => head.startsWith(s.bytes))?.type || "unknown";
+}
+
+function checkPdf(file) {
+  if (!file.buffer?.length) throw uploadError(UPLOAD_EMPTY, `${file.originalname || "The file"} is empty`);
+  const type = detectFileType(file.buffer);
+  if (type !== "pdf") {
+    throw uploadError(UPLOAD_NOT_PDF, `${file.originalname || "The file"} is not a PDF (looks like ${type})`);
+  }
+}
+
+// =====================================================
+// PUBLIC — upload middleware
+// =====================================================
+// `acceptPdf(field, { maxFiles })` reads up to `maxFiles` PDFs from
+// `field` into memory: req.file (maxFiles 1) or req.files, each with
+// `buffer`. Rejections go straight out through sendUploadError. A missing
+// file is left to the route, which knows what else it can accept.
+const memory = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, fieldSize: 1024 * 1024 }
+});
+
+const MULTER_CODES = {
+  LIMIT_FILE_SIZE: [UPLOAD_TOO_LARGE, `File is larger than ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB`],
+  LIMIT_FILE_COUNT: [UPLOAD_TOO_MANY_FILES, "Too many files"],
+  LIMIT_UNEXPECTED_FILE: [UPLOAD_UNEXPECTED_FIELD, "Unexpected file field"]
+};
+
+export function acceptPdf(field, { maxFiles = 1 } = {}) {
+  const parse = maxFiles > 1 ? memory.array(field, maxFiles) : memory.single(field);
+  return (req, res, next) => {
+    // Bound so the route keeps the request's async context (the usage meter);
+    // multer calls back from the socket's stream events
+    parse(req, res, AsyncResource.bind(err => {
+      if (err) {
+        const mapped = MULTER_CODES[err.code];
+        if (!mapped) return next(err);
+        // LIMIT_UNEXPECTED_FILE is also what multer raises for one file too
+        // many in an array field
+        const [code, message] =
+          err.code === "LIMIT_UNEXPECTED_FILE" && err.field === field
+            ? [UPLOAD_TOO_MANY_FILES, `At most ${maxFiles} file(s) in "${field}"`]
+            : err.code === "LIMIT_UNEXPECTED_FILE"
+              ? [UPLOAD_UNEXPECTED_FIELD, `Unexpected file field "${err.field}"; send the PDF as "${field}"`]
+              : mapped;
+        return sendUploadError(res, uploadError(code, message));
+      }
+      try {
+        for (const file of req.files || (req.file ? [req.file] : [])) checkPdf(file);
+      } catch (e) {
+        return sendUploadError(res, e);
+      }
+      next();
+    }));
+  };
+}
+
+export function missingUpload(message = "No PDF provided") {
+  return uploadError(UPLOAD_MISSING, message);
+}
+
+export function sendUploadError(res, e) {
+  res.status(STATUS[e.code] || 400).json({ success: false, code: e.code, message: e.message });
+}
+
+// Called once the PDF is open and its page count known (statementChunks.js)
+export function assertPageCount(numpages) {
+  if (numpages > MAX_PDF_PAGES) {
+    throw uploadError(UPLOAD_TOO_MANY_PAGES, `PDF has ${numpages} pages; the limit is ${MAX_PDF_PAGES}`);
+  }
+}
+
+// ---------- Encrypted temp files ----------
+
+const MAGIC = Buffer.from("KUP1");
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Without a configured key a random one is used, so files written before a
+// restart can't be read after it (their jobs fail with UPLOAD_UNREADABLE)
+let key = null;
+function encryptionKey() {
+  if (key) return key;
+  const configured = process.env.UPLOAD_ENCRYPTION_KEY;
+  if (configured) {
+    key = /^[0-9a-f]{64}$/i.test(configured) ? Buffer.from(configured, "hex") : Buffer.from(configured, "base64");
+    if (key.length !== 32) throw new Error("UPLOAD_ENCRYPTION_KEY must be 32 bytes (64 hex chars or base64)");
+  } else {
+    console.warn("UPLOAD_ENCRYPTION_KEY not set – queued uploads won't survive a restart");
+    key = crypto.randomBytes(32);
+  }
+  return key;
+}
+
+// =====================================================
+// PUBLIC — encryption at rest for what must wait (jobs)
+// =====================================================
+// The job queue keeps the uploaded PDF, the job's input (passwords,
+// applicant details) and its result encrypted with the same key.
+export function encryptBuffer(buffer) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const body = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), body]);
+}
+
+export function decryptBuffer(data) {
+  if (!data.subarray(0, MAGIC.length).equals(MAGIC)) {
+    throw uploadError(UPLOAD_UNREADABLE, "Stored upload is not in the expected format");
+  }
+  const iv = data.subarray(MAGIC.length, MAGIC.length + IV_BYTES);
+  const tag = data.subarray(MAGIC.length + IV_BYTES, MAGIC.length + IV_BYTES + TAG_BYTES);
+  try {
+    const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data.subarray(MAGIC.length + IV_BYTES + TAG_BYTES)), decipher.final()]);
+  } catch (e) {
+    throw uploadError(UPLOAD_UNREADABLE, "Stored upload could not be decrypted (key changed since it was queued?)");
+  }
+}
+
+export async function writeEncryptedFile(file, buffer) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(file, encryptBuffer(buffer), { mode: 0o600 });
+}
+
+export async function readEncryptedFile(file) {
+  return decryptBuffer(await fs.promises.readFile(file));
+}
+
+// ---------- Orphan sweeper ----------
+
+// Deletes files in `dir` older than ORPHAN_AGE_MS that `isOrphan(name)`
+// (default: every file) agrees to. Returns how many were removed.
+export async function sweepDir(dir, { isOrphan = () => true, maxAgeMs = ORPHAN_AGE_MS } = {}) {
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (e) {
+    if (e.code === "ENOENT") return 0;
+    throw e;
+  }
+  let removed = 0;
+  const cutoff = Date.now() - maxAgeMs;
+  for (const name of names) {
+    const file = path.join(dir, name);
+    try {
+      const stat = await fs.promises.stat(file);
+      if (!stat.isFile() || stat.mtimeMs > cutoff || !isOrphan(name)) continue;
+      await fs.promises.unlink(file);
+      removed++;
+    } catch (e) {
+      // gone already, or in use; next sweep
+    }
+  }
+  return removed;
+}
+
+// `sweeps` are extra async functions returning a removed count (the job
+// queue passes its own); the legacy uploads/ directory is always swept.
+// Runs once now and then every SWEEP_INTERVAL_MS; never keeps the process up.
+export function startUploadSweeper(sweeps = []) {
+  const run = async () => {
+    try {
+      const counts = await Promise.all([sweepDir(LEGACY_UPLOAD_DIR), ...sweeps.map(s => s())]);
+      const removed = counts.reduce((a, b) => a + b, 0);
+      if (removed) console.log(`🧹 Removed ${removed} orphaned upload file(s)`);
+    } catch (e) {
+      console.error("Upload sweep failed:", e);
+    }
+  };
+  run();
+  const timer = setInterval(run, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
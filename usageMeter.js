@@ -0,0 +1,306 @@
+// usageMeter.js
+//
+// What the LLM calls cost, and who they were for. Every HTTP request runs
+// inside a meter context (request id, route, tenant, API key) and
+// modelGateway.js records each call made inside it: model, input / cached
+// / output tokens, file-search calls and the estimated cost from the price
+// table in policies/usage.json (USAGE_POLICY_FILE). Records are kept in
+// NeDB under STORE_DIR and summed by day and route for GET /usage.
+//
+// Budgets are daily, in USD, per tenant ("budget" in policies/tenants.json)
+// and across all tenants ("globalBudget" in usage.json):
+//
+//   softDailyUsd  past it, optional calls (TASKS marked `optional` in the
+//                 gateway, e.g. govt-chat follow-up questions) are skipped
+//   dailyUsd      past it, every model call is refused (LLM_BUDGET_EXCEEDED)
+//                 and the routes fall back to what they can do without one
+//
+// Replayed calls cost nothing and are not recorded.
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { fileURLToPath } from "url";
+import Datastore from "@seald-io/nedb";
+import { loadTenants } from "./tenants.js";
+import { utcDay } from "./common.js";
+
+const POLICY_FILE =
+  process.env.USAGE_POLICY_FILE ||
+  path.join(path.dirname(fileURLToPath(import.meta.url)), "policies", "usage.json");
+const STORE_DIR = process.env.STORE_DIR || path.join(process.cwd(), "data", "store");
+
+export const LLM_BUDGET_EXCEEDED = "LLM_BUDGET_EXCEEDED";
+export const USAGE_INPUT_INVALID = "USAGE_INPUT_INVALID";
+
+// Longest /usage window, in days
+const MAX_REPORT_DAYS = 92;
+
+function usageError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+// ---------- Policy ----------
+
+let cached = null;
+
+// A broken edit keeps the last good policy in force, as with the others
+export function loadUsagePolicy() {
+  const { mtimeMs } = fs.statSync(POLICY_FILE);
+  if (!cached || cached.mtimeMs !== mtimeMs) {
+    try {
+      cached = { mtimeMs, policy: JSON.parse(fs.readFileSync(POLICY_FILE, "utf8")) };
+    } catch (e) {
+      if (!cached) throw e;
+      console.error("Usage policy reload failed, keeping the previous one:", e.message);
+    }
+  }
+  return cached.policy;
+}
+
+// Responses carry dated model names ("gpt-4.1-mini-2025-04-14"); the
+// longest priced name the model starts with wins
+function priceFor(policy, model) {
+  const prices = policy.pricesPerMillionTokens || {};
+  const name = Object.keys(prices)
+    .filter(m => model === m || String(model).startsWith(`${m}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return name ? prices[name] : null;
+}
+
+const warnedModels = new Set();
+
+// USD, or null when the model has no price (warned once per model)
+export function estimateCost({ model, inputTokens = 0, cachedInputTokens = 0, outputTokens = 0, fileSearchCalls = 0 }, policy = loadUsagePolicy()) {
+  const price = priceFor(policy, model);
+  if (!price) {
+    if (!warnedModels.has(model)) {
+      warnedModels.add(model);
+      console.warn(`No price for model ${model} in usage policy; its calls are recorded without a cost`);
+    }
+    return null;
+  }
+  const uncached = Math.max(inputTokens - cachedInputTokens, 0);
+  const cost =
+    (uncached * price.input + cachedInputTokens * (price.cachedInput ?? price.input) + outputTokens * price.output) / 1e6 +
+    (fileSearchCalls * (policy.fileSearchPerThousandCalls || 0)) / 1000;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// ---------- Storage ----------
+
+let store = null;
+
+// Today's spend per tenant ("*" for everyone), kept in memory so the
+// budget check before each call doesn't scan the store
+const spend = new Map();
+
+async function open() {
+  if (!store) {
+    store = (async () => {
+      const db = new Datastore({ filename: path.join(STORE_DIR, "usage.db") });
+      await db.loadDatabaseAsync();
+      await db.ensureIndexAsync({ fieldName: "day" });
+      for (const r of await db.findAsync({ day: utcDay() })) addSpend(r.day, r.tenantId, r.costUsd);
+      return db;
+    })();
+  }
+  return store;
+}
+
+function addSpend(day, tenantId, cost) {
+  if (!cost) return;
+  for (const key of [`${day}|*`, tenantId ? `${day}|${tenantId}` : null].filter(Boolean)) {
+    spend.set(key, (spend.get(key) || 0) + cost);
+  }
+}
+
+// ---------- Context ----------
+
+const context = new AsyncLocalStorage();
+
+// =====================================================
+// PUBLIC — meter context
+// =====================================================
+// Express middleware; goes after authenticate() so the tenant is known.
+// The request id is echoed in X-Request-Id and can be looked up with
+// GET /usage?requestId=.
+export function meterRequest() {
+  return (req, res, next) => {
+    const meter = {
+      requestId: crypto.randomUUID(),
+      route: `${req.method} ${req.path.replace(/\/+$/, "") || "/"}`,
+      tenantId: req.tenant?.id || null,
+      apiKeyId: req.apiKeyId || null,
+      calls: 0,
+      costUsd: 0
+    };
+    res.set("X-Request-Id", meter.requestId);
+    res.on("finish", () => {
+      if (meter.calls) {
+        console.log(`💰 ${meter.route} [${meter.tenantId || "-"}] ${meter.calls} LLM call(s), ~$${meter.costUsd.toFixed(4)}`);
+      }
+    });
+    context.run(meter, next);
+  };
+}
+
+// The current request's meter, to hand to work that outlives the request
+// (jobs); null outside a request
+export function currentMeter() {
+  const meter = context.getStore();
+  if (!meter) return null;
+  const { requestId, route, tenantId, apiKeyId } = meter;
+  return { requestId, route, tenantId, apiKeyId };
+}
+
+// Runs `fn` with calls charged to `meter` (as returned by currentMeter)
+export function withMeter(meter, fn) {
+  if (!meter) return fn();
+  return context.run({ ...meter, calls: 0, costUsd: 0 }, fn);
+}
+
+// =====================================================
+// PUBLIC — budgets
+// =====================================================
+function budgetLine(limits, spent) {
+  return {
+    dailyUsd: limits?.dailyUsd ?? null,
+    softDailyUsd: limits?.softDailyUsd ?? null,
+    spentUsd: Math.round(spent * 1e4) / 1e4,
+    over: limits?.dailyUsd != null && spent >= limits.dailyUsd,
+    overSoft: limits?.softDailyUsd != null && spent >= limits.softDailyUsd
+  };
+}
+
+// { tenant, global } for today; `tenant` is null without a tenant
+export async function budgetStatus(tenantId = context.getStore()?.tenantId || null) {
+  await open();
+  const day = utcDay();
+  const policy = loadUsagePolicy();
+  const tenant = tenantId ? loadTenants()[tenantId] : null;
+  return {
+    day,
+    tenant: tenantId ? { tenantId, ...budgetLine(tenant?.budget, spend.get(`${day}|${tenantId}`) || 0) } : null,
+    global: budgetLine(policy.globalBudget, spend.get(`${day}|*`) || 0)
+  };
+}
+
+// Called by the gateway before each call. Optional calls stop at the soft
+// limit, the rest at the hard one.
+export async function assertWithinBudget({ task, optional = false }) {
+  const { tenant, global } = await budgetStatus();
+  const hit = [tenant, global].find(b => b && (b.over || (optional && b.overSoft)));
+  if (!hit) return;
+  const whose = hit === global ? "The service's" : `Tenant ${hit.tenantId}'s`;
+  const limit = hit.over ? hit.dailyUsd : hit.softDailyUsd;
+  throw usageError(
+    LLM_BUDGET_EXCEEDED,
+    `${whose} daily AI budget of $${limit} is used up${hit.over ? "" : ` for optional steps (${task})`}`,
+    { optional: !hit.over }
+  );
+}
+
+// =====================================================
+// PUBLIC — record a call
+// =====================================================
+// `usage` as the API returned it (Responses or Chat Completions shape).
+export async function recordUsage({ task, model, provider, usage, output = null }) {
+  const meter = context.getStore() || null;
+  const inputTokens = usage?.input_tokens ?? usage?.prompt_tokens ?? 0;
+  const cachedInputTokens = usage?.input_tokens_details?.cached_tokens ?? usage?.prompt_tokens_details?.cached_tokens ?? 0;
+  const outputTokens = usage?.output_tokens ?? usage?.completion_tokens ?? 0;
+  const fileSearchCalls = Array.isArray(output) ? output.filter(o => o?.type === "file_search_call").length : 0;
+  const costUsd = estimateCost({ model, inputTokens, cachedInputTokens, outputTokens, fileSearchCalls });
+
+  const at = new Date();
+  const entry = {
+    at: at.toISOString(),
+    day: utcDay(at),
+    requestId: meter?.requestId || null,
+    route: meter?.route || null,
+    tenantId: meter?.tenantId || null,
+    apiKeyId: meter?.apiKeyId || null,
+    task,
+    model,
+    provider,
+    inputTokens,
+    cachedInputTokens,
+    outputTokens,
+    fileSearchCalls,
+    costUsd
+  };
+  try {
+    const db = await open();
+    await db.insertAsync(entry);
+    addSpend(entry.day, entry.tenantId, costUsd);
+    if (meter) {
+      meter.calls++;
+      meter.costUsd += costUsd || 0;
+    }
+  } catch (e) {
+    // Never worth failing the analysis over
+    console.error("Usage record failed:", e.message);
+  }
+  return entry;
+}
+
+// =====================================================
+// PUBLIC — usage reports
+// =====================================================
+// { from, to } are UTC days (YYYY-MM-DD, default the last 7 days),
+// `tenantId` null for every tenant. Rows are per day and route (and tenant
+// when reporting on all of them), newest day first; `calls` lists single
+// calls instead when `requestId` is given.
+export async function usageReport({ from = null, to = null, tenantId = null, requestId = null } = {}) {
+  const isDay = s => /^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(Date.parse(s));
+  const end = to || utcDay();
+  const start = from || utcDay(new Date(Date.parse(end) - 6 * 86400000));
+  if (!isDay(start) || !isDay(end)) throw usageError(USAGE_INPUT_INVALID, "from / to must be dates as YYYY-MM-DD");
+  if (start > end) throw usageError(USAGE_INPUT_INVALID, "from is after to");
+  if ((Date.parse(end) - Date.parse(start)) / 86400000 >= MAX_REPORT_DAYS) {
+    throw usageError(USAGE_INPUT_INVALID, `At most ${MAX_REPORT_DAYS} days per report`);
+  }
+
+  const db = await open();
+  const query = { day: { $gte: start, $lte: end } };
+  if (tenantId) query.tenantId = tenantId;
+  if (requestId) query.requestId = requestId;
+  const records = await db.findAsync(query).sort({ at: 1 });
+
+  const blank = () => ({ calls: 0, inputTokens: 0, cachedInputTokens: 0, outputTokens: 0, fileSearchCalls: 0, costUsd: 0, unpricedCalls: 0 });
+  const add = (sum, r) => {
+    sum.calls++;
+    sum.inputTokens += r.inputTokens;
+    sum.cachedInputTokens += r.cachedInputTokens;
+    sum.outputTokens += r.outputTokens;
+    sum.fileSearchCalls += r.fileSearchCalls || 0;
+    if (r.costUsd == null) sum.unpricedCalls++;
+    else sum.costUsd += r.costUsd;
+  };
+  const round = sum => ({ ...sum, costUsd: Math.round(sum.costUsd * 1e4) / 1e4 });
+
+  const totals = blank();
+  const groups = new Map();
+  for (const r of records) {
+    add(totals, r);
+    const key = [r.day, r.route, tenantId ? null : r.tenantId].join("|");
+    if (!groups.has(key)) {
+      groups.set(key, { day: r.day, route: r.route, ...(tenantId ? {} : { tenantId: r.tenantId }), models: {}, ...blank() });
+    }
+    const g = groups.get(key);
+    add(g, r);
+    g.models[r.model] = (g.models[r.model] || 0) + 1;
+  }
+
+  const rows = [...groups.values()]
+    .sort((a, b) => b.day.localeCompare(a.day) || (b.costUsd - a.costUsd))
+    .map(round);
+  const report = { from: start, to: end, currency: loadUsagePolicy().currency || "USD", totals: round(totals), rows };
+  if (requestId) report.calls = records.map(({ _id, ...r }) => r);
+  return report;
+}